@@ -0,0 +1,131 @@
+// Live audio monitor of the page: Web Audio clicks for spikes and a tone following the mixed
+// membrane potential, with the settings and mix of a Sonifier (see sonification.js).
+// The AudioContext is created on start(), browsers only allow sound after a user gesture.
+class AudioMonitor {
+    constructor(settings = {}) {
+        this.settings = Object.assign({}, MiniNeuron.SONIFICATION_DEFAULTS, settings);
+        this.settings.mix = Object.assign({}, this.settings.mix);
+        this.enabled = false;
+        this.context = null;
+        this.lastArrival = {}; // Cable section → last arrival time clicked
+    }
+
+    start() {
+        if (!this.context) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContextClass) {
+                throw new Error('Web Audio is not available in this browser');
+            }
+            this.createGraph(new AudioContextClass());
+        }
+        this.enabled = true;
+        this.lastArrival = {};
+        this.applyGain();
+        return this.context.resume();
+    }
+
+    stop() {
+        this.enabled = false;
+        if (this.context) {
+            this.toneGain.gain.setTargetAtTime(0, this.context.currentTime, 0.01);
+            this.context.suspend();
+        }
+    }
+
+    // master ← clicks, master ← tone gain ← oscillator
+    createGraph(context) {
+        this.context = context;
+        this.master = context.createGain();
+        this.master.connect(context.destination);
+
+        this.oscillator = context.createOscillator();
+        this.oscillator.type = 'sine';
+        this.toneGain = context.createGain();
+        this.toneGain.gain.value = 0;
+        this.oscillator.connect(this.toneGain);
+        this.toneGain.connect(this.master);
+        this.oscillator.start();
+
+        // One period of a biphasic click, like the Sonifier's
+        const length = Math.max(2, Math.round(this.settings.clickDuration / 1000 * context.sampleRate));
+        this.clickBuffer = context.createBuffer(1, length, context.sampleRate);
+        const data = this.clickBuffer.getChannelData(0);
+        for (let i = 0; i < length; i++) {
+            data[i] = Math.sin(2 * Math.PI * i / length);
+        }
+    }
+
+    applyGain() {
+        if (!this.context) return;
+        const gain = this.settings.muted ? 0 : this.settings.volume;
+        this.master.gain.setTargetAtTime(gain, this.context.currentTime, 0.01);
+    }
+
+    setVolume(volume) {
+        if (typeof volume !== 'number' || !Number.isFinite(volume) || volume < 0 || volume > 1) {
+            throw new Error(`Invalid volume: ${volume}`);
+        }
+        this.settings.volume = volume;
+        this.applyGain();
+    }
+
+    setMuted(muted) {
+        this.settings.muted = Boolean(muted);
+        this.applyGain();
+    }
+
+    setTone(enabled) {
+        this.settings.tone = Boolean(enabled);
+    }
+
+    setMix(name, gain) {
+        if (typeof gain !== 'number' || !Number.isFinite(gain) || gain < 0) {
+            throw new Error(`Invalid gain for '${name}': ${gain}`);
+        }
+        this.settings.mix[name] = gain;
+    }
+
+    click(name) {
+        const gain = this.settings.mix[name] || 0;
+        if (!this.enabled || !this.context || !(gain > 0)) return;
+
+        const source = this.context.createBufferSource();
+        const clickGain = this.context.createGain();
+        source.buffer = this.clickBuffer;
+        clickGain.gain.value = gain * this.settings.clickVolume;
+        source.connect(clickGain);
+        clickGain.connect(this.master);
+        source.start();
+    }
+
+    // Once per frame: clicks for new arrivals in mixed cable sections, the tone follows the mix
+    update(model) {
+        if (!this.enabled || !this.context) return;
+
+        const cable = model.cable;
+        const voltages = { soma: model.V };
+        if (cable) {
+            Object.keys(this.settings.mix).forEach(name => {
+                const index = cable.indexOf[name];
+                if (name === 'soma' || index === undefined) return;
+                voltages[name] = cable.V[index];
+
+                const arrival = cable.arrivalTime[index];
+                // Arrivals from before the monitor was started stay silent
+                if (name in this.lastArrival && arrival > (this.lastArrival[name] || -Infinity)) {
+                    this.click(name);
+                }
+                this.lastArrival[name] = arrival;
+            });
+        }
+
+        const V = MiniNeuron.mixedPotential(voltages, this.settings.mix);
+        const now = this.context.currentTime;
+        if (this.settings.tone && !Number.isNaN(V)) {
+            this.oscillator.frequency.setTargetAtTime(MiniNeuron.toneFrequency(V, this.settings), now, 0.01);
+            this.toneGain.gain.setTargetAtTime(this.settings.toneVolume, now, 0.01);
+        } else {
+            this.toneGain.gain.setTargetAtTime(0, now, 0.01);
+        }
+    }
+}
@@ -0,0 +1,360 @@
+// Compartmental cable model of the drawn morphology, one compartment per SVG segment.
+// Voltages are advanced with backward Euler on the branched cable, which the Hines ordering
+// (every parent before its children) turns into an O(N) tridiagonal-like solve. HH gates are
+// advanced first with exponential Euler at the old voltage. Units inside the solver: mV, ms,
+// nA, μS and nF. Channel kinetics, reversals, temperature and drug block come from the host
+// NeuronModel passed to step().
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.MiniNeuron = Object.assign(root.MiniNeuron || {}, factory());
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Membrane properties per segment type. Channel densities are multiples of the HH values
+    // (120 / 36 / 0.3 mS/cm²), scaling all three together keeps every active segment at the same rest.
+    const SEGMENT_TYPES = {
+        soma: { Cm: 1, Na: 1, K: 1, L: 1 },
+        dendrite: { Cm: 1, Na: 0.1, K: 0.1, L: 0.1 },
+        hillock: { Cm: 1, Na: 2, K: 2, L: 2 },
+        axon: { Cm: 1, Na: 8, K: 8, L: 8 }, // Initial segment, where spikes start
+        myelin: { Cm: 0.02, Na: 0, K: 0, L: 0.02 }, // About 30 lamellae, see myelinate()
+        node: { Cm: 1, Na: 10, K: 10, L: 10 },
+        terminal: { Cm: 1, Na: 1, K: 1, L: 1 }
+    };
+
+    // Segments of index.html, lengths and diameters in μm. Parents must come before children.
+    const DEFAULT_MORPHOLOGY = {
+        axialResistivity: 100, // Ω·cm
+        sections: [
+            { name: 'soma', type: 'soma', length: 30, diameter: 30, selector: '.soma' },
+            { name: 'hillock', type: 'hillock', parent: 'soma', length: 10, diameter: 3, selector: '.axon-hillock' },
+            { name: 'initial-segment', type: 'axon', parent: 'hillock', length: 30, diameter: 1.5, selector: '.initial-segment' },
+            { name: 'myelin-1', type: 'myelin', parent: 'initial-segment', length: 100, diameter: 1.5, selector: '.myelin-segment-1' },
+            { name: 'node-1', type: 'node', parent: 'myelin-1', length: 1, diameter: 1.5, selector: '.node-ranvier-1' },
+            { name: 'myelin-2', type: 'myelin', parent: 'node-1', length: 100, diameter: 1.5, selector: '.myelin-segment-2' },
+            { name: 'node-2', type: 'node', parent: 'myelin-2', length: 1, diameter: 1.5, selector: '.node-ranvier-2' },
+            { name: 'myelin-3', type: 'myelin', parent: 'node-2', length: 100, diameter: 1.5, selector: '.myelin-segment-3' },
+            { name: 'node-3', type: 'node', parent: 'myelin-3', length: 1, diameter: 1.5, selector: '.node-ranvier-3' },
+            { name: 'myelin-4', type: 'myelin', parent: 'node-3', length: 100, diameter: 1.5, selector: '.myelin-segment-4' },
+            { name: 'terminal-1', type: 'terminal', parent: 'myelin-4', length: 40, diameter: 0.8, selector: '.terminal-branch-1' },
+            { name: 'terminal-2', type: 'terminal', parent: 'myelin-4', length: 40, diameter: 0.8, selector: '.terminal-branch-2' },
+            { name: 'terminal-3', type: 'terminal', parent: 'myelin-4', length: 40, diameter: 0.8, selector: '.terminal-branch-3' },
+            { name: 'bouton-1', type: 'terminal', parent: 'terminal-1', length: 2, diameter: 2, selector: '.synaptic-bouton-1' },
+            { name: 'bouton-2', type: 'terminal', parent: 'terminal-2', length: 2, diameter: 2, selector: '.synaptic-bouton-2' },
+            { name: 'bouton-3', type: 'terminal', parent: 'terminal-3', length: 2, diameter: 2, selector: '.synaptic-bouton-3' },
+            { name: 'apical', type: 'dendrite', parent: 'soma', length: 300, diameter: 3, selector: '.apical-dendrite' },
+            { name: 'apical-branch-1', type: 'dendrite', parent: 'apical', length: 150, diameter: 1.5, selector: '.apical-branch-1' },
+            { name: 'apical-branch-2', type: 'dendrite', parent: 'apical', length: 150, diameter: 1.5, selector: '.apical-branch-2' },
+            { name: 'apical-branch-3', type: 'dendrite', parent: 'apical', length: 150, diameter: 1.2, selector: '.apical-branch-3' },
+            { name: 'apical-branch-4', type: 'dendrite', parent: 'apical', length: 150, diameter: 1.2, selector: '.apical-branch-4' },
+            { name: 'tertiary-1', type: 'dendrite', parent: 'apical-branch-1', length: 100, diameter: 0.8, selector: '.tertiary-branch-1' },
+            { name: 'tertiary-2', type: 'dendrite', parent: 'apical-branch-2', length: 100, diameter: 0.8, selector: '.tertiary-branch-2' },
+            { name: 'tertiary-3', type: 'dendrite', parent: 'apical-branch-3', length: 100, diameter: 0.8, selector: '.tertiary-branch-3' },
+            { name: 'tertiary-4', type: 'dendrite', parent: 'apical-branch-4', length: 100, diameter: 0.8, selector: '.tertiary-branch-4' },
+            { name: 'basal-1', type: 'dendrite', parent: 'soma', length: 150, diameter: 2, selector: '.basal-dendrite-1' },
+            { name: 'basal-2', type: 'dendrite', parent: 'soma', length: 150, diameter: 2, selector: '.basal-dendrite-2' },
+            { name: 'basal-3', type: 'dendrite', parent: 'soma', length: 150, diameter: 2, selector: '.basal-dendrite-3' },
+            { name: 'basal-4', type: 'dendrite', parent: 'soma', length: 150, diameter: 2, selector: '.basal-dendrite-4' },
+            { name: 'basal-branch-1', type: 'dendrite', parent: 'basal-1', length: 100, diameter: 1, selector: '.basal-branch-1' },
+            { name: 'basal-branch-2', type: 'dendrite', parent: 'basal-2', length: 100, diameter: 1, selector: '.basal-branch-2' }
+        ]
+    };
+
+    // HH reference densities (mS/cm²) scaled by the segment multipliers
+    const HH_DENSITIES = { Na: 120, K: 36, L: 0.3 };
+
+    // Upward crossing that counts as the arrival of a spike in a section (mV)
+    const ARRIVAL_THRESHOLD = -20;
+
+    // Geometry of the myelinated axon, lengths in μm. demyelination holds the fraction of myelin
+    // lost per internode, in the order of the myelin sections; 1 leaves bare axolemma.
+    const DEFAULT_MYELINATION = {
+        axonDiameter: 1.5,
+        nodeLength: 1,
+        internodeLength: 100,
+        myelinThickness: 0.5,
+        demyelination: []
+    };
+
+    // Compact myelin wraps 16 nm per lamella, each lamella adds two membranes in series
+    const LAMELLA_THICKNESS = 0.016;
+
+    // K⁺ channel density of fully demyelinated axolemma, as a multiple of the HH density
+    const EXPOSED_K_DENSITY = 2;
+
+    // Copy of a morphology with its axon rebuilt from myelination parameters. Myelin membranes sit
+    // in series with the axolemma, which divides its capacitance and leak by 1 + 2 × lamellae.
+    function myelinate(morphology, myelination = {}) {
+        const config = Object.assign({}, DEFAULT_MYELINATION, myelination);
+        ['axonDiameter', 'nodeLength', 'internodeLength'].forEach(key => {
+            if (typeof config[key] !== 'number' || !(config[key] > 0) || !Number.isFinite(config[key])) {
+                throw new Error(`Myelination needs a positive '${key}'`);
+            }
+        });
+        if (typeof config.myelinThickness !== 'number' || !(config.myelinThickness >= 0)) {
+            throw new Error(`Invalid myelin thickness: ${config.myelinThickness}`);
+        }
+        config.demyelination.forEach(loss => {
+            if (typeof loss !== 'number' || !(loss >= 0 && loss <= 1)) {
+                throw new Error(`Demyelination must lie in [0, 1], got ${loss}`);
+            }
+        });
+
+        let internode = 0;
+        const sections = morphology.sections.map(section => {
+            if (section.type === 'axon' || section.type === 'node') {
+                const length = section.type === 'node' ? config.nodeLength : section.length;
+                return Object.assign({}, section, { length, diameter: config.axonDiameter });
+            }
+            if (section.type !== 'myelin') return section;
+
+            // Stripped axolemma also exposes the juxtaparanodal K⁺ channels hidden under the myelin
+            const loss = config.demyelination[internode++] || 0;
+            const lamellae = config.myelinThickness * (1 - loss) / LAMELLA_THICKNESS;
+            const factor = 1 / (1 + 2 * lamellae);
+            return Object.assign({}, section, {
+                length: config.internodeLength,
+                diameter: config.axonDiameter,
+                Cm: factor,
+                L: factor,
+                K: EXPOSED_K_DENSITY * loss,
+                demyelination: loss
+            });
+        });
+
+        return Object.assign({}, morphology, { sections, myelination: config });
+    }
+
+    // Zero of the steady-state HH current between -100 and 0 mV, found by bisection.
+    // Every active section shares it since their densities scale together.
+    function restingPotential(host) {
+        const { E_Na, E_K, E_L } = host.reversals;
+        const current = (V) => {
+            const [m, h, n] = host.gateKinetics([V]).inf;
+            return HH_DENSITIES.Na * Math.pow(m, 3) * h * (V - E_Na) +
+                HH_DENSITIES.K * Math.pow(n, 4) * (V - E_K) + HH_DENSITIES.L * (V - E_L);
+        };
+
+        let low = -100;
+        let high = 0;
+        for (let i = 0; i < 40; i++) {
+            const middle = (low + high) / 2;
+            if (current(middle) < 0) {
+                low = middle;
+            } else {
+                high = middle;
+            }
+        }
+        return (low + high) / 2;
+    }
+
+    class CableModel {
+        // morphology: { axialResistivity, sections: [{ name, type, parent, length, diameter, ...overrides }] }.
+        // A section may override Cm, Na, K or L of its type for per-segment properties.
+        constructor(morphology = DEFAULT_MORPHOLOGY) {
+            this.morphology = morphology;
+            this.sections = morphology.sections;
+            this.count = this.sections.length;
+
+            const indexOf = {};
+            this.parent = new Int32Array(this.count);
+            this.area = new Float64Array(this.count); // cm²
+            this.capacitance = new Float64Array(this.count); // nF
+            this.densities = [];
+
+            this.sections.forEach((section, i) => {
+                if (indexOf[section.name] !== undefined) {
+                    throw new Error(`Duplicate cable section '${section.name}'`);
+                }
+                const type = SEGMENT_TYPES[section.type];
+                if (!type) {
+                    throw new Error(`Unknown segment type '${section.type}' of section '${section.name}'`);
+                }
+                if (i === 0 ? section.parent !== undefined : indexOf[section.parent] === undefined) {
+                    throw new Error(`Section '${section.name}' must follow its parent, the first section is the root`);
+                }
+
+                indexOf[section.name] = i;
+                this.parent[i] = i === 0 ? -1 : indexOf[section.parent];
+
+                const properties = Object.assign({}, type, section);
+                this.area[i] = Math.PI * section.diameter * section.length * 1e-8;
+                this.capacitance[i] = properties.Cm * this.area[i] * 1000;
+                this.densities.push({
+                    Na: properties.Na * HH_DENSITIES.Na,
+                    K: properties.K * HH_DENSITIES.K,
+                    L: properties.L * HH_DENSITIES.L
+                });
+            });
+            this.indexOf = indexOf;
+
+            // Path length (μm) from the centre of the root to the centre of every section
+            this.distance = new Float64Array(this.count);
+            for (let i = 1; i < this.count; i++) {
+                const parent = this.parent[i];
+                this.distance[i] = this.distance[parent] + (this.sections[parent].length + this.sections[i].length) / 2;
+            }
+
+            // Axial conductance (μS) between each section and its parent, half a section each side
+            const halfResistance = (section) =>
+                2 * morphology.axialResistivity * section.length * 1e-4 / (Math.PI * Math.pow(section.diameter * 1e-4, 2));
+            this.axialConductance = new Float64Array(this.count);
+            for (let i = 1; i < this.count; i++) {
+                const resistance = halfResistance(this.sections[i]) + halfResistance(this.sections[this.parent[i]]);
+                this.axialConductance[i] = 1e6 / resistance;
+            }
+
+            this.V = new Float64Array(this.count);
+            this.m = new Float64Array(this.count);
+            this.h = new Float64Array(this.count);
+            this.n = new Float64Array(this.count);
+            this.externalCurrent = new Float64Array(this.count); // nA injected per section, e.g. by synapses
+            this.arrivalTime = new Float64Array(this.count); // Last upward crossing of ARRIVAL_THRESHOLD (ms)
+
+            // Synaptic conductance (μS) per section and its driving term g·E (nA), see SynapticInput.loadCable()
+            this.synapticConductance = new Float64Array(this.count);
+            this.synapticDrive = new Float64Array(this.count);
+
+            // Scratch arrays of the Hines solve
+            this.diagonal = new Float64Array(this.count);
+            this.rhs = new Float64Array(this.count);
+            this.previousV = new Float64Array(this.count);
+        }
+
+        // Every section at V with its gates at steady state, by default at rest
+        reset(host, V = restingPotential(host)) {
+            const gates = host.gateKinetics([V]).inf;
+            this.V.fill(V);
+            this.m.fill(gates[0]);
+            this.h.fill(gates[1]);
+            this.n.fill(gates[2]);
+            this.externalCurrent.fill(0);
+            this.arrivalTime.fill(NaN);
+            this.synapticConductance.fill(0);
+            this.synapticDrive.fill(0);
+        }
+
+        // Current density (μA/cm²) to nA injected into a section
+        densityToCurrent(index, density) {
+            return density * this.area[index] * 1000;
+        }
+
+        // Advance by dt with I_soma (μA/cm²) injected into the root section
+        step(dt, host, I_soma) {
+            const { E_Na, E_K, E_L } = host.reversals;
+            const scales = host.conductanceScales;
+            const tempFactor = host.temperatureFactor;
+            const rates = [tempFactor * host.phi_m, tempFactor * host.phi_h, tempFactor * host.phi_n];
+
+            this.previousV.set(this.V);
+            for (let i = 0; i < this.count; i++) {
+                const V = this.V[i];
+                const density = this.densities[i];
+
+                // Gates at the old voltage (exponential Euler), skipped where there are no channels
+                if (density.Na > 0 || density.K > 0) {
+                    const am = host.alpha_m(V), bm = host.beta_m(V);
+                    const ah = host.alpha_h(V), bh = host.beta_h(V);
+                    const an = host.alpha_n(V), bn = host.beta_n(V);
+                    this.m[i] = am / (am + bm) + (this.m[i] - am / (am + bm)) * Math.exp(-dt * rates[0] * (am + bm));
+                    this.h[i] = ah / (ah + bh) + (this.h[i] - ah / (ah + bh)) * Math.exp(-dt * rates[1] * (ah + bh));
+                    this.n[i] = an / (an + bn) + (this.n[i] - an / (an + bn)) * Math.exp(-dt * rates[2] * (an + bn));
+                }
+
+                // Membrane conductances (μS) with the new gates
+                const toMicrosiemens = this.area[i] * 1000;
+                const gNa = density.Na * scales.Na * Math.pow(this.m[i], 3) * this.h[i] * toMicrosiemens;
+                const gK = density.K * scales.K * Math.pow(this.n[i], 4) * toMicrosiemens;
+                const gL = density.L * toMicrosiemens;
+
+                // Synaptic conductances enter the implicit solve like the channels
+                const cdt = this.capacitance[i] / dt;
+                this.diagonal[i] = cdt + gNa + gK + gL + this.synapticConductance[i];
+                this.rhs[i] = cdt * V + gNa * E_Na + gK * E_K + gL * E_L + this.synapticDrive[i] + this.externalCurrent[i];
+            }
+            this.rhs[0] += this.densityToCurrent(0, I_soma);
+
+            for (let i = 1; i < this.count; i++) {
+                const g = this.axialConductance[i];
+                this.diagonal[i] += g;
+                this.diagonal[this.parent[i]] += g;
+            }
+
+            // Hines elimination from the leaves to the root, then back-substitution
+            for (let i = this.count - 1; i > 0; i--) {
+                const p = this.parent[i];
+                const factor = this.axialConductance[i] / this.diagonal[i];
+                this.diagonal[p] -= factor * this.axialConductance[i];
+                this.rhs[p] += factor * this.rhs[i];
+            }
+            this.V[0] = this.rhs[0] / this.diagonal[0];
+            for (let i = 1; i < this.count; i++) {
+                this.V[i] = (this.rhs[i] + this.axialConductance[i] * this.V[this.parent[i]]) / this.diagonal[i];
+            }
+
+            for (let i = 0; i < this.count; i++) {
+                const previous = this.previousV[i];
+                if (previous < ARRIVAL_THRESHOLD && this.V[i] >= ARRIVAL_THRESHOLD) {
+                    // Interpolated within the step, latencies between nodes are shorter than dt
+                    this.arrivalTime[i] = host.time + dt * (ARRIVAL_THRESHOLD - previous) / (this.V[i] - previous);
+                }
+            }
+        }
+
+        // Ionic current densities (μA/cm²) of one section, same keys as NeuronModel.computeCurrents
+        sectionCurrents(index, host) {
+            const { E_Na, E_K, E_L } = host.reversals;
+            const scales = host.conductanceScales;
+            const density = this.densities[index];
+            const V = this.V[index];
+            return {
+                I_Na: density.Na * scales.Na * Math.pow(this.m[index], 3) * this.h[index] * (V - E_Na),
+                I_K: density.K * scales.K * Math.pow(this.n[index], 4) * (V - E_K),
+                I_L: density.L * (V - E_L),
+                I_syn: (this.synapticConductance[index] * V - this.synapticDrive[index]) / (this.area[index] * 1000)
+            };
+        }
+
+        // Arrival of the last spike at every node of Ranvier, relative to its arrival at the first
+        // axon section (the initial segment). Nodes it has not reached since are reported as blocked.
+        conductionReport() {
+            const origin = Math.max(0, this.sections.findIndex(section => section.type === 'axon'));
+            const start = this.arrivalTime[origin];
+
+            const nodes = [];
+            this.sections.forEach((section, i) => {
+                if (section.type !== 'node') return;
+
+                const distance = this.distance[i] - this.distance[origin];
+                const latency = this.arrivalTime[i] - start;
+                const reached = latency >= 0;
+                nodes.push({
+                    name: section.name,
+                    distance,
+                    latency: reached ? latency : null,
+                    velocity: reached && latency > 0 ? distance / latency / 1000 : null // m/s
+                });
+            });
+
+            const conducted = nodes.filter(node => node.latency !== null);
+            const last = conducted[conducted.length - 1];
+            return {
+                origin: this.sections[origin].name,
+                nodes,
+                blocked: Number.isNaN(start) ? null : conducted.length < nodes.length,
+                velocity: last ? last.velocity : null
+            };
+        }
+
+        getVoltages() {
+            const voltages = {};
+            this.sections.forEach((section, i) => {
+                voltages[section.name] = this.V[i];
+            });
+            return voltages;
+        }
+    }
+
+    return { CableModel, DEFAULT_MORPHOLOGY, DEFAULT_MYELINATION, SEGMENT_TYPES, myelinate };
+});
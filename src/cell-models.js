@@ -0,0 +1,229 @@
+// Reduced point-neuron models that can stand in for the Hodgkin-Huxley equations of NeuronModel.
+// Every cell model shares one interface:
+//   stateVariables            names of the entries of the state vector
+//   initialState()            state vector at rest, also clears internal bookkeeping
+//   derivatives(y, t, I, q)   right-hand side for injected current I (μA/cm²) and Q10 factor q
+//   spikeCondition(y, prev)   true when the step from prev to y fired a spike
+//   reset(y, t, q)            state vector right after a spike at time t
+//   membranePotential(y)      membrane potential in mV for display
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.MiniNeuron = Object.assign(root.MiniNeuron || {}, factory());
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    class CellModel {
+        constructor(options = {}) {
+            this.config = Object.assign({}, this.constructor.defaults, options);
+        }
+
+        static get defaults() {
+            return {};
+        }
+
+        membranePotential(y) {
+            return y[0];
+        }
+
+        // Most models spike on a threshold reached during the step
+        spikeCondition(y, previous) {
+            return y[0] >= this.config.threshold;
+        }
+    }
+
+    // Firing classes of Izhikevich (2003), parameters a, b, c, d
+    const IZHIKEVICH_PRESETS = {
+        RS: { label: 'Regular spiking', a: 0.02, b: 0.2, c: -65, d: 8 },
+        IB: { label: 'Intrinsically bursting', a: 0.02, b: 0.2, c: -55, d: 4 },
+        CH: { label: 'Chattering', a: 0.02, b: 0.2, c: -50, d: 2 },
+        FS: { label: 'Fast spiking', a: 0.1, b: 0.2, c: -65, d: 2 },
+        LTS: { label: 'Low-threshold spiking', a: 0.02, b: 0.25, c: -65, d: 2 }
+    };
+
+    // Izhikevich 2-D model, temperature scales the recovery parameters a and d
+    class IzhikevichCell extends CellModel {
+        constructor(options = {}) {
+            const preset = IZHIKEVICH_PRESETS[options.preset || IzhikevichCell.defaults.preset];
+            if (!preset) {
+                throw new Error(`Unknown Izhikevich preset '${options.preset}'`);
+            }
+            super(Object.assign({}, preset, options));
+        }
+
+        static get label() { return 'Izhikevich'; }
+
+        static get defaults() {
+            return { preset: 'RS', threshold: 30 };
+        }
+
+        get stateVariables() { return ['V', 'u']; }
+
+        initialState() {
+            const V = -65;
+            return [V, this.config.b * V];
+        }
+
+        derivatives(y, t, I, q) {
+            const [V, u] = y;
+            const { a, b } = this.config;
+            return [
+                0.04 * V * V + 5 * V + 140 - u + I,
+                q * a * (b * V - u)
+            ];
+        }
+
+        reset(y, t, q) {
+            return [this.config.c, y[1] + q * this.config.d];
+        }
+    }
+
+    // Leaky integrate-and-fire with an absolute refractory period, temperature-independent
+    class LeakyIntegrateAndFireCell extends CellModel {
+        static get label() { return 'Leaky integrate-and-fire'; }
+
+        static get defaults() {
+            return {
+                tau: 10, // Membrane time constant (ms)
+                resistance: 2, // mV per μA/cm²
+                E_L: -65,
+                threshold: -50,
+                V_reset: -65,
+                refractoryPeriod: 2 // ms
+            };
+        }
+
+        get stateVariables() { return ['V']; }
+
+        initialState() {
+            this.refractoryUntil = -Infinity;
+            return [this.config.E_L];
+        }
+
+        derivatives(y, t, I) {
+            if (t < this.refractoryUntil) return [0];
+
+            const { tau, resistance, E_L } = this.config;
+            return [(-(y[0] - E_L) + resistance * I) / tau];
+        }
+
+        reset(y, t) {
+            this.refractoryUntil = t + this.config.refractoryPeriod;
+            return [this.config.V_reset];
+        }
+    }
+
+    // Adaptive exponential integrate-and-fire (Brette & Gerstner 2005), per unit area with
+    // C = 1 μF/cm², temperature-independent
+    class AdExCell extends CellModel {
+        static get label() { return 'Adaptive exponential IF'; }
+
+        static get defaults() {
+            return {
+                g_L: 0.1068, // mS/cm², gives the original 9.4 ms membrane time constant
+                E_L: -70.6,
+                V_T: -50.4,
+                deltaT: 2,
+                a: 0.01424, // Subthreshold adaptation (mS/cm²)
+                b: 0.2865, // Spike-triggered adaptation (μA/cm²)
+                tau_w: 144,
+                threshold: -40.4, // Spike cut-off at V_T + 5 deltaT
+                V_reset: -70.6
+            };
+        }
+
+        get stateVariables() { return ['V', 'w']; }
+
+        initialState() {
+            return [this.config.E_L, 0];
+        }
+
+        derivatives(y, t, I) {
+            const [V, w] = y;
+            const { g_L, E_L, V_T, deltaT, a, tau_w } = this.config;
+
+            // Evaluated at most at the cut-off so multi-stage integrators stay finite past it
+            const exponential = g_L * deltaT * Math.exp((Math.min(V, this.config.threshold) - V_T) / deltaT);
+            return [
+                -g_L * (V - E_L) + exponential - w + I,
+                (a * (V - E_L) - w) / tau_w
+            ];
+        }
+
+        reset(y) {
+            return [this.config.V_reset, y[1] + this.config.b];
+        }
+    }
+
+    // FitzHugh-Nagumo relaxation oscillator in its dimensionless form, one time unit per ms.
+    // The dimensionless v is mapped onto mV for display, temperature scales the recovery rate.
+    class FitzHughNagumoCell extends CellModel {
+        static get label() { return 'FitzHugh-Nagumo'; }
+
+        static get defaults() {
+            return {
+                a: 0.7,
+                b: 0.8,
+                tau: 12.5,
+                currentScale: 0.05, // Dimensionless input per μA/cm²
+                threshold: 1, // Upward crossing of v counts as a spike
+                voltageScale: 30, // mV per unit of v
+                voltageOffset: -30
+            };
+        }
+
+        get stateVariables() { return ['v', 'w']; }
+
+        initialState() {
+            return [-1.2, -0.625];
+        }
+
+        derivatives(y, t, I, q) {
+            const [v, w] = y;
+            const { a, b, tau, currentScale } = this.config;
+            return [
+                v - v * v * v / 3 - w + currentScale * I,
+                q * (v + a - b * w) / tau
+            ];
+        }
+
+        spikeCondition(y, previous) {
+            return previous[0] < this.config.threshold && y[0] >= this.config.threshold;
+        }
+
+        // No reset, the spike is the model's own excursion
+        reset(y) {
+            return y;
+        }
+
+        membranePotential(y) {
+            return this.config.voltageScale * y[0] + this.config.voltageOffset;
+        }
+    }
+
+    const CELL_MODELS = {
+        izhikevich: IzhikevichCell,
+        lif: LeakyIntegrateAndFireCell,
+        adex: AdExCell,
+        fhn: FitzHughNagumoCell
+    };
+
+    function createCellModel(name, options = {}) {
+        const Cell = CELL_MODELS[name];
+        if (!Cell) {
+            throw new Error(`Unknown cell model '${name}'`);
+        }
+        return new Cell(options);
+    }
+
+    return {
+        CellModel,
+        IzhikevichCell,
+        LeakyIntegrateAndFireCell,
+        AdExCell,
+        FitzHughNagumoCell,
+        CELL_MODELS,
+        IZHIKEVICH_PRESETS,
+        createCellModel
+    };
+});
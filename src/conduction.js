@@ -0,0 +1,58 @@
+// Conduction along the myelinated axon, measured headless on a private cable model: the soma is
+// kicked with a brief current pulse and the arrival of the spike at every node of Ranvier is timed.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({}, require('./neuron-model.js'), require('./cable-model.js')));
+    } else {
+        root.MiniNeuron = Object.assign(root.MiniNeuron || {}, factory(root.MiniNeuron));
+    }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+    const { NeuronModel, DEFAULT_MORPHOLOGY, myelinate } = deps;
+
+    class ConductionExperiment {
+        constructor(options = {}) {
+            const config = Object.assign({}, ConductionExperiment.defaults, options);
+
+            // Axon geometry, see myelinate() in cable-model.js
+            this.myelination = config.myelination;
+            this.morphology = myelinate(config.morphology, config.myelination);
+
+            // Somatic pulse (μA/cm², ms) after settling at rest, then the recording window (ms)
+            this.amplitude = config.amplitude;
+            this.pulseDuration = config.pulseDuration;
+            this.settleDuration = config.settleDuration;
+            this.recordDuration = config.recordDuration;
+
+            // Passed to the NeuronModel instance (temperature, timeStep, drugs, concentrations)
+            this.modelOptions = config.modelOptions;
+        }
+
+        static get defaults() {
+            return {
+                morphology: DEFAULT_MORPHOLOGY,
+                myelination: {},
+                amplitude: 40,
+                pulseDuration: 1,
+                settleDuration: 20,
+                recordDuration: 15,
+                modelOptions: { timeStep: 0.025 }
+            };
+        }
+
+        // Per-node latencies and velocities from the initial segment, see CableModel.conductionReport()
+        run() {
+            const model = new NeuronModel(Object.assign({}, this.modelOptions, { morphology: this.morphology }));
+            model.run(this.settleDuration);
+
+            model.setProtocol({
+                name: 'Conduction test pulse',
+                components: [{ type: 'step', start: 0, duration: this.pulseDuration, amplitude: this.amplitude }]
+            });
+            model.run(this.recordDuration);
+
+            return Object.assign({ myelination: this.morphology.myelination }, model.cable.conductionReport());
+        }
+    }
+
+    return { ConductionExperiment };
+});
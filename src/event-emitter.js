@@ -0,0 +1,63 @@
+// Minimal event emitter shared by the headless simulation classes.
+// Loads as a plain <script> (exposed on the MiniNeuron namespace) or through require() in Node.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.MiniNeuron = Object.assign(root.MiniNeuron || {}, factory());
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    class EventEmitter {
+        constructor() {
+            this.listeners = new Map();
+        }
+
+        // Subscribe to an event, returns an unsubscribe function
+        on(event, listener) {
+            if (!this.listeners.has(event)) {
+                this.listeners.set(event, new Set());
+            }
+            this.listeners.get(event).add(listener);
+            return () => this.off(event, listener);
+        }
+
+        // Subscribe for a single emission only
+        once(event, listener) {
+            const unsubscribe = this.on(event, (payload) => {
+                unsubscribe();
+                listener(payload);
+            });
+            return unsubscribe;
+        }
+
+        off(event, listener) {
+            const listeners = this.listeners.get(event);
+            if (!listeners) return;
+
+            listeners.delete(listener);
+            if (listeners.size === 0) {
+                this.listeners.delete(event);
+            }
+        }
+
+        hasListeners(event) {
+            return this.listeners.has(event);
+        }
+
+        // Notify listeners without letting one failing listener break the others
+        emit(event, payload) {
+            const listeners = this.listeners.get(event);
+            if (!listeners) return;
+
+            Array.from(listeners).forEach(listener => {
+                try {
+                    listener(payload);
+                } catch (error) {
+                    console.error(`Listener for '${event}' failed:`, error);
+                }
+            });
+        }
+    }
+
+    return { EventEmitter };
+});
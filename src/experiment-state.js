@@ -0,0 +1,374 @@
+// Experiment state as plain JSON: model configuration, environment and stimulation in one object
+// that presets, saved files and the page's URL hash share. Applying a state changes only what
+// differs, so switching the temperature keeps the simulation running.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({},
+            require('./integrators.js'),
+            require('./cell-models.js'),
+            require('./synapses.js'),
+            require('./pharmacology.js'),
+            require('./cable-model.js'),
+            require('./neuron-model.js')
+        ));
+    } else {
+        root.MiniNeuron = Object.assign(root.MiniNeuron || {}, factory(root.MiniNeuron));
+    }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+    const {
+        INTEGRATORS, CELL_MODELS, createCellModel, RECEPTORS, Pharmacology, DRUG_LIBRARY, DEFAULT_MORPHOLOGY,
+        NeuronModel, ION_PARAMETERS, HODGKIN_HUXLEY
+    } = deps;
+
+    const STATE_SCHEMA = 'minineuron.state/v1';
+
+    // Ion concentrations of the state, Ca_ext has its own slider and field
+    const STATE_IONS = ['Na_i', 'Na_o', 'K_i', 'K_o', 'Cl_i', 'Cl_o', 'Mg_o'];
+
+    // Hodgkin-Huxley conductances and gate rate scale factors, e.g. of a fitted parameter set
+    const STATE_CONDUCTANCES = ['g_Na', 'g_K', 'g_L'];
+    const STATE_KINETICS = ['phi_m', 'phi_h', 'phi_n'];
+
+    // Animation durations and delays of the page (ms), see TimingManager in neuron.js
+    const STATE_TIMINGS = [
+        'dendriticActivation', 'dendriticPropagation', 'somaDepolarization', 'axonHillockActivation',
+        'actionPotentialWave', 'nodeActivation', 'synapticTransmission', 'calciumDynamics',
+        'neurotransmitterRelease', 'postsynapticResponse', 'somaDelay', 'axonHillockDelay', 'fullAPDelay',
+        'calciumDelay', 'propagationDelay'
+    ];
+
+    // Fields of a state. Objects in MERGED_FIELDS combine key by key with a baseline,
+    // everything else is replaced as a whole.
+    //   temperature (°C), Ca_ext (mM), stimulation (Hz per excitatory synapse), I_stim (μA/cm²)
+    //   ions (mM), conductances (mS/cm²), kinetics (rate factors), inhibitoryRate (Hz), receptors (nS),
+    //   drugs [{ name, concentration, ... }]
+    //   cellModel, cellOptions, integrator, timeStep (ms), cable (bool)
+    //   myelination, timings: page settings, carried along unchanged
+    const STATE_FIELDS = [
+        'schema', 'temperature', 'Ca_ext', 'stimulation', 'I_stim', 'ions', 'conductances', 'kinetics',
+        'inhibitoryRate', 'receptors', 'drugs', 'cellModel', 'cellOptions', 'integrator', 'timeStep', 'cable',
+        'myelination', 'timings'
+    ];
+    const MERGED_FIELDS = ['ions', 'conductances', 'kinetics', 'receptors', 'timings'];
+
+    // Named starting points, fields they do not list return to the baseline
+    const STATE_PRESETS = {
+        default: { label: 'Default', state: {} },
+        hypothermia: { label: 'Hypothermia (30 °C)', state: { temperature: 30 } },
+        fever: { label: 'Fever (40 °C)', state: { temperature: 40 } },
+        hypercalcemia: { label: 'Hypercalcemia (3.5 mM Ca²⁺ₒ)', state: { Ca_ext: 3.5 } },
+        hypocalcemia: { label: 'Hypocalcemia (0.8 mM Ca²⁺ₒ)', state: { Ca_ext: 0.8 } },
+        'tonic-firing': { label: 'Tonic firing (10 μA/cm²)', state: { I_stim: 10 } },
+        'synaptic-barrage': { label: 'Synaptic barrage (40 Hz E, 10 Hz I)', state: { stimulation: 40, inhibitoryRate: 10 } }
+    };
+
+    const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    // Custom drugs keep their definition, library drugs only need a name and a concentration
+    function drugEntries(pharmacology) {
+        return pharmacology.toJSON()
+            .filter(drug => drug.concentration > 0 || drug.custom)
+            .map(drug => drug.custom
+                ? { name: drug.name, target: drug.target, IC50: drug.IC50, hill: drug.hill, maxBlock: drug.maxBlock,
+                    tauOn: drug.tauOn, tauOff: drug.tauOff, concentration: drug.concentration }
+                : { name: drug.name, concentration: drug.concentration });
+    }
+
+    // extra: page fields such as timings and myelination
+    function captureState(model, extra = {}) {
+        const synapses = model.synapses;
+        return Object.assign({
+            schema: STATE_SCHEMA,
+            temperature: model.temperature,
+            Ca_ext: model.Ca_ext,
+            stimulation: synapses.rates.excitatory,
+            I_stim: model.stimulusBaseline,
+            ions: Object.fromEntries(STATE_IONS.map(name => [name, model[name]])),
+            conductances: Object.fromEntries(STATE_CONDUCTANCES.map(name => [name, model[name]])),
+            kinetics: Object.fromEntries(STATE_KINETICS.map(name => [name, model[name]])),
+            inhibitoryRate: synapses.rates.inhibitory,
+            receptors: Object.fromEntries(Object.entries(synapses.receptors).map(([type, receptor]) => [type, receptor.gmax])),
+            drugs: drugEntries(model.pharmacology),
+            cellModel: model.cellModelName,
+            cellOptions: Object.assign({}, model.cellOptions),
+            integrator: model.integratorName,
+            timeStep: model.timeStep,
+            cable: Boolean(model.cable),
+            myelination: null,
+            timings: {}
+        }, extra);
+    }
+
+    function requireNumber(state, key, { min = -Infinity, positive = false } = {}) {
+        const value = state[key];
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < min || (positive && !(value > 0))) {
+            throw new Error(`Invalid state value for '${key}': ${value}`);
+        }
+    }
+
+    // names: the keys the object may hold, any other key is rejected
+    function requireNumbers(object, key, { min = -Infinity, positive = false, names = null } = {}) {
+        if (!isPlainObject(object)) {
+            throw new Error(`State field '${key}' must be an object`);
+        }
+        Object.entries(object).forEach(([name, value]) => {
+            if (names && !names.includes(name)) {
+                throw new Error(`Unknown state value '${key}.${name}'`);
+            }
+            const mustBePositive = positive || ION_PARAMETERS.includes(name);
+            if (typeof value !== 'number' || !Number.isFinite(value) || value < min || (mustBePositive && !(value > 0))) {
+                throw new Error(`Invalid state value for '${key}.${name}': ${value}`);
+            }
+        });
+    }
+
+    // Custom drugs carry their definition (see drugEntries) and must pass the Pharmacology rules,
+    // every drug needs a concentration (μM)
+    function requireDrugs(drugs) {
+        if (!Array.isArray(drugs) || drugs.some(drug => !isPlainObject(drug) || typeof drug.name !== 'string')) {
+            throw new Error('State field \'drugs\' must be a list of drugs');
+        }
+        const pharmacology = new Pharmacology();
+        drugs.forEach(drug => {
+            if (!DRUG_LIBRARY[drug.name] && drug.target === undefined) {
+                throw new Error(`Unknown drug '${drug.name}'`);
+            }
+            const { concentration } = drug;
+            if (typeof concentration !== 'number' || !Number.isFinite(concentration) || concentration < 0) {
+                throw new Error(`Invalid concentration for drug '${drug.name}': ${concentration}`);
+            }
+            pharmacology.defineDrug(Object.assign({}, pharmacology.drugs[drug.name], drug));
+        });
+    }
+
+    // Options of a reduced cell model: keys of its configuration with finite numbers, the
+    // Izhikevich preset by name. A bad value would only show up as a NaN membrane potential.
+    function requireCellOptions(cellModel, cellOptions) {
+        createCellModel(cellModel, cellOptions);
+        const known = Object.keys(createCellModel(cellModel).config);
+        Object.entries(cellOptions).forEach(([name, value]) => {
+            if (!known.includes(name)) {
+                throw new Error(`Unknown option '${name}' of cell model '${cellModel}'`);
+            }
+            if (name === 'preset') return;
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                throw new Error(`Invalid value for 'cellOptions.${name}': ${value}`);
+            }
+        });
+    }
+
+    // A partial state on top of a baseline, MERGED_FIELDS key by key
+    function mergeState(baseline, partial = {}) {
+        const state = Object.assign({}, baseline);
+        Object.entries(partial).forEach(([key, value]) => {
+            state[key] = MERGED_FIELDS.includes(key) && isPlainObject(value) && isPlainObject(baseline[key])
+                ? Object.assign({}, baseline[key], value)
+                : value;
+        });
+        return state;
+    }
+
+    // Fields (and keys of MERGED_FIELDS) where state differs from baseline
+    function diffState(state, baseline) {
+        const diff = {};
+        STATE_FIELDS.forEach(key => {
+            if (key === 'schema' || !(key in state)) return;
+            if (MERGED_FIELDS.includes(key) && isPlainObject(state[key]) && isPlainObject(baseline[key])) {
+                const changed = Object.entries(state[key])
+                    .filter(([name, value]) => JSON.stringify(value) !== JSON.stringify(baseline[key][name]));
+                if (changed.length) diff[key] = Object.fromEntries(changed);
+            } else if (JSON.stringify(state[key]) !== JSON.stringify(baseline[key])) {
+                diff[key] = state[key];
+            }
+        });
+        return diff;
+    }
+
+    // Complete, checked state from a partial one, e.g. a loaded file or a decoded link
+    function validateState(partial, baseline) {
+        if (!isPlainObject(partial)) {
+            throw new Error('A state must be an object');
+        }
+        if (partial.schema !== undefined && partial.schema !== STATE_SCHEMA) {
+            throw new Error(`Unsupported state schema '${partial.schema}'`);
+        }
+        const unknown = Object.keys(partial).filter(key => !STATE_FIELDS.includes(key));
+        if (unknown.length) {
+            throw new Error(`Unknown state field '${unknown[0]}'`);
+        }
+
+        const state = mergeState(baseline, partial);
+        state.schema = STATE_SCHEMA;
+        requireNumber(state, 'temperature');
+        requireNumber(state, 'Ca_ext', { positive: true });
+        requireNumber(state, 'stimulation', { min: 0 });
+        requireNumber(state, 'I_stim');
+        requireNumber(state, 'inhibitoryRate', { min: 0 });
+        requireNumber(state, 'timeStep', { positive: true });
+        // Concentrations in ION_PARAMETERS must be positive, Mg_o may be zero
+        requireNumbers(state.ions, 'ions', { min: 0, names: STATE_IONS });
+        requireNumbers(state.conductances, 'conductances', { min: 0, names: STATE_CONDUCTANCES });
+        requireNumbers(state.kinetics, 'kinetics', { positive: true, names: STATE_KINETICS });
+        requireNumbers(state.receptors, 'receptors', { min: 0, names: Object.keys(RECEPTORS) });
+        requireNumbers(state.timings, 'timings', { min: 0, names: STATE_TIMINGS });
+        requireDrugs(state.drugs);
+        if (state.cellModel !== HODGKIN_HUXLEY && !CELL_MODELS[state.cellModel]) {
+            throw new Error(`Unknown cell model '${state.cellModel}'`);
+        }
+        if (!INTEGRATORS[state.integrator]) {
+            throw new Error(`Unknown integrator '${state.integrator}'`);
+        }
+        if (state.timeStep > INTEGRATORS[state.integrator].maxTimeStep) {
+            throw new Error(`Time step ${state.timeStep} ms is unstable with '${state.integrator}'`);
+        }
+        if (!isPlainObject(state.cellOptions)) {
+            throw new Error('State field \'cellOptions\' must be an object');
+        }
+        if (state.cellModel !== HODGKIN_HUXLEY) {
+            requireCellOptions(state.cellModel, state.cellOptions);
+        }
+        if (state.cable && state.cellModel !== HODGKIN_HUXLEY) {
+            throw new Error('The cable model needs the Hodgkin-Huxley model');
+        }
+        state.cable = Boolean(state.cable);
+        return state;
+    }
+
+    // Apply a validated state to a model. Everything applyState relies on is checked by
+    // validateState, so it does not stop halfway. morphology: used when the state turns the cable
+    // on, or when it differs from the cable already running.
+    function applyState(model, state, options = {}) {
+        const morphology = options.morphology || (model.cable ? model.cable.morphology : DEFAULT_MORPHOLOGY);
+
+        if (state.cellModel !== model.cellModelName ||
+            JSON.stringify(state.cellOptions) !== JSON.stringify(model.cellOptions || {})) {
+            model.setCellModel(state.cellModel, state.cellOptions);
+        }
+        if (state.integrator !== model.integratorName) {
+            model.setIntegrator(state.integrator);
+        }
+        if (state.cable && (!model.cable || JSON.stringify(model.cable.morphology) !== JSON.stringify(morphology))) {
+            model.setMorphology(morphology);
+        } else if (!state.cable && model.cable) {
+            model.setMorphology(null);
+        }
+
+        const parameters = Object.assign({
+            temperature: state.temperature,
+            Ca_ext: state.Ca_ext,
+            I_stim: state.I_stim,
+            timeStep: state.timeStep
+        }, state.ions, state.conductances, state.kinetics);
+        // I_stim compares with the set value, a running protocol keeps driving it
+        Object.entries(parameters).forEach(([name, value]) => {
+            const current = name === 'I_stim' ? model.stimulusBaseline : model[name];
+            if (current !== value) model.setParameter(name, value);
+        });
+
+        const synapses = model.synapses;
+        if (synapses.rates.excitatory !== state.stimulation) synapses.setRate('excitatory', state.stimulation);
+        if (synapses.rates.inhibitory !== state.inhibitoryRate) synapses.setRate('inhibitory', state.inhibitoryRate);
+        Object.entries(state.receptors).forEach(([type, gmax]) => synapses.setReceptorConductance(type, gmax));
+
+        // Drugs of the state are already equilibrated, all others are gone
+        const pharmacology = model.pharmacology;
+        const listed = state.drugs.map(drug => drug.name);
+        const cleared = Object.values(pharmacology.drugs)
+            .filter(drug => !listed.includes(drug.name) && (drug.concentration > 0 || drug.effective > 0))
+            .map(drug => Object.assign({}, drug, { concentration: 0, effective: 0 }));
+        const applied = state.drugs.map(entry => {
+            const definition = pharmacology.drugs[entry.name];
+            if (!definition && entry.target === undefined) {
+                throw new Error(`Unknown drug '${entry.name}'`);
+            }
+            return Object.assign({}, definition, entry, { effective: entry.concentration });
+        });
+        pharmacology.restore(cleared.concat(applied));
+    }
+
+    // URL hash holding the differences from the baseline, e.g. '#state=%7B%22temperature%22%3A30%7D'
+    function encodeStateHash(state, baseline) {
+        const diff = diffState(state, baseline);
+        return Object.keys(diff).length ? `#state=${encodeURIComponent(JSON.stringify(diff))}` : '';
+    }
+
+    // Full state from a URL hash, null when the hash holds none
+    function decodeStateHash(hash, baseline) {
+        const match = /(?:^#?|&)state=([^&]*)/.exec(hash || '');
+        if (!match) return null;
+        return validateState(JSON.parse(decodeURIComponent(match[1])), baseline);
+    }
+
+    // Named user presets in a Storage (localStorage in the page), kept as differences from the baseline
+    class PresetStore {
+        constructor(storage, key = 'minineuron.presets') {
+            this.storage = storage;
+            this.key = key;
+        }
+
+        read() {
+            const text = this.storage ? this.storage.getItem(this.key) : null;
+            if (!text) return {};
+            try {
+                const presets = JSON.parse(text);
+                return isPlainObject(presets) ? presets : {};
+            } catch (error) {
+                console.error(`Failed to read presets from '${this.key}':`, error);
+                return {};
+            }
+        }
+
+        write(presets) {
+            if (!this.storage) {
+                throw new Error('No storage for presets');
+            }
+            this.storage.setItem(this.key, JSON.stringify(presets));
+        }
+
+        get names() {
+            return Object.keys(this.read()).sort();
+        }
+
+        load(name, baseline) {
+            const presets = this.read();
+            if (!presets[name]) {
+                throw new Error(`Unknown preset '${name}'`);
+            }
+            return validateState(presets[name], baseline);
+        }
+
+        save(name, state, baseline) {
+            if (typeof name !== 'string' || !name.trim()) {
+                throw new Error('A preset needs a name');
+            }
+            const presets = this.read();
+            presets[name.trim()] = diffState(state, baseline);
+            this.write(presets);
+        }
+
+        remove(name) {
+            const presets = this.read();
+            delete presets[name];
+            this.write(presets);
+        }
+    }
+
+    // Baseline of a fresh model with the default options
+    function defaultState(extra = {}) {
+        return captureState(new NeuronModel(), extra);
+    }
+
+    return {
+        STATE_SCHEMA,
+        STATE_PRESETS,
+        captureState,
+        validateState,
+        applyState,
+        mergeState,
+        diffState,
+        encodeStateHash,
+        decodeStateHash,
+        defaultState,
+        PresetStore
+    };
+});
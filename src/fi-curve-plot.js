@@ -0,0 +1,113 @@
+// Draws the result of an FICurveExperiment: one F–I curve per temperature, rheobase marked on the axis
+// and the saturation rate as a dashed line.
+class FICurvePlot {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.padding = 30;
+    }
+
+    static get colors() {
+        return {
+            axis: 'rgba(255, 255, 255, 0.3)',
+            label: '#b0b0b0'
+        };
+    }
+
+    // Coldest curve blue, warmest red
+    curveColor(index, count) {
+        const hue = 220 - 220 * index / Math.max(count - 1, 1);
+        return `hsl(${hue}, 80%, 60%)`;
+    }
+
+    draw(result) {
+        const ctx = this.context;
+        if (!ctx || !result || !result.curves.length) return;
+
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+        const currents = result.curves[0].points.map(point => point.current);
+        const minI = Math.min(...currents);
+        const maxI = Math.max(...currents);
+        const maxRate = Math.max(10, ...result.curves.map(curve => Math.max(...curve.points.map(point => point.rate)))) * 1.05;
+        const bottom = this.canvas.height - this.padding;
+
+        const toX = I => this.padding + (I - minI) / Math.max(maxI - minI, 1e-9) * (this.canvas.width - 2 * this.padding);
+        const toY = rate => bottom - rate / maxRate * (bottom - this.padding);
+
+        this.drawAxes(bottom, `Firing rate vs I_stim (0 … ${maxRate.toFixed(0)} Hz)`, `${minI} … ${maxI} μA/cm²`);
+
+        // Coldest first, whatever order the temperatures were given in
+        const curves = result.curves.slice().sort((a, b) => a.temperature - b.temperature);
+        curves.forEach((curve, index) => {
+            const color = this.curveColor(index, curves.length);
+            ctx.strokeStyle = color;
+            ctx.fillStyle = color;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            curve.points.forEach((point, i) => {
+                const x = toX(point.current);
+                const y = toY(point.rate);
+                if (i === 0) {
+                    ctx.moveTo(x, y);
+                } else {
+                    ctx.lineTo(x, y);
+                }
+            });
+            ctx.stroke();
+
+            curve.points.forEach(point => {
+                ctx.beginPath();
+                ctx.arc(toX(point.current), toY(point.rate), 2.5, 0, 2 * Math.PI);
+                ctx.fill();
+            });
+
+            // Rheobase as a tick below the current axis
+            if (curve.rheobase !== null) {
+                const x = toX(curve.rheobase);
+                ctx.beginPath();
+                ctx.moveTo(x, bottom + 2);
+                ctx.lineTo(x - 4, bottom + 10);
+                ctx.lineTo(x + 4, bottom + 10);
+                ctx.closePath();
+                ctx.fill();
+            }
+
+            if (curve.saturationRate !== null) {
+                ctx.setLineDash([4, 4]);
+                ctx.lineWidth = 1;
+                ctx.beginPath();
+                ctx.moveTo(this.padding, toY(curve.saturationRate));
+                ctx.lineTo(this.canvas.width - this.padding, toY(curve.saturationRate));
+                ctx.stroke();
+                ctx.setLineDash([]);
+            }
+
+            const saturation = curve.saturationRate === null ? '' : `, saturates at ${curve.saturationRate.toFixed(0)} Hz` +
+                (curve.blockCurrent === null ? '' : ` (block from ${curve.blockCurrent} μA/cm²)`);
+            ctx.font = '12px sans-serif';
+            ctx.textAlign = 'left';
+            ctx.fillText(`${curve.temperature} °C${saturation}`, this.padding + 10, this.padding + 14 + 16 * index);
+        });
+    }
+
+    drawAxes(bottom, title, rangeLabel) {
+        const ctx = this.context;
+        const colors = FICurvePlot.colors;
+
+        ctx.strokeStyle = colors.axis;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(this.padding, this.padding);
+        ctx.lineTo(this.padding, bottom);
+        ctx.lineTo(this.canvas.width - this.padding, bottom);
+        ctx.stroke();
+
+        ctx.fillStyle = colors.label;
+        ctx.font = '12px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.fillText(title, this.padding, 18);
+        ctx.textAlign = 'right';
+        ctx.fillText(rangeLabel, this.canvas.width - this.padding, this.canvas.height - 10);
+    }
+}
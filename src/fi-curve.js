@@ -0,0 +1,274 @@
+// Frequency-current (F–I) curves, run headless on private model instances. Each step rests the
+// cell without current, then holds I_stim constant; the rate is counted once the onset transient
+// has settled. Rheobase is bisected between the last silent and the first firing step. A cell that
+// fires without current has no rheobase and its curve is flagged as spontaneous. The saturation
+// rate is the peak before depolarization block or the rate of a final plateau, if the range has one.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./neuron-model.js'));
+    } else {
+        root.MiniNeuron = Object.assign(root.MiniNeuron || {}, factory(root.MiniNeuron));
+    }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+    const { NeuronModel } = deps;
+
+    class FICurveExperiment {
+        constructor(options = {}) {
+            const config = Object.assign({}, FICurveExperiment.defaults, options);
+
+            // Current series in μA/cm², durations in ms
+            this.currentFrom = config.currentFrom;
+            this.currentTo = config.currentTo;
+            this.currentStep = config.currentStep;
+            this.restDuration = config.restDuration; // Unrecorded time without current before each step
+            this.settleDuration = config.settleDuration; // Onset transient, spikes count for rheobase only
+            this.measureDuration = config.measureDuration; // Window of the firing rate
+            this.rheobaseTolerance = config.rheobaseTolerance; // Bisection stops at this width (μA/cm²)
+            this.gainPoints = config.gainPoints; // Firing steps above rheobase fitted for the gain
+            this.plateauSlope = config.plateauSlope; // Plateau slopes stay below this fraction of the gain
+            this.plateauPoints = config.plateauPoints; // Fewest steps that make a plateau
+
+            // One curve per temperature (°C), an empty list uses the temperature of modelOptions
+            this.temperatures = config.temperatures;
+
+            // Passed to every NeuronModel instance, e.g. model.toOptions() of the live model
+            this.modelOptions = config.modelOptions;
+
+            if (!(this.currentStep > 0)) {
+                throw new Error(`Invalid current step: ${this.currentStep}`);
+            }
+            if (!(this.currentTo >= this.currentFrom)) {
+                throw new Error(`Invalid current range: ${this.currentFrom} … ${this.currentTo}`);
+            }
+            if (!(this.measureDuration > 0) || !(this.settleDuration >= 0) || !(this.restDuration >= 0)) {
+                throw new Error('Step durations must be positive');
+            }
+            if (!Array.isArray(this.temperatures) || this.temperatures.some(T => !Number.isFinite(T))) {
+                throw new Error(`Invalid temperatures: ${this.temperatures}`);
+            }
+        }
+
+        static get defaults() {
+            return {
+                currentFrom: 0,
+                currentTo: 20,
+                currentStep: 1,
+                restDuration: 200,
+                settleDuration: 100,
+                measureDuration: 400,
+                rheobaseTolerance: 0.05,
+                gainPoints: 4,
+                plateauSlope: 0.1,
+                plateauPoints: 3,
+                temperatures: [],
+                modelOptions: {}
+            };
+        }
+
+        currents() {
+            const currents = [];
+            for (let I = this.currentFrom; I <= this.currentTo + 1e-9; I += this.currentStep) {
+                currents.push(Math.round(I * 1e9) / 1e9);
+            }
+            return currents;
+        }
+
+        temperatureList() {
+            if (this.temperatures.length) return this.temperatures.slice();
+            const temperature = this.modelOptions.temperature;
+            return [temperature === undefined ? NeuronModel.defaults.temperature : temperature];
+        }
+
+        // Number of runStep calls of a full run before rheobase bisection
+        get stepCount() {
+            return this.currents().length * this.temperatureList().length;
+        }
+
+        // Constant current from rest: spike times from the step onset and the rate in the measurement window.
+        // restSpikes counts spikes before the step, while the cell has no current at all. The start-up
+        // transient of a fresh model (one spike of the default HH cell) is left out like the onset one.
+        runStep(temperature, current) {
+            const model = new NeuronModel(Object.assign({}, this.modelOptions, { temperature, I_stim: 0 }));
+            let restSpikes = 0;
+            const unsubscribeRest = model.on('spike', ({ time }) => {
+                if (time >= this.settleDuration) restSpikes++;
+            });
+            model.run(this.restDuration);
+            unsubscribeRest();
+
+            const start = model.time;
+            const spikeTimes = [];
+            const unsubscribe = model.on('spike', ({ time }) => spikeTimes.push(time - start));
+            model.setParameter('I_stim', current);
+            model.run(this.settleDuration + this.measureDuration);
+            unsubscribe();
+
+            const counted = spikeTimes.filter(time => time >= this.settleDuration).length;
+            return {
+                current,
+                rate: counted / this.measureDuration * 1000,
+                spikes: spikeTimes.length,
+                restSpikes,
+                latency: spikeTimes.length ? spikeTimes[0] : null
+            };
+        }
+
+        // Slope (Hz per μA/cm²) of a least-squares line through the first firing points
+        measureGain(points) {
+            const firing = points.filter(point => point.rate > 0).slice(0, this.gainPoints);
+            if (firing.length < 2) return null;
+
+            const n = firing.length;
+            const meanI = firing.reduce((sum, point) => sum + point.current, 0) / n;
+            const meanF = firing.reduce((sum, point) => sum + point.rate, 0) / n;
+            let covariance = 0;
+            let variance = 0;
+            firing.forEach(point => {
+                covariance += (point.current - meanI) * (point.rate - meanF);
+                variance += (point.current - meanI) * (point.current - meanI);
+            });
+            return variance > 0 ? covariance / variance : null;
+        }
+
+        // Peak rate before depolarization block, where a higher current drops below half the peak, or
+        // the mean rate of the final plateau. Both rates are null when the range shows neither.
+        measureSaturation(points, gain) {
+            const none = { saturationRate: null, blockCurrent: null };
+            const peak = points.reduce((best, point) => point.rate > best.rate ? point : best, points[0]);
+            if (!(peak.rate > 0)) return none;
+
+            const block = points.slice(points.indexOf(peak) + 1).find(point => point.rate < peak.rate / 2);
+            if (block) return { saturationRate: peak.rate, blockCurrent: block.current };
+            if (!(gain > 0)) return none;
+
+            // Walk back from the last step while the curve stays flat, the first firing step never counts
+            const first = points.findIndex(point => point.rate > 0);
+            let start = points.length - 1;
+            while (start - 1 > first) {
+                const [previous, point] = [points[start - 1], points[start]];
+                if ((point.rate - previous.rate) / (point.current - previous.current) >= this.plateauSlope * gain) break;
+                start--;
+            }
+            const plateau = points.slice(start);
+            if (plateau.length < this.plateauPoints) return none;
+            return {
+                saturationRate: plateau.reduce((sum, point) => sum + point.rate, 0) / plateau.length,
+                blockCurrent: null
+            };
+        }
+
+        // Yields after every model run so callers can report progress or give way to the page
+        *curve(temperature) {
+            const points = [];
+            for (const current of this.currents()) {
+                points.push(this.runStep(temperature, current));
+                yield { temperature, current };
+            }
+
+            // Firing without current, during the rest of any step or in the window of a first step at or below 0
+            const first = points.findIndex(point => point.spikes > 0);
+            const spontaneous = points.some(point => point.restSpikes > 0) ||
+                (points[0].current <= 0 && points[0].rate > 0);
+
+            // Lowest current with at least one spike, null when the range never fires or the cell fires
+            // on its own. The silent rest brackets a range that already fires at its first step.
+            let rheobase = null;
+            if (!spontaneous && first >= 0) {
+                let silent = first > 0 ? points[first - 1].current : 0;
+                let firing = points[first].current;
+                while (firing - silent > this.rheobaseTolerance) {
+                    const middle = (silent + firing) / 2;
+                    if (this.runStep(temperature, middle).spikes > 0) {
+                        firing = middle;
+                    } else {
+                        silent = middle;
+                    }
+                    yield { temperature, current: middle };
+                }
+                rheobase = firing;
+            }
+
+            const gain = this.measureGain(points);
+            return Object.assign({
+                temperature,
+                points,
+                rheobase,
+                spontaneous,
+                gain
+            }, this.measureSaturation(points, gain));
+        }
+
+        *steps() {
+            const curves = [];
+            for (const temperature of this.temperatureList()) {
+                curves.push(yield* this.curve(temperature));
+            }
+            return { curves };
+        }
+
+        run() {
+            const steps = this.steps();
+            let next = steps.next();
+            while (!next.done) next = steps.next();
+            return next.value;
+        }
+
+        // Same as run(), handing control back to the event loop between model runs.
+        // onProgress receives { temperature, current, done, total }; done counts sweep steps only.
+        async runAsync(onProgress = () => {}) {
+            const steps = this.steps();
+            const total = this.stepCount;
+            let done = 0;
+            let next = steps.next();
+            while (!next.done) {
+                done = Math.min(total, done + 1);
+                onProgress(Object.assign({ done, total }, next.value));
+                await new Promise(resolve => setTimeout(resolve, 0));
+                next = steps.next();
+            }
+            return next.value;
+        }
+
+        // One row per current, one rate column per temperature, then one row per curve measure.
+        // Measures a curve does not have are left empty.
+        exportCSV(result) {
+            const header = ['I_stim (uA/cm2)'].concat(result.curves.map(curve => `rate at ${curve.temperature} C (Hz)`));
+            const lines = [header.join(',')];
+            this.currents().forEach((current, i) => {
+                lines.push([current].concat(result.curves.map(curve => curve.points[i].rate)).join(','));
+            });
+            [
+                ['rheobase (uA/cm2)', 'rheobase'],
+                ['gain (Hz per uA/cm2)', 'gain'],
+                ['saturation rate (Hz)', 'saturationRate'],
+                ['depolarization block from (uA/cm2)', 'blockCurrent']
+            ].forEach(([label, key]) => {
+                lines.push([label].concat(result.curves.map(curve => curve[key] === null ? '' : curve[key])).join(','));
+            });
+            return lines.join('\n') + '\n';
+        }
+
+        exportJSON(result) {
+            return {
+                schema: 'minineuron.fi-curve/v1',
+                settings: {
+                    currentFrom: this.currentFrom,
+                    currentTo: this.currentTo,
+                    currentStep: this.currentStep,
+                    restDuration: this.restDuration,
+                    settleDuration: this.settleDuration,
+                    measureDuration: this.measureDuration,
+                    rheobaseTolerance: this.rheobaseTolerance,
+                    gainPoints: this.gainPoints,
+                    plateauSlope: this.plateauSlope,
+                    plateauPoints: this.plateauPoints,
+                    modelOptions: this.modelOptions
+                },
+                units: { current: 'uA/cm2', rate: 'Hz', gain: 'Hz per uA/cm2', latency: 'ms', temperature: 'C' },
+                curves: result.curves
+            };
+        }
+    }
+
+    return { FICurveExperiment };
+});
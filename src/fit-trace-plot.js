@@ -0,0 +1,85 @@
+// Draws a trace fit: the target trace in grey with the best fit so far on top. Both traces have
+// their time from 0 ms, the fit may be missing before the first evaluation.
+class FitTracePlot {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.padding = 30;
+    }
+
+    static get colors() {
+        return {
+            axis: 'rgba(255, 255, 255, 0.3)',
+            label: '#b0b0b0',
+            target: 'rgba(255, 255, 255, 0.55)',
+            fit: '#00d4ff'
+        };
+    }
+
+    draw(target, fit, title = 'Target') {
+        const ctx = this.context;
+        if (!ctx) return;
+
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        if (!target) return;
+
+        // Recordings can be too long to spread into Math.min
+        let min = Infinity;
+        let max = -Infinity;
+        (fit ? [target, fit] : [target]).forEach(trace => trace.V.forEach(V => {
+            min = Math.min(min, V);
+            max = Math.max(max, V);
+        }));
+        const range = {
+            min: min - 2,
+            max: max > min ? max + 2 : min + 4
+        };
+        const duration = target.time[target.time.length - 1];
+
+        this.drawAxes(`${title} (${range.min.toFixed(0)} … ${range.max.toFixed(0)} mV)`, `0 … ${duration.toFixed(0)} ms`);
+        this.drawTrace(target, duration, range, FitTracePlot.colors.target);
+        if (fit) this.drawTrace(fit, duration, range, FitTracePlot.colors.fit);
+    }
+
+    drawTrace(trace, duration, range, color) {
+        const ctx = this.context;
+        const width = this.canvas.width - 2 * this.padding;
+        const height = this.canvas.height - 2 * this.padding;
+        const toX = t => this.padding + t / (duration || 1) * width;
+        const toY = V => this.canvas.height - this.padding - (V - range.min) / (range.max - range.min) * height;
+
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        trace.time.forEach((t, i) => {
+            if (t > duration) return;
+            if (i === 0) {
+                ctx.moveTo(toX(t), toY(trace.V[i]));
+            } else {
+                ctx.lineTo(toX(t), toY(trace.V[i]));
+            }
+        });
+        ctx.stroke();
+    }
+
+    drawAxes(title, rangeLabel) {
+        const ctx = this.context;
+        const colors = FitTracePlot.colors;
+        const bottom = this.canvas.height - this.padding;
+
+        ctx.strokeStyle = colors.axis;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(this.padding, this.padding);
+        ctx.lineTo(this.padding, bottom);
+        ctx.lineTo(this.canvas.width - this.padding, bottom);
+        ctx.stroke();
+
+        ctx.fillStyle = colors.label;
+        ctx.font = '12px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.fillText(title, this.padding, 18);
+        ctx.textAlign = 'right';
+        ctx.fillText(rangeLabel, this.canvas.width - this.padding, this.canvas.height - 10);
+    }
+}
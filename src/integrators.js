@@ -0,0 +1,200 @@
+// Numerical integrators for the neuron models.
+// A system exposes derivatives(y, t) -> dy/dt, and for exponential Euler also
+// gateIndices plus gateKinetics(y, t) -> { inf, tau } arrays aligned with gateIndices.
+// Every integrator advances the state by exactly dt and returns a new array. maxTimeStep is the
+// largest dt (ms) that keeps the Hodgkin-Huxley equations stable, larger steps run off to NaN.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.MiniNeuron = Object.assign(root.MiniNeuron || {}, factory());
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // y + scale * k, element-wise
+    function addScaled(y, k, scale) {
+        const result = new Array(y.length);
+        for (let i = 0; i < y.length; i++) {
+            result[i] = y[i] + scale * k[i];
+        }
+        return result;
+    }
+
+    class EulerIntegrator {
+        get label() { return 'Forward Euler'; }
+
+        static get maxTimeStep() { return 0.05; }
+
+        step(system, y, t, dt) {
+            return addScaled(y, system.derivatives(y, t), dt);
+        }
+    }
+
+    class RK4Integrator {
+        get label() { return 'Runge-Kutta 4'; }
+
+        static get maxTimeStep() { return 0.05; }
+
+        step(system, y, t, dt) {
+            const k1 = system.derivatives(y, t);
+            const k2 = system.derivatives(addScaled(y, k1, dt / 2), t + dt / 2);
+            const k3 = system.derivatives(addScaled(y, k2, dt / 2), t + dt / 2);
+            const k4 = system.derivatives(addScaled(y, k3, dt), t + dt);
+
+            return y.map((value, i) =>
+                value + dt / 6 * (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i])
+            );
+        }
+    }
+
+    // Rush-Larsen: gates are advanced with their exact exponential solution at frozen voltage,
+    // the remaining variables with forward Euler. Stable for gates at any step size, the forward
+    // Euler voltage still limits dt.
+    class ExponentialEulerIntegrator {
+        get label() { return 'Exponential Euler (Rush-Larsen)'; }
+
+        static get maxTimeStep() { return 0.05; }
+
+        step(system, y, t, dt) {
+            const next = addScaled(y, system.derivatives(y, t), dt);
+
+            if (system.gateIndices && system.gateKinetics) {
+                const { inf, tau } = system.gateKinetics(y, t);
+                system.gateIndices.forEach((index, i) => {
+                    next[index] = inf[i] + (y[index] - inf[i]) * Math.exp(-dt / tau[i]);
+                });
+            }
+
+            return next;
+        }
+    }
+
+    // Dormand-Prince 5(4) tableau
+    const DP_C = [0, 1 / 5, 3 / 10, 4 / 5, 8 / 9, 1, 1];
+    const DP_A = [
+        [],
+        [1 / 5],
+        [3 / 40, 9 / 40],
+        [44 / 45, -56 / 15, 32 / 9],
+        [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+        [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+        [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84]
+    ];
+    const DP_B5 = [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84, 0];
+    const DP_B4 = [5179 / 57600, 0, 7571 / 16695, 393 / 640, -92097 / 339200, 187 / 2100, 1 / 40];
+
+    // Adaptive Dormand-Prince RK45. Subdivides each requested dt into internal steps whose
+    // size is chosen from the embedded 4th/5th order error estimate.
+    class AdaptiveRK45Integrator {
+        constructor(options = {}) {
+            const config = Object.assign({}, AdaptiveRK45Integrator.defaults, options);
+
+            this.rtol = config.rtol;
+            this.atol = config.atol;
+            this.minStep = config.minStep;
+            this.stepSize = null; // Last proposed internal step, carried between calls
+            this.stats = { accepted: 0, rejected: 0 };
+        }
+
+        static get defaults() {
+            return {
+                rtol: 1e-6,
+                atol: 1e-6,
+                minStep: 1e-6
+            };
+        }
+
+        get label() { return 'Adaptive RK45 (Dormand-Prince)'; }
+
+        // Internal steps shrink as needed, any dt is stable
+        static get maxTimeStep() { return Infinity; }
+
+        attempt(system, y, t, h) {
+            const k = [];
+            for (let stage = 0; stage < 7; stage++) {
+                const yStage = y.slice();
+                DP_A[stage].forEach((a, j) => {
+                    if (a === 0) return;
+                    for (let i = 0; i < y.length; i++) {
+                        yStage[i] += h * a * k[j][i];
+                    }
+                });
+                k.push(system.derivatives(yStage, t + DP_C[stage] * h));
+            }
+
+            const y5 = y.slice();
+            let errorSum = 0;
+            for (let i = 0; i < y.length; i++) {
+                let high = 0;
+                let low = 0;
+                for (let stage = 0; stage < 7; stage++) {
+                    high += DP_B5[stage] * k[stage][i];
+                    low += DP_B4[stage] * k[stage][i];
+                }
+                y5[i] += h * high;
+
+                const scale = this.atol + this.rtol * Math.max(Math.abs(y[i]), Math.abs(y5[i]));
+                errorSum += Math.pow(h * (high - low) / scale, 2);
+            }
+
+            return { y: y5, error: Math.sqrt(errorSum / y.length) };
+        }
+
+        step(system, y, t, dt) {
+            let current = y;
+            let time = t;
+            let remaining = dt;
+            let h = Math.min(this.stepSize || dt, dt);
+
+            while (remaining > dt * 1e-9) {
+                const truncated = h >= remaining;
+                if (truncated) h = remaining;
+
+                const { y: candidate, error } = this.attempt(system, current, time, h);
+                const accepted = error <= 1 || h <= this.minStep;
+
+                if (accepted) {
+                    current = candidate;
+                    time += h;
+                    remaining -= h;
+                    this.stats.accepted++;
+                } else {
+                    this.stats.rejected++;
+                }
+
+                // Standard safety-factor controller, growth limited to [0.2, 5]
+                const factor = error === 0 ? 5 : Math.min(5, Math.max(0.2, 0.9 * Math.pow(error, -1 / 5)));
+                const proposal = Math.max(this.minStep, h * factor);
+                if (!(accepted && truncated)) {
+                    this.stepSize = proposal;
+                }
+                h = proposal;
+            }
+
+            return current;
+        }
+    }
+
+    const INTEGRATORS = {
+        'euler': EulerIntegrator,
+        'rk4': RK4Integrator,
+        'exponential-euler': ExponentialEulerIntegrator,
+        'rk45': AdaptiveRK45Integrator
+    };
+
+    function createIntegrator(name, options = {}) {
+        const Integrator = INTEGRATORS[name];
+        if (!Integrator) {
+            throw new Error(`Unknown integrator '${name}'`);
+        }
+        return new Integrator(options);
+    }
+
+    return {
+        EulerIntegrator,
+        RK4Integrator,
+        ExponentialEulerIntegrator,
+        AdaptiveRK45Integrator,
+        INTEGRATORS,
+        createIntegrator
+    };
+});
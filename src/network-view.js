@@ -0,0 +1,216 @@
+// Draws a Network: neurons coloured by their membrane potential and wired by arrows (excitatory)
+// or bars (inhibitory) on one canvas, the spike raster and the population rate on another.
+class NetworkView {
+    constructor(networkCanvas, rasterCanvas) {
+        this.canvas = networkCanvas;
+        this.context = networkCanvas.getContext('2d');
+        this.rasterCanvas = rasterCanvas;
+        this.rasterContext = rasterCanvas ? rasterCanvas.getContext('2d') : null;
+        this.radius = 18;
+        this.padding = 30;
+        this.window = 1000; // ms of raster shown
+        this.binWidth = 10; // ms per population-rate bin
+    }
+
+    static get colors() {
+        return {
+            axis: 'rgba(255, 255, 255, 0.3)',
+            label: '#e0e0e0',
+            muted: '#b0b0b0',
+            excitatory: '#00b894',
+            inhibitory: '#ff6b6b',
+            selection: '#fdcb6e',
+            spike: '#74b9ff',
+            rate: '#fdcb6e'
+        };
+    }
+
+    // Same scale as the cable colours of the neuron: blue at -90 mV, red at +30 mV
+    voltageColor(V) {
+        const fraction = Math.min(1, Math.max(0, (V + 90) / 120));
+        return `hsl(${240 - 240 * fraction}, 80%, 55%)`;
+    }
+
+    toCanvas(neuron) {
+        return { x: neuron.x * this.canvas.width, y: neuron.y * this.canvas.height };
+    }
+
+    // Position of a pointer event in network units (0…1), whatever the CSS size of the canvas
+    positionOf(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: Math.min(1, Math.max(0, (event.clientX - rect.left) / Math.max(rect.width, 1))),
+            y: Math.min(1, Math.max(0, (event.clientY - rect.top) / Math.max(rect.height, 1)))
+        };
+    }
+
+    neuronAt(network, position) {
+        return network.neurons.find(neuron => {
+            const center = this.toCanvas(neuron);
+            const dx = position.x * this.canvas.width - center.x;
+            const dy = position.y * this.canvas.height - center.y;
+            return dx * dx + dy * dy <= this.radius * this.radius;
+        }) || null;
+    }
+
+    draw(network, selected = null) {
+        this.drawNetwork(network, selected);
+        this.drawRaster(network);
+    }
+
+    drawNetwork(network, selected) {
+        const ctx = this.context;
+        if (!ctx) return;
+
+        const colors = NetworkView.colors;
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+        network.connections.forEach(connection => {
+            const from = this.toCanvas(network.neuron(connection.from));
+            const to = this.toCanvas(network.neuron(connection.to));
+            this.drawConnection(from, to, connection);
+        });
+
+        network.neurons.forEach(neuron => {
+            const { x, y } = this.toCanvas(neuron);
+            ctx.fillStyle = this.voltageColor(neuron.model.V);
+            ctx.beginPath();
+            ctx.arc(x, y, this.radius, 0, 2 * Math.PI);
+            ctx.fill();
+
+            if (neuron.name === selected) {
+                ctx.strokeStyle = colors.selection;
+                ctx.lineWidth = 3;
+                ctx.stroke();
+            }
+
+            ctx.fillStyle = colors.label;
+            ctx.font = '12px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.fillText(neuron.name, x, y + 4);
+            ctx.fillStyle = colors.muted;
+            ctx.fillText(`${neuron.model.I_stim.toFixed(1)} μA/cm²`, x, y + this.radius + 14);
+        });
+
+        if (!network.neurons.length) {
+            ctx.fillStyle = colors.muted;
+            ctx.font = '14px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.fillText('Click to place a neuron', this.canvas.width / 2, this.canvas.height / 2);
+        }
+    }
+
+    // Reciprocal pairs are drawn side by side, offset to the left of their direction
+    drawConnection(from, to, connection) {
+        const ctx = this.context;
+        const colors = NetworkView.colors;
+        const dx = to.x - from.x;
+        const dy = to.y - from.y;
+        const length = Math.hypot(dx, dy);
+        if (length < 2 * this.radius) return;
+
+        const ux = dx / length;
+        const uy = dy / length;
+        const offset = 5;
+        const start = { x: from.x + ux * this.radius - uy * offset, y: from.y + uy * this.radius + ux * offset };
+        const end = { x: to.x - ux * (this.radius + 2) - uy * offset, y: to.y - uy * (this.radius + 2) + ux * offset };
+        const excitatory = connection.type === 'excitatory';
+
+        ctx.strokeStyle = excitatory ? colors.excitatory : colors.inhibitory;
+        ctx.fillStyle = ctx.strokeStyle;
+        ctx.lineWidth = Math.min(6, 1 + Math.log(1 + connection.weight));
+        ctx.beginPath();
+        ctx.moveTo(start.x, start.y);
+        ctx.lineTo(end.x, end.y);
+        ctx.stroke();
+
+        ctx.beginPath();
+        if (excitatory) {
+            // Arrow head
+            ctx.moveTo(end.x, end.y);
+            ctx.lineTo(end.x - ux * 10 - uy * 5, end.y - uy * 10 + ux * 5);
+            ctx.lineTo(end.x - ux * 10 + uy * 5, end.y - uy * 10 - ux * 5);
+            ctx.closePath();
+            ctx.fill();
+        } else {
+            // Flat bar, the usual symbol of inhibition
+            ctx.moveTo(end.x - uy * 7, end.y + ux * 7);
+            ctx.lineTo(end.x + uy * 7, end.y - ux * 7);
+            ctx.stroke();
+        }
+    }
+
+    // Raster of the last window above the population rate in binWidth bins
+    drawRaster(network) {
+        const ctx = this.rasterContext;
+        if (!ctx) return;
+
+        const colors = NetworkView.colors;
+        const width = this.rasterCanvas.width;
+        const height = this.rasterCanvas.height;
+        const end = Math.max(network.time, this.window);
+        const start = end - this.window;
+        const rasterHeight = height * 0.6;
+        const rows = Math.max(network.neurons.length, 1);
+        const toX = t => this.padding + (t - start) / this.window * (width - 2 * this.padding);
+
+        ctx.clearRect(0, 0, width, height);
+
+        ctx.fillStyle = colors.muted;
+        ctx.font = '12px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.fillText('Raster', this.padding, 14);
+
+        ctx.strokeStyle = colors.spike;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        const rowHeight = (rasterHeight - 20) / rows;
+        network.spikes.forEach(({ neuron, time }) => {
+            if (time < start) return;
+            const x = toX(time);
+            const y = 20 + neuron * rowHeight;
+            ctx.moveTo(x, y + 2);
+            ctx.lineTo(x, y + rowHeight - 2);
+        });
+        ctx.stroke();
+
+        // Row labels
+        ctx.fillStyle = colors.muted;
+        ctx.textAlign = 'right';
+        network.neurons.forEach((neuron, i) => {
+            ctx.fillText(neuron.name, this.padding - 4, 20 + (i + 0.5) * rowHeight + 4);
+        });
+
+        // Population rate
+        const rates = network.rateHistogram(this.binWidth, start, end);
+        const maxRate = Math.max(50, ...rates);
+        const rateTop = rasterHeight + 10;
+        const rateBottom = height - 20;
+        ctx.strokeStyle = colors.axis;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(this.padding, rateBottom);
+        ctx.lineTo(width - this.padding, rateBottom);
+        ctx.stroke();
+
+        ctx.strokeStyle = colors.rate;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        rates.forEach((rate, i) => {
+            const x = toX(start + (i + 0.5) * this.binWidth);
+            const y = rateBottom - rate / maxRate * (rateBottom - rateTop);
+            if (i === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+        ctx.stroke();
+
+        ctx.fillStyle = colors.muted;
+        ctx.textAlign = 'left';
+        ctx.fillText(`Population rate (0 … ${maxRate.toFixed(0)} Hz)`, this.padding, rateTop);
+        ctx.textAlign = 'right';
+        ctx.fillText(`${(start / 1000).toFixed(1)} … ${(end / 1000).toFixed(1)} s`, width - this.padding, height - 4);
+    }
+}
@@ -0,0 +1,306 @@
+// Small networks of NeuronModel instances stepped in lockstep. A connection runs from one of the
+// source neuron's output boutons to a synapse on the target, so every release arrives after the
+// axonal delay, scaled by the bouton's short-term plasticity and the connection weight.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({}, require('./event-emitter.js'), require('./neuron-model.js')));
+    } else {
+        root.MiniNeuron = Object.assign(root.MiniNeuron || {}, factory(root.MiniNeuron));
+    }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+    const { EventEmitter, NeuronModel } = deps;
+
+    // Receptors of the target synapse and the section it sits on by default
+    const CONNECTION_TYPES = {
+        excitatory: { label: 'Excitatory (AMPA + NMDA)', receptors: ['AMPA', 'NMDA'], section: 'apical' },
+        inhibitory: { label: 'Inhibitory (GABA-A)', receptors: ['GABA_A'], section: 'soma' },
+        'slow-inhibitory': { label: 'Slow inhibitory (GABA-A + GABA-B)', receptors: ['GABA_A', 'GABA_B'], section: 'soma' }
+    };
+
+    // Circuits for the classroom, positions are in the units of the network view (0…1)
+    const NETWORK_PRESETS = {
+        'feedforward-chain': {
+            label: 'Feedforward chain',
+            neurons: [
+                { name: 'A', x: 0.15, y: 0.5, I_stim: 10 },
+                { name: 'B', x: 0.38, y: 0.5 },
+                { name: 'C', x: 0.62, y: 0.5 },
+                { name: 'D', x: 0.85, y: 0.5 }
+            ],
+            connections: [
+                { from: 'A', to: 'B', type: 'excitatory', weight: 12, delay: 3 },
+                { from: 'B', to: 'C', type: 'excitatory', weight: 12, delay: 3 },
+                { from: 'C', to: 'D', type: 'excitatory', weight: 12, delay: 3 }
+            ]
+        },
+        'reciprocal-inhibition': {
+            label: 'Reciprocal inhibition',
+            // Winner takes all: the GABA-B part (150 ms decay) sums over the stronger cell's train and holds
+            // the other one down, about 0.4 mS/cm² of GABA-A per release. Fast GABA-A alone only locks
+            // the two in step at any realistic weight.
+            neurons: [
+                { name: 'A', x: 0.3, y: 0.5, I_stim: 10 },
+                { name: 'B', x: 0.7, y: 0.5, I_stim: 8 }
+            ],
+            connections: [
+                { from: 'A', to: 'B', type: 'slow-inhibitory', weight: 30, delay: 2 },
+                { from: 'B', to: 'A', type: 'slow-inhibitory', weight: 30, delay: 2 }
+            ]
+        },
+        'half-center': {
+            label: 'Half-center oscillator (CPG)',
+            // Adapting AdEx cells: the bursting side tires and releases the other one.
+            // Hodgkin-Huxley cells rebound from every IPSP and only alternate single spikes.
+            neuronOptions: { cellModel: 'adex', cellOptions: { b: 0.5, tau_w: 400 } },
+            neurons: [
+                { name: 'Flexor', x: 0.3, y: 0.5, I_stim: 6 },
+                { name: 'Extensor', x: 0.7, y: 0.5, I_stim: 5.9 }
+            ],
+            connections: [
+                { from: 'Flexor', to: 'Extensor', type: 'inhibitory', weight: 50, delay: 2 },
+                { from: 'Extensor', to: 'Flexor', type: 'inhibitory', weight: 50, delay: 2 }
+            ]
+        }
+    };
+
+    class Network extends EventEmitter {
+        constructor(options = {}) {
+            super();
+            const config = Object.assign({}, Network.defaults, options);
+
+            this.timeStep = config.timeStep;
+            this.neuronOptions = config.neuronOptions; // Passed to every NeuronModel
+            this.spikeCapacity = config.spikeCapacity; // Raster entries kept
+            this.neurons = [];
+            this.connections = [];
+            this.nextConnectionId = 1;
+            this.reset();
+        }
+
+        static get defaults() {
+            return {
+                timeStep: 0.05,
+                neuronOptions: {},
+                spikeCapacity: 20000
+            };
+        }
+
+        neuron(name) {
+            const neuron = this.neurons.find(candidate => candidate.name === name);
+            if (!neuron) {
+                throw new Error(`Unknown neuron '${name}'`);
+            }
+            return neuron;
+        }
+
+        // options: name, x, y (view position), I_stim and NeuronModel options
+        addNeuron(options = {}) {
+            const name = options.name || this.freeName();
+            if (this.neurons.some(neuron => neuron.name === name)) {
+                throw new Error(`Duplicate neuron '${name}'`);
+            }
+
+            const { x = 0.5, y = 0.5 } = options;
+            const modelOptions = Object.assign({}, this.neuronOptions, options, { timeStep: this.timeStep });
+            delete modelOptions.name;
+            delete modelOptions.x;
+            delete modelOptions.y;
+            // Independent background input per neuron
+            modelOptions.synapticInput = Object.assign({ seed: this.neurons.length + 1 }, modelOptions.synapticInput);
+
+            const model = new NeuronModel(modelOptions);
+            const neuron = { name, x, y, model, unsubscribe: null };
+            const index = () => this.neurons.indexOf(neuron);
+
+            const unsubscribeSpike = model.on('spike', ({ time }) => {
+                this.spikes.push({ neuron: index(), time });
+                if (this.spikes.length > this.spikeCapacity) {
+                    this.spikes.shift();
+                }
+                this.emit('spike', { neuron: name, time });
+            });
+            const unsubscribeRelease = model.boutons.on('release', (release) => this.transmit(neuron, release));
+            neuron.unsubscribe = () => {
+                unsubscribeSpike();
+                unsubscribeRelease();
+            };
+
+            this.neurons.push(neuron);
+            this.emit('neuronadd', { name });
+            return neuron;
+        }
+
+        freeName() {
+            let i = this.neurons.length + 1;
+            while (this.neurons.some(neuron => neuron.name === `N${i}`)) i++;
+            return `N${i}`;
+        }
+
+        removeNeuron(name) {
+            const neuron = this.neuron(name);
+            this.connections
+                .filter(connection => connection.from === name || connection.to === name)
+                .forEach(connection => this.removeConnection(connection.id));
+
+            // Raster rows follow the neuron order
+            const index = this.neurons.indexOf(neuron);
+            this.spikes = this.spikes
+                .filter(spike => spike.neuron !== index)
+                .map(spike => spike.neuron > index ? { neuron: spike.neuron - 1, time: spike.time } : spike);
+
+            neuron.unsubscribe();
+            this.neurons.splice(index, 1);
+            this.emit('neuronremove', { name });
+        }
+
+        // from/to: neuron names; bouton of the source, section of the target, weight and delay (ms)
+        addConnection(options) {
+            const config = Object.assign({ type: 'excitatory', weight: 1, delay: 2, bouton: 'bouton-3' }, options);
+            const type = CONNECTION_TYPES[config.type];
+            if (!type) {
+                throw new Error(`Unknown connection type '${config.type}'`);
+            }
+            const source = this.neuron(config.from);
+            const target = this.neuron(config.to);
+            if (!source.model.boutons.boutons.some(bouton => bouton.name === config.bouton)) {
+                throw new Error(`Neuron '${config.from}' has no bouton '${config.bouton}'`);
+            }
+            if (typeof config.weight !== 'number' || !Number.isFinite(config.weight) || config.weight < 0) {
+                throw new Error(`Invalid connection weight: ${config.weight}`);
+            }
+            if (typeof config.delay !== 'number' || !Number.isFinite(config.delay) || config.delay < this.timeStep) {
+                throw new Error(`Connection delay must be at least one time step (${this.timeStep} ms)`);
+            }
+
+            const id = this.nextConnectionId++;
+            const synapse = `${config.from}->${config.to}#${id}`;
+            const section = config.section || type.section;
+            target.model.synapses.addSynapse({
+                name: synapse,
+                section,
+                receptors: type.receptors,
+                weight: config.weight,
+                poisson: false
+            });
+
+            const connection = {
+                id, from: config.from, to: config.to, type: config.type, bouton: config.bouton, section,
+                weight: config.weight, delay: config.delay, synapse
+            };
+            this.connections.push(connection);
+            this.emit('connectionadd', Object.assign({}, connection));
+            return connection;
+        }
+
+        removeConnection(id) {
+            const index = this.connections.findIndex(connection => connection.id === id);
+            if (index < 0) {
+                throw new Error(`Unknown connection ${id}`);
+            }
+            const [connection] = this.connections.splice(index, 1);
+            this.neuron(connection.to).model.synapses.removeSynapse(connection.synapse);
+            this.emit('connectionremove', { id });
+        }
+
+        setConnectionWeight(id, weight) {
+            const connection = this.connections.find(candidate => candidate.id === id);
+            if (!connection) {
+                throw new Error(`Unknown connection ${id}`);
+            }
+            if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+                throw new Error(`Invalid connection weight: ${weight}`);
+            }
+            connection.weight = weight;
+            const synapses = this.neuron(connection.to).model.synapses;
+            synapses.synapses.find(synapse => synapse.name === connection.synapse).weight = weight;
+        }
+
+        // A release at a source bouton, relative to the first release from a rested pool
+        transmit(source, { name, time, released }) {
+            const bouton = source.model.boutons.boutons.find(candidate => candidate.name === name);
+            this.connections.forEach(connection => {
+                if (connection.from !== source.name || connection.bouton !== name) return;
+                this.neuron(connection.to).model.synapses
+                    .queueSpike(connection.synapse, time + connection.delay, released / bouton.U);
+            });
+        }
+
+        clear() {
+            this.neurons.slice().forEach(neuron => this.removeNeuron(neuron.name));
+            this.nextConnectionId = 1;
+            this.reset();
+        }
+
+        // Replaces the network by one of NETWORK_PRESETS
+        loadPreset(name) {
+            const preset = NETWORK_PRESETS[name];
+            if (!preset) {
+                throw new Error(`Unknown network preset '${name}'`);
+            }
+            this.load(preset);
+            this.emit('presetload', { name });
+        }
+
+        // Replaces the network by a definition shaped like NETWORK_PRESETS, e.g. from toJSON()
+        load(definition) {
+            this.clear();
+            definition.neurons.forEach(neuron => this.addNeuron(Object.assign({}, definition.neuronOptions, neuron)));
+            definition.connections.forEach(connection => this.addConnection(connection));
+        }
+
+        reset() {
+            this.time = 0;
+            this.spikes = [];
+            this.neurons.forEach(neuron => neuron.model.reset());
+        }
+
+        step() {
+            this.neurons.forEach(neuron => neuron.model.step());
+            this.time += this.timeStep;
+            this.emit('step', { time: this.time });
+        }
+
+        run(duration) {
+            const steps = Math.round(duration / this.timeStep);
+            for (let i = 0; i < steps; i++) {
+                this.step();
+            }
+        }
+
+        // Mean firing rate (Hz) per neuron over the window (ms) ending now
+        populationRate(window = 100) {
+            if (!this.neurons.length) return 0;
+            const start = this.time - window;
+            let count = 0;
+            for (let i = this.spikes.length - 1; i >= 0 && this.spikes[i].time > start; i--) {
+                count++;
+            }
+            return count / this.neurons.length / (Math.min(window, Math.max(this.time, this.timeStep)) / 1000);
+        }
+
+        // Population rate (Hz per neuron) in consecutive bins of binWidth ms from start to end
+        rateHistogram(binWidth, start, end) {
+            const bins = new Array(Math.max(1, Math.ceil((end - start) / binWidth))).fill(0);
+            this.spikes.forEach(({ time }) => {
+                if (time < start || time >= end) return;
+                bins[Math.floor((time - start) / binWidth)]++;
+            });
+            const scale = this.neurons.length ? 1000 / binWidth / this.neurons.length : 0;
+            return bins.map(count => count * scale);
+        }
+
+        // Cell models are stored per neuron, presets like the half-center set them on every neuron
+        toJSON() {
+            return {
+                neuronOptions: this.neuronOptions,
+                neurons: this.neurons.map(({ name, x, y, model }) => ({
+                    name, x, y, I_stim: model.stimulusBaseline, cellModel: model.cellModelName, cellOptions: model.cellOptions
+                })),
+                connections: this.connections.map(({ from, to, type, bouton, section, weight, delay }) =>
+                    ({ from, to, type, bouton, section, weight, delay }))
+            };
+        }
+    }
+
+    return { Network, CONNECTION_TYPES, NETWORK_PRESETS };
+});
@@ -0,0 +1,704 @@
+// Headless Hodgkin-Huxley neuron. No DOM access: it can be stepped deterministically in Node
+// and observed through events, the SVG renderer in neuron.js is just one subscriber.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({},
+            require('./event-emitter.js'),
+            require('./integrators.js'),
+            require('./stimulus-protocol.js'),
+            require('./pharmacology.js'),
+            require('./cell-models.js'),
+            require('./cable-model.js'),
+            require('./synapses.js'),
+            require('./short-term-plasticity.js'),
+            require('./stdp.js')
+        ));
+    } else {
+        root.MiniNeuron = Object.assign(root.MiniNeuron || {}, factory(root.MiniNeuron));
+    }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+    const {
+        EventEmitter, createIntegrator, StimulusProtocol, Pharmacology, createCellModel, CableModel, SynapticInput,
+        PresynapticBoutons, SpikeTimingPlasticity
+    } = deps;
+
+    // Parameters that may be changed through setParameter()
+    const PARAMETERS = [
+        'I_stim', 'Ca_ext', 'temperature', 'timeStep', 'holdingPotential', 'g_Na', 'g_K', 'g_L', 'phi_m', 'phi_h',
+        'phi_n', 'P_Ca', 'g_SK', 'tau_Ca', 'Ca_rest', 'Na_i', 'Na_o', 'K_i', 'K_o', 'Cl_i', 'Cl_o', 'Mg_o'
+    ];
+
+    // Ionic make-up of the leak conductance, its reversal is the weighted mean of E_K, E_Na and E_Cl
+    const LEAK_FRACTIONS = { K: 0.3, Na: 0.2, Cl: 0.5 };
+
+    // Concentration parameters (mM) making up the ionic environment
+    const ION_PARAMETERS = ['Na_i', 'Na_o', 'K_i', 'K_o', 'Cl_i', 'Cl_o', 'Ca_ext'];
+
+    // Gate rate factors, zero would freeze a gate and a negative one runs it away from steady state
+    const RATE_FACTORS = ['phi_m', 'phi_h', 'phi_n'];
+
+    // Named ionic environments, deviations from the default concentrations
+    const IONIC_ENVIRONMENTS = {
+        normal: { label: 'Normal saline', concentrations: {} },
+        hyperkalemia: { label: 'Hyperkalemia (10 mM K⁺ₒ)', concentrations: { K_o: 10 } },
+        hypokalemia: { label: 'Hypokalemia (2.5 mM K⁺ₒ)', concentrations: { K_o: 2.5 } },
+        'low-sodium': { label: 'Low sodium (50 mM Na⁺ₒ)', concentrations: { Na_o: 50 } },
+        'low-chloride': { label: 'Low chloride (20 mM Cl⁻ₒ)', concentrations: { Cl_o: 20 } },
+        hypocalcemia: { label: 'Hypocalcemia (0.8 mM Ca²⁺ₒ)', concentrations: { Ca_ext: 0.8 } }
+    };
+
+    // Relative permeabilities for the GHK resting potential (squid axon, Hodgkin & Katz 1949)
+    const RESTING_PERMEABILITIES = { K: 1, Na: 0.04, Cl: 0.45 };
+
+    // 'current': free current injection, 'voltage': V held at the command potential
+    const CLAMP_MODES = ['current', 'voltage'];
+
+    // Layout of the state vector handed to the integrators
+    const STATE_VARIABLES = ['V', 'm', 'h', 'n', 's', 'Ca_i'];
+
+    // Indices of the gating variables (m, h, n, s), for exponential Euler
+    const GATE_INDICES = [1, 2, 3, 4];
+
+    // Name of the built-in dynamics, everything else comes from cell-models.js
+    const HODGKIN_HUXLEY = 'hodgkin-huxley';
+
+    const FARADAY = 96485.332; // C/mol
+    const GAS_CONSTANT = 8.314462; // J/(mol K)
+
+    // Submembrane Ca2+ shell: depth in μm and the fraction of entering Ca2+ left unbuffered
+    const CA_SHELL_DEPTH = 0.1;
+    const CA_FREE_FRACTION = 0.05;
+
+    // SK channel half-activation (μM [Ca]i) and Hill coefficient
+    const SK_KD = 0.4;
+    const SK_HILL = 4;
+
+    // Nernst potential (mV) of an ion with valence z for a thermal voltage RT/F in mV
+    function nernst(z, outside, inside, thermalVoltage) {
+        return thermalVoltage / z * Math.log(outside / inside);
+    }
+
+    // Rate functions of the form a * x / (1 - exp(-x / b)) are 0/0 at x = 0, use the limit a * b
+    function linoid(a, x, b) {
+        if (Math.abs(x) < 1e-7) return a * b;
+        return a * x / (1 - Math.exp(-x / b));
+    }
+
+    class NeuronModel extends EventEmitter {
+        constructor(options = {}) {
+            super();
+
+            const config = Object.assign({}, NeuronModel.defaults, options);
+
+            // Inputs and environment
+            this.I_stim = config.I_stim;
+            this.stimulusBaseline = config.I_stim; // I_stim as set, a protocol drives I_stim and returns to it
+            this.Ca_ext = config.Ca_ext;
+            this.temperature = config.temperature;
+
+            // Maximal Hodgkin-Huxley conductances (mS/cm²), the cable keeps its own densities
+            this.g_Na = config.g_Na;
+            this.g_K = config.g_K;
+            this.g_L = config.g_L;
+
+            // Rate scale factors of the m, h and n gates on top of the temperature factor
+            this.phi_m = config.phi_m;
+            this.phi_h = config.phi_h;
+            this.phi_n = config.phi_n;
+
+            // Calcium handling: HVA permeability, SK conductance and [Ca]i extrusion
+            this.P_Ca = config.P_Ca;
+            this.g_SK = config.g_SK;
+            this.tau_Ca = config.tau_Ca;
+            this.Ca_rest = config.Ca_rest;
+
+            // Ion concentrations in mM, the reversal potentials follow them and the temperature
+            this.Na_i = config.Na_i;
+            this.Na_o = config.Na_o;
+            this.K_i = config.K_i;
+            this.K_o = config.K_o;
+            this.Cl_i = config.Cl_i;
+            this.Cl_o = config.Cl_o;
+            this.Mg_o = config.Mg_o; // Blocks NMDA receptors, zero is allowed (Mg²⁺-free saline)
+            this.reversals = this.computeReversals();
+
+            // Recording configuration, the command potential follows the protocol in voltage clamp
+            this.clampMode = 'current';
+            this.holdingPotential = config.holdingPotential;
+            this.commandVoltage = config.holdingPotential;
+
+            // Integration step in ms and numerical method
+            this.timeStep = config.timeStep;
+            this.setIntegrator(config.integrator);
+
+            // Active stimulus protocol, drives I_stim (or the command potential in voltage clamp) while set
+            this.protocol = null;
+            this.protocolStartTime = 0;
+
+            // Channel blockers, conductance scales are updated once per step
+            this.pharmacology = new Pharmacology();
+            if (config.drugs) {
+                this.pharmacology.restore(config.drugs);
+            }
+            this.pharmacology.on('drugchange', (change) => this.emit('drugchange', change));
+            this.conductanceScales = this.pharmacology.conductanceScales();
+
+            // Conductance-based synapses with Poisson presynaptic trains, silent until a rate is set
+            this.synapses = new SynapticInput(config.synapticInput);
+
+            // Spike-timing-dependent plasticity of the synaptic weights, off until enabled
+            this.plasticity = new SpikeTimingPlasticity(this.synapses, config.plasticity);
+
+            // Output boutons with depleting vesicle pools, released by the neuron's own spikes
+            this.boutons = new PresynapticBoutons(config.boutons);
+
+            // Reduced cell model replacing the HH equations, null while Hodgkin-Huxley is active
+            this.cell = null;
+            this.cellModelName = HODGKIN_HUXLEY;
+            this.cellState = null;
+            if (config.cellModel !== HODGKIN_HUXLEY) {
+                this.setCellModel(config.cellModel, config.cellOptions);
+            }
+
+            // Multi-compartment morphology, null for the single-compartment model
+            this.cable = null;
+            if (config.morphology) {
+                this.setMorphology(config.morphology);
+            }
+
+            this.reset();
+        }
+
+        static get defaults() {
+            return {
+                I_stim: 0,
+                Ca_ext: 2.0,
+                temperature: 37,
+                timeStep: 0.05,
+                integrator: 'euler',
+                holdingPotential: -70,
+                g_Na: 120, // mS/cm²
+                g_K: 36, // mS/cm²
+                g_L: 0.3, // mS/cm²
+                phi_m: 1,
+                phi_h: 1,
+                phi_n: 1,
+                P_Ca: 0.02, // mS/cm² per mM of GHK driving force
+                g_SK: 0.5, // mS/cm²
+                tau_Ca: 80, // ms
+                Ca_rest: 0.05, // μM
+                // Chosen so that E_Na = 55, E_K = -72 and E_L = -49.387 mV at 37°C
+                Na_i: 18.52,
+                Na_o: 145,
+                K_i: 73.949,
+                K_o: 5,
+                Cl_i: 6.0374,
+                Cl_o: 110,
+                Mg_o: 1,
+                drugs: null, // Pharmacology state as returned by pharmacology.toJSON()
+                cellModel: HODGKIN_HUXLEY, // Or a key of CELL_MODELS
+                cellOptions: {},
+                morphology: null, // Or a morphology for CableModel, e.g. DEFAULT_MORPHOLOGY
+                synapticInput: {}, // Options of SynapticInput
+                boutons: {}, // Options of PresynapticBoutons
+                plasticity: {} // Options of SpikeTimingPlasticity
+            };
+        }
+
+        // Return state variables to rest without touching parameters
+        reset() {
+            this.V = -70;
+            this.m = 0.05;
+            this.h = 0.6;
+            this.n = 0.3;
+            this.s = 0;
+            this.Ca_i = this.Ca_rest;
+            this.time = 0;
+            this.lastSpikeTime = -Infinity;
+            this.spikeTimes = [];
+            this.firingRate = 0;
+            this.currents = { I_Na: 0, I_K: 0, I_L: 0, I_Ca: 0, I_SK: 0, I_syn: 0 };
+            this.I_clamp = 0;
+            this.synapses.reset();
+            this.boutons.reset();
+            this.plasticity.reset();
+
+            if (this.cell) {
+                this.setStateVector(this.cell.initialState());
+            } else if (this.cable) {
+                this.cable.reset(this);
+                this.readSomaState();
+            } else if (this.clampMode === 'voltage') {
+                this.V = this.commandVoltage;
+            }
+
+            this.emit('reset', this.getState());
+        }
+
+        // Q10 = 2.5 scaling of the rate constants relative to 37°C
+        get temperatureFactor() {
+            return Math.pow(2.5, (this.temperature - 37) / 10);
+        }
+
+        // Thermal voltage RT/F in mV
+        get thermalVoltage() {
+            return 1000 * GAS_CONSTANT * (this.temperature + 273.15) / FARADAY;
+        }
+
+        // Nernst potential of Ca2+ (mV) for the current [Ca]i
+        get E_Ca() {
+            return this.thermalVoltage / 2 * Math.log(this.Ca_ext / (this.Ca_i / 1000));
+        }
+
+        // Reversal potentials (mV) for the current concentrations and temperature
+        computeReversals() {
+            const vt = this.thermalVoltage;
+            const E_Na = nernst(1, this.Na_o, this.Na_i, vt);
+            const E_K = nernst(1, this.K_o, this.K_i, vt);
+            const E_Cl = nernst(-1, this.Cl_o, this.Cl_i, vt);
+
+            return {
+                E_Na,
+                E_K,
+                E_Cl,
+                E_L: LEAK_FRACTIONS.K * E_K + LEAK_FRACTIONS.Na * E_Na + LEAK_FRACTIONS.Cl * E_Cl
+            };
+        }
+
+        // Goldman-Hodgkin-Katz resting potential (mV) of the Na+, K+ and Cl- gradients
+        get ghkRestingPotential() {
+            const p = RESTING_PERMEABILITIES;
+            const outside = p.K * this.K_o + p.Na * this.Na_o + p.Cl * this.Cl_i;
+            const inside = p.K * this.K_i + p.Na * this.Na_i + p.Cl * this.Cl_o;
+            return this.thermalVoltage * Math.log(outside / inside);
+        }
+
+        // GHK driving term of a divalent ion in mV·mM, [Ca]i in μM and Ca_ext in mM
+        ghkCalcium(V, Ca_i) {
+            const Ci = Ca_i / 1000;
+            const xi = 2 * V / this.thermalVoltage;
+            if (Math.abs(xi) < 1e-6) {
+                return this.thermalVoltage / 2 * (Ci - this.Ca_ext);
+            }
+            const e = Math.exp(-xi);
+            return V * (Ci - this.Ca_ext * e) / (1 - e);
+        }
+
+        // Switch the numerical method, see integrators.js for the available names
+        setIntegrator(name, options = {}) {
+            this.integrator = createIntegrator(name, options);
+            this.integratorName = name;
+            this.integratorOptions = options;
+            this.emit('integratorchange', { name, label: this.integrator.label });
+        }
+
+        // Exponential Euler only applies to the HH gates
+        get gateIndices() {
+            return this.cell ? null : GATE_INDICES;
+        }
+
+        // Swap the membrane dynamics: 'hodgkin-huxley' or a reduced model from CELL_MODELS.
+        // Reduced models only run in current clamp and ignore drugs, calcium and ion concentrations.
+        setCellModel(name, options = {}) {
+            const cell = name === HODGKIN_HUXLEY ? null : createCellModel(name, options);
+
+            if (cell && this.clampMode !== 'current') {
+                this.setClampMode('current');
+            }
+            if (cell && this.cable) {
+                this.setMorphology(null);
+            }
+            this.cell = cell;
+            this.cellModelName = name;
+            this.cellOptions = options;
+            // Adaptive step sizes tuned to the old equations would be wrong for the new ones
+            this.setIntegrator(this.integratorName, this.integratorOptions);
+            this.reset();
+            this.emit('cellmodelchange', { name, options });
+        }
+
+        // Replace the single compartment by a CableModel of the given morphology, null switches back.
+        // The cable runs Na, K and leak channels per section with its own implicit solver, the soma
+        // is section 0 and receives I_stim. Calcium and the SK current stay single-compartment only.
+        setMorphology(morphology) {
+            if (morphology && this.cell) {
+                throw new Error('The cable model needs the Hodgkin-Huxley model');
+            }
+            if (morphology && this.clampMode !== 'current') {
+                this.setClampMode('current');
+            }
+
+            this.cable = morphology ? new CableModel(morphology) : null;
+            this.reset();
+            this.emit('morphologychange', { sections: this.cable ? this.cable.count : 1 });
+        }
+
+        // Switch between current clamp and an ideal voltage clamp
+        setClampMode(mode) {
+            if (!CLAMP_MODES.includes(mode)) {
+                throw new Error(`Unknown clamp mode '${mode}'`);
+            }
+            if (mode === 'voltage' && (this.cell || this.cable)) {
+                throw new Error('Voltage clamp needs the single-compartment Hodgkin-Huxley model');
+            }
+
+            this.clampMode = mode;
+            this.commandVoltage = this.holdingPotential;
+            if (mode === 'voltage') {
+                this.V = this.commandVoltage;
+            } else {
+                this.I_clamp = 0;
+            }
+            this.emit('clampmodechange', { mode, holdingPotential: this.holdingPotential });
+        }
+
+        // Run a StimulusProtocol (or its JSON definition) from elapsed ms into it, usually its start.
+        // While a protocol is active it overrides I_stim on every step, in voltage clamp its
+        // value (mV) is added to the holding potential instead. A running protocol is ended first.
+        setProtocol(protocol, elapsed = 0) {
+            this.clearProtocol();
+            this.protocol = protocol instanceof StimulusProtocol ? protocol : new StimulusProtocol(protocol);
+            this.protocol.reset();
+            this.protocolStartTime = this.time - elapsed;
+            this.emit('protocolstart', { name: this.protocol.name, time: this.time });
+        }
+
+        clearProtocol() {
+            if (!this.protocol) return;
+
+            const { name } = this.protocol;
+            this.protocol = null;
+            this.I_stim = this.stimulusBaseline;
+            this.commandVoltage = this.holdingPotential;
+            this.emit('protocolend', { name, time: this.time });
+        }
+
+        // Definition and elapsed time of the running protocol, for setProtocol() of another model
+        activeProtocol() {
+            if (!this.protocol) return null;
+            return { definition: this.protocol.toJSON(), elapsed: this.time - this.protocolStartTime };
+        }
+
+        // Sample-and-hold the protocol current for the coming step
+        applyProtocol() {
+            const protocolTime = this.time - this.protocolStartTime;
+            if (this.protocol.isFinished(protocolTime)) {
+                this.clearProtocol();
+                return;
+            }
+            const value = this.protocol.currentAt(protocolTime);
+            if (this.clampMode === 'voltage') {
+                this.commandVoltage = this.holdingPotential + value;
+            } else {
+                this.I_stim = value;
+            }
+        }
+
+        setParameter(name, value) {
+            if (!PARAMETERS.includes(name)) {
+                throw new Error(`Unknown model parameter '${name}'`);
+            }
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                throw new Error(`Invalid value for '${name}': ${value}`);
+            }
+            if (ION_PARAMETERS.includes(name) && !(value > 0)) {
+                throw new Error(`Concentration '${name}' must be positive: ${value}`);
+            }
+            if (RATE_FACTORS.includes(name) && !(value > 0)) {
+                throw new Error(`Rate factor '${name}' must be positive: ${value}`);
+            }
+            if (name === 'Mg_o' && value < 0) {
+                throw new Error(`Concentration 'Mg_o' must not be negative: ${value}`);
+            }
+
+            const previous = this[name];
+            this[name] = value;
+            if (name === 'holdingPotential' && !this.protocol) {
+                this.commandVoltage = value;
+            }
+            if (name === 'I_stim') {
+                this.stimulusBaseline = value;
+            }
+            this.reversals = this.computeReversals();
+            this.emit('parameterchange', { name, value, previous });
+        }
+
+        // Constructor options that rebuild this configuration, not its state, in a new model
+        toOptions() {
+            const options = {
+                integrator: this.integratorName,
+                cellModel: this.cellModelName,
+                cellOptions: this.cellOptions || {},
+                morphology: this.cable ? this.cable.morphology : null,
+                drugs: this.pharmacology.toJSON(),
+                synapticInput: {
+                    rates: Object.assign({}, this.synapses.rates),
+                    conductances: Object.fromEntries(Object.entries(this.synapses.receptors).map(([type, receptor]) => [type, receptor.gmax]))
+                }
+            };
+            PARAMETERS.forEach(name => {
+                options[name] = this[name];
+            });
+            // The set current, not the value a running protocol holds this step
+            options.I_stim = this.stimulusBaseline;
+            return options;
+        }
+
+        // Apply one of IONIC_ENVIRONMENTS, concentrations it does not list return to their defaults
+        setIonicEnvironment(name) {
+            const environment = IONIC_ENVIRONMENTS[name];
+            if (!environment) {
+                throw new Error(`Unknown ionic environment '${name}'`);
+            }
+
+            const defaults = NeuronModel.defaults;
+            ION_PARAMETERS.forEach(parameter => {
+                const value = parameter in environment.concentrations
+                    ? environment.concentrations[parameter]
+                    : defaults[parameter];
+                if (this[parameter] !== value) {
+                    this.setParameter(parameter, value);
+                }
+            });
+        }
+
+        // Hodgkin-Huxley rate functions
+        alpha_m(V) { return linoid(0.1, V + 40, 10); }
+        beta_m(V) { return 4 * Math.exp(-(V + 65) / 18); }
+        alpha_h(V) { return 0.07 * Math.exp(-(V + 65) / 20); }
+        beta_h(V) { return 1 / (1 + Math.exp(-(V + 35) / 10)); }
+        alpha_n(V) { return linoid(0.01, V + 55, 10); }
+        beta_n(V) { return 0.125 * Math.exp(-(V + 65) / 80); }
+
+        // High-voltage-activated Ca2+ channel activation (Reuveni et al. 1993)
+        alpha_s(V) { return linoid(0.055, V + 27, 3.8); }
+        beta_s(V) { return 0.94 * Math.exp(-(V + 75) / 17); }
+
+        // Fraction of SK channels opened by [Ca]i (μM)
+        skActivation(Ca_i) {
+            const ratio = Math.pow(Math.max(Ca_i, 0) / SK_KD, SK_HILL);
+            return ratio / (1 + ratio);
+        }
+
+        // Ionic currents (μA/cm²) for a given membrane state
+        computeCurrents(V, m, h, n, s, Ca_i) {
+            const scales = this.conductanceScales; // Remaining fraction after drug block
+            const E = this.reversals;
+            const g_Na = this.g_Na * scales.Na * Math.pow(m, 3) * h; // Sodium conductance
+            const g_K = this.g_K * scales.K * Math.pow(n, 4); // Potassium conductance
+            const g_L = this.g_L; // Leak conductance
+
+            return {
+                I_Na: g_Na * (V - E.E_Na),
+                I_K: g_K * (V - E.E_K),
+                I_L: g_L * (V - E.E_L),
+                I_Ca: this.P_Ca * scales.Ca * s * s * this.ghkCalcium(V, Ca_i),
+                I_SK: this.g_SK * this.skActivation(Ca_i) * (V - E.E_K),
+                I_syn: this.synapses.somaticCurrent(V, this)
+            };
+        }
+
+        // Right-hand side of the HH system for the state vector [V, m, h, n, s, Ca_i]
+        derivatives(y, t) {
+            if (this.cell) {
+                const I_syn = this.synapses.somaticCurrent(this.cell.membranePotential(y), this);
+                return this.cell.derivatives(y, t, this.I_stim - I_syn, this.temperatureFactor);
+            }
+
+            const [V, m, h, n, s, Ca_i] = y;
+            const tempFactor = this.temperatureFactor;
+            const { I_Na, I_K, I_L, I_Ca, I_SK, I_syn } = this.computeCurrents(V, m, h, n, s, Ca_i);
+
+            // μM/ms of free Ca2+ per μA/cm² of inward current into the submembrane shell
+            const influxPerCurrent = CA_FREE_FRACTION * 1e4 / (2 * FARADAY * CA_SHELL_DEPTH);
+
+            return [
+                // Capacitance = 1 μF/cm², the clamp holds V in voltage clamp
+                this.clampMode === 'voltage' ? 0 : (this.I_stim - I_Na - I_K - I_L - I_Ca - I_SK - I_syn) / 1.0,
+                tempFactor * this.phi_m * (this.alpha_m(V) * (1 - m) - this.beta_m(V) * m),
+                tempFactor * this.phi_h * (this.alpha_h(V) * (1 - h) - this.beta_h(V) * h),
+                tempFactor * this.phi_n * (this.alpha_n(V) * (1 - n) - this.beta_n(V) * n),
+                tempFactor * (this.alpha_s(V) * (1 - s) - this.beta_s(V) * s),
+                // Influx through the Ca2+ current, first-order extrusion back to rest
+                -influxPerCurrent * I_Ca - (Ca_i - this.Ca_rest) / this.tau_Ca
+            ];
+        }
+
+        // Steady states and time constants of m, h, n, s at the voltage in y
+        gateKinetics(y, t) {
+            const V = y[0];
+            const tempFactor = this.temperatureFactor;
+            const rates = [
+                [this.alpha_m(V), this.beta_m(V)],
+                [this.alpha_h(V), this.beta_h(V)],
+                [this.alpha_n(V), this.beta_n(V)],
+                [this.alpha_s(V), this.beta_s(V)]
+            ];
+            const scales = [this.phi_m, this.phi_h, this.phi_n, 1];
+
+            return {
+                inf: rates.map(([alpha, beta]) => alpha / (alpha + beta)),
+                tau: rates.map(([alpha, beta], i) => 1 / (tempFactor * scales[i] * (alpha + beta)))
+            };
+        }
+
+        getStateVector() {
+            if (this.cell) return this.cellState.slice();
+            return STATE_VARIABLES.map(name => this[name]);
+        }
+
+        setStateVector(y) {
+            if (this.cell) {
+                this.cellState = y;
+                this.V = this.cell.membranePotential(y);
+                return;
+            }
+            STATE_VARIABLES.forEach((name, i) => {
+                this[name] = y[i];
+            });
+        }
+
+        // Advance the model by one time step
+        step() {
+            const dt = this.timeStep;
+
+            if (this.protocol) {
+                this.applyProtocol();
+            }
+
+            this.pharmacology.advance(dt);
+            this.conductanceScales = this.pharmacology.conductanceScales();
+            this.reversals = this.computeReversals();
+            this.synapses.advance(dt, this.time);
+
+            // Ideal clamp: V steps instantly to the command potential
+            if (this.clampMode === 'voltage') {
+                this.V = this.commandVoltage;
+            }
+
+            if (this.cell) {
+                this.stepCell(dt);
+                return;
+            }
+            if (this.cable) {
+                this.stepCable(dt);
+                return;
+            }
+
+            const next = this.integrator.step(this, this.getStateVector(), this.time, dt);
+            this.setStateVector(next);
+            this.currents = this.computeCurrents(this.V, this.m, this.h, this.n, this.s, this.Ca_i);
+
+            // Current the clamp must inject to hold V, equal to the total ionic current
+            this.I_clamp = this.clampMode === 'voltage'
+                ? Object.values(this.currents).reduce((sum, I) => sum + I, 0)
+                : 0;
+
+            this.detectSpike();
+            this.time += dt;
+
+            this.emit('step', this.getState());
+        }
+
+        // Reduced model step: integrate, then apply the model's own spike condition and reset
+        stepCell(dt) {
+            const previous = this.getStateVector();
+            const next = this.integrator.step(this, previous, this.time, dt);
+            const spiked = this.cell.spikeCondition(next, previous);
+
+            this.setStateVector(spiked ? this.cell.reset(next, this.time + dt, this.temperatureFactor) : next);
+            this.currents.I_syn = this.synapses.somaticCurrent(this.V, this);
+            if (spiked) {
+                this.recordSpike(this.time + dt, this.cell.membranePotential(next));
+            }
+            this.updateFiringRate();
+            this.time += dt;
+
+            this.emit('step', this.getState());
+        }
+
+        // Cable step: the cable integrates itself, the soma section stands in for the point model
+        stepCable(dt) {
+            this.synapses.loadCable(this.cable, this);
+            this.cable.step(dt, this, this.I_stim);
+            this.readSomaState();
+            this.boutons.detectArrivals(this.cable, this.Ca_ext);
+
+            this.detectSpike();
+            this.time += dt;
+
+            this.emit('step', this.getState());
+        }
+
+        readSomaState() {
+            this.V = this.cable.V[0];
+            this.m = this.cable.m[0];
+            this.h = this.cable.h[0];
+            this.n = this.cable.n[0];
+            this.currents = Object.assign({ I_Ca: 0, I_SK: 0 }, this.cable.sectionCurrents(0, this));
+        }
+
+        // Advance the model by a duration in ms, returns the final state
+        run(duration) {
+            const steps = Math.round(duration / this.timeStep);
+            for (let i = 0; i < steps; i++) {
+                this.step();
+            }
+            return this.getState();
+        }
+
+        detectSpike() {
+            // Upward crossing of 0 mV with a 5 ms lockout, commanded voltages are not spikes
+            if (this.clampMode === 'current' && this.V > 0 && this.lastSpikeTime < this.time - 5) {
+                this.recordSpike(this.time, this.V);
+            }
+            this.updateFiringRate();
+        }
+
+        recordSpike(time, V) {
+            this.lastSpikeTime = time;
+            this.spikeTimes.push(time);
+            this.plasticity.postsynaptic(time);
+            // The cable releases when the spike actually reaches the boutons, see stepCable()
+            if (!this.cable) {
+                this.boutons.spike(time, this.Ca_ext);
+            }
+            this.emit('spike', { time, V });
+        }
+
+        updateFiringRate() {
+            // Keep only recent spikes (last 1 second)
+            this.spikeTimes = this.spikeTimes.filter(spikeTime =>
+                this.time - spikeTime <= 1000
+            );
+
+            // Firing rate in spikes per second
+            this.firingRate = this.spikeTimes.length;
+        }
+
+        getState() {
+            // HH gates do not exist in the reduced models, calcium only in the single compartment
+            const hh = !this.cell;
+            const calcium = hh && !this.cable;
+            return {
+                time: this.time,
+                V: this.V,
+                m: hh ? this.m : NaN,
+                h: hh ? this.h : NaN,
+                n: hh ? this.n : NaN,
+                s: calcium ? this.s : NaN,
+                Ca_i: calcium ? this.Ca_i : NaN,
+                I_stim: this.I_stim,
+                I_Na: this.currents.I_Na,
+                I_K: this.currents.I_K,
+                I_L: this.currents.I_L,
+                I_Ca: this.currents.I_Ca,
+                I_SK: this.currents.I_SK,
+                I_syn: this.currents.I_syn,
+                I_clamp: this.I_clamp
+            };
+        }
+    }
+
+    return { NeuronModel, PARAMETERS, ION_PARAMETERS, IONIC_ENVIRONMENTS, LEAK_FRACTIONS, HODGKIN_HUXLEY };
+});
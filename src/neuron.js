@@ -230,17 +230,13 @@ class TimingManager {
 
 class RealisticNeuron {
     constructor() {
-        // Hodgkin-Huxley style model parameters (unchanged)
-        this.V = -70;
-        this.m = 0.05;
-        this.h = 0.6;
-        this.n = 0.3;
-        this.I_stim = 0;
-        this.Ca_ext = 2.0;
-        this.temperature = 37;
-        this.firingRate = 0;
-        this.lastSpikeTime = 0;
-        this.spikeTimes = [];
+        // Headless Hodgkin-Huxley model, this class only renders it
+        // Learning is slow at the published STDP amplitudes, the page runs it ten times faster
+        this.model = new MiniNeuron.NeuronModel({ timeStep: 0.05, plasticity: { learningRate: 10 } });
+        this.clock = new MiniNeuron.SimulationClock(this.model, { speed: 0.01 });
+
+        // Typed events for plugins, see src/simulation-events.js
+        this.events = new MiniNeuron.SimulationBus(this.model);
 
         // Initialize managers
         this.animationController = new AnimationController();
@@ -267,31 +263,97 @@ class RealisticNeuron {
         // Animation control (unchanged)
         this.isRunning = false;
         this.animationId = null;
-        this.timeStep = 0.05;
-        this.time = 0;
 
         // Parameter change tracking (unchanged)
         this.lastParameterChange = 0;
         this.parameterChangeCooldown = 100;
         this.isStimulating = false;
         this.continuousStimulation = false;
-        this.stimulationInterval = null;
         this.nextStimulationTime = 0;
 
         // Parameter effect tracking
         this.temperatureFactor = 1.0; // Temperature scaling factor
         this.stimulationFrequency = 0; // Current stimulation frequency
         this.stimulationIntensity = 0; // Current stimulation intensity
-        this.stimulationPattern = null; // Current stimulation pattern
         this.calciumFactor = 1.0; // Calcium scaling factor
         this.synapticStrength = 1.0; // Synaptic transmission strength
-        this.neurotransmitterReleaseProbability = 0.3; // Release probability
+
+        // Axon geometry of the cable model, one demyelination entry per myelin segment
+        this.myelination = Object.assign({}, MiniNeuron.DEFAULT_MYELINATION, {
+            demyelination: MiniNeuron.DEFAULT_MORPHOLOGY.sections.filter(section => section.type === 'myelin').map(() => 0)
+        });
+        this.conduction = null; // Last ConductionExperiment result
 
         this.initializeElements();
         this.setupEventListeners();
         this.initializeIonChannels();
         this.registerAnimations();
+        this.subscribeToModel();
         this.startSimulation();
+
+        // Plugins registered with MiniNeuron.registerPlugin(), before or after the page loaded
+        this.detachPlugins = MiniNeuron.plugins.attach({
+            events: this.events,
+            model: this.model,
+            clock: this.clock,
+            network: this.network,
+            app: this
+        });
+    }
+
+    // Animation phase of the page, reported to plugins as 'phase-change'
+    setPhase(phase) {
+        const previous = this.animationState.currentPhase;
+        this.animationState.currentPhase = phase;
+        if (phase !== previous) {
+            this.events.emit('phase-change', { phase, previous, time: this.model.time });
+        }
+    }
+
+    // Model state is read through the headless model
+    get V() { return this.model.V; }
+    get time() { return this.model.time; }
+    get firingRate() { return this.model.firingRate; }
+    get spikeTimes() { return this.model.spikeTimes; }
+
+    get I_stim() { return this.model.I_stim; }
+    set I_stim(value) { this.model.setParameter('I_stim', value); }
+
+    get temperature() { return this.model.temperature; }
+    set temperature(value) { this.model.setParameter('temperature', value); }
+
+    get Ca_ext() { return this.model.Ca_ext; }
+    set Ca_ext(value) { this.model.setParameter('Ca_ext', value); }
+
+    subscribeToModel() {
+        // Render once per frame, however many model substeps the clock ran
+        this.clock.on('frame', () => {
+            this.applyParameterEffects();
+            this.updateChannelVisualization();
+            this.updateChannelBlock();
+            this.updateCalciumVisualization();
+            this.updateCompartmentColors();
+            this.updateSynapseVisualization();
+            this.updateBoutonPools();
+            this.updateWeightHistory();
+            this.updateDisplays();
+            if (this.oscilloscope) this.oscilloscope.draw();
+            this.updatePhasePlane();
+            this.audioMonitor.update(this.model);
+            this.updateStateHash();
+
+            // Update ion channel states for visualization
+            this.updateIonChannelGates();
+        });
+
+        // Continuous stimulation animates the spikes the model actually fires,
+        // the cable model shows its own propagation through the compartment colours
+        this.model.on('spike', () => {
+            if (this.continuousStimulation && !this.model.cable && !this.animationState.apActive &&
+                !this.animationController.isProcessingQueue) {
+                this.playSpikeAnimations();
+            }
+        });
     }
 
     initializeElements() {
@@ -307,6 +369,148 @@ class RealisticNeuron {
             ['stimValue', '#stim-value'],
             ['caValue', '#ca-value'],
             ['stimBtn', '#stim-btn'],
+            ['simSpeedSelect', '#sim-speed'],
+            ['cellModelSelect', '#cell-model'],
+            ['cableToggle', '#cable-toggle'],
+            ['integratorSelect', '#integrator'],
+            ['timeStepSelect', '#time-step'],
+            ['pauseBtn', '#pause-btn'],
+            ['stepBtn', '#step-btn'],
+            ['simTimeDisplay', '#sim-time'],
+            ['scopeCanvas', '#scope-canvas'],
+            ['scopeTimeBase', '#scope-timebase'],
+            ['scopeVoltageScale', '#scope-vscale'],
+            ['scopeTrigger', '#scope-trigger'],
+            ['scopeThreshold', '#scope-threshold'],
+            ['scopeFreezeBtn', '#scope-freeze-btn'],
+            ['scopeReadout', '#scope-readout'],
+            ['recorderCount', '#recorder-count'],
+            ['recorderInterval', '#recorder-interval'],
+            ['recordBtn', '#record-btn'],
+            ['analysisThreshold', '#analysis-dvdt'],
+            ['analysisBinWidth', '#analysis-bin'],
+            ['analysisWindow', '#analysis-window'],
+            ['analysisRunBtn', '#analysis-run-btn'],
+            ['analysisExportBtn', '#analysis-export-btn'],
+            ['isiCanvas', '#isi-canvas'],
+            ['psthCanvas', '#psth-canvas'],
+            ['analysisSummary', '#analysis-summary'],
+            ['fitFile', '#fit-file'],
+            ['fitLoadBtn', '#fit-load-btn'],
+            ['fitRecordingBtn', '#fit-recording-btn'],
+            ['fitCostSelect', '#fit-cost'],
+            ['fitEvaluations', '#fit-evaluations'],
+            ['fitProtocolToggle', '#fit-protocol'],
+            ['fitParameterInputs', '[data-fit-parameter]', true],
+            ['fitRunBtn', '#fit-run-btn'],
+            ['fitApplyBtn', '#fit-apply-btn'],
+            ['fitPresetName', '#fit-preset-name'],
+            ['fitSaveBtn', '#fit-save-btn'],
+            ['fitExportBtn', '#fit-export-btn'],
+            ['fitCanvas', '#fit-canvas'],
+            ['fitSummary', '#fit-summary'],
+            ['protocolInput', '#protocol-json'],
+            ['protocolApplyBtn', '#protocol-apply-btn'],
+            ['protocolStopBtn', '#protocol-stop-btn'],
+            ['protocolStatus', '#protocol-status'],
+            ['clampModeSelect', '#clamp-mode'],
+            ['clampHolding', '#clamp-holding'],
+            ['clampFrom', '#clamp-from'],
+            ['clampTo', '#clamp-to'],
+            ['clampIncrement', '#clamp-increment'],
+            ['clampDuration', '#clamp-duration'],
+            ['clampLeakToggle', '#clamp-pn'],
+            ['clampLeakCount', '#clamp-pn-count'],
+            ['clampTraceSelect', '#clamp-trace'],
+            ['clampRunBtn', '#clamp-run-btn'],
+            ['clampCanvas', '#clamp-canvas'],
+            ['fiFrom', '#fi-from'],
+            ['fiTo', '#fi-to'],
+            ['fiStep', '#fi-step'],
+            ['fiDuration', '#fi-duration'],
+            ['fiTemperatures', '#fi-temperatures'],
+            ['fiRunBtn', '#fi-run-btn'],
+            ['fiExportButtons', '[data-fi-format]', true],
+            ['fiCanvas', '#fi-canvas'],
+            ['fiSummary', '#fi-summary'],
+            ['sweepXSelect', '#sweep-x'],
+            ['sweepXFrom', '#sweep-x-from'],
+            ['sweepXTo', '#sweep-x-to'],
+            ['sweepXSteps', '#sweep-x-steps'],
+            ['sweepYSelect', '#sweep-y'],
+            ['sweepYFrom', '#sweep-y-from'],
+            ['sweepYTo', '#sweep-y-to'],
+            ['sweepYSteps', '#sweep-y-steps'],
+            ['sweepMetricSelect', '#sweep-metric'],
+            ['sweepDuration', '#sweep-duration'],
+            ['sweepRunBtn', '#sweep-run-btn'],
+            ['sweepExportButtons', '[data-sweep-format]', true],
+            ['sweepCanvas', '#sweep-canvas'],
+            ['sweepSummary', '#sweep-summary'],
+            ['phasePlaneCanvas', '#phase-canvas'],
+            ['phasePlaneFieldToggle', '#phase-field'],
+            ['phasePlaneClearBtn', '#phase-clear-btn'],
+            ['phasePlaneReadout', '#phase-readout'],
+            ['ionPresetSelect', '#ion-preset'],
+            ['ionInputs', '[data-ion-parameter]', true],
+            ['reversalReadouts', '[data-reversal]', true],
+            ['myelinInputs', '[data-myelin-parameter]', true],
+            ['remyelinateBtn', '#remyelinate-btn'],
+            ['nodeSpacing', '#node-spacing'],
+            ['nodeLatencies', '[data-node-latency]', true],
+            ['conductionVelocity', '#conduction-velocity'],
+            ['inhibitoryRateInput', '#inhibitory-rate'],
+            ['receptorInputs', '[data-receptor]', true],
+            ['synapticCurrent', '#synaptic-current'],
+            ['vesiclePools', '[class^="vesicle-pool-"]:not(.vesicle-pool-track)', true],
+            ['boutonReadouts', '[data-bouton-readout]', true],
+            ['stdpToggle', '#stdp-toggle'],
+            ['stdpRule', '#stdp-rule'],
+            ['stdpLearningRate', '#stdp-learning-rate'],
+            ['weightsSaveBtn', '#weights-save-btn'],
+            ['weightsLoadBtn', '#weights-load-btn'],
+            ['weightsResetBtn', '#weights-reset-btn'],
+            ['weightsFile', '#weights-file'],
+            ['weightCanvas', '#weight-canvas'],
+            ['networkToggle', '#network-toggle'],
+            ['networkPreset', '#network-preset'],
+            ['networkLoadBtn', '#network-load-btn'],
+            ['networkClearBtn', '#network-clear-btn'],
+            ['connectionType', '#connection-type'],
+            ['connectionWeight', '#connection-weight'],
+            ['connectionDelay', '#connection-delay'],
+            ['networkSelection', '#network-selection'],
+            ['networkDrive', '#network-drive'],
+            ['networkRemoveBtn', '#network-remove-btn'],
+            ['networkCanvas', '#network-canvas'],
+            ['rasterCanvas', '#raster-canvas'],
+            ['networkRate', '#network-rate'],
+            ['audioToggle', '#audio-toggle'],
+            ['audioVolume', '#audio-volume'],
+            ['audioMute', '#audio-mute'],
+            ['audioTone', '#audio-tone'],
+            ['audioExportDuration', '#audio-export-duration'],
+            ['audioExportBtn', '#audio-export-btn'],
+            ['audioMixInputs', '[data-audio-mix]', true],
+            ['statePresetSelect', '#state-preset'],
+            ['statePresetName', '#state-preset-name'],
+            ['stateSaveBtn', '#state-save-btn'],
+            ['stateDeleteBtn', '#state-delete-btn'],
+            ['stateFileSaveBtn', '#state-file-save-btn'],
+            ['stateFileLoadBtn', '#state-file-load-btn'],
+            ['stateFile', '#state-file'],
+            ['stateLinkBtn', '#state-link-btn'],
+            ['drugSelect', '#drug-select'],
+            ['drugConcentration', '#drug-concentration'],
+            ['drugApplyBtn', '#drug-apply-btn'],
+            ['drugWashoutBtn', '#drug-washout-btn'],
+            ['drugWashoutAllBtn', '#drug-washout-all-btn'],
+            ['customDrugName', '#custom-drug-name'],
+            ['customDrugTarget', '#custom-drug-target'],
+            ['customDrugIC50', '#custom-drug-ic50'],
+            ['customDrugHill', '#custom-drug-hill'],
+            ['customDrugDefineBtn', '#custom-drug-define-btn'],
+            ['drugStatus', '#drug-status'],
             ['soma', '.soma'],
             ['nucleus', '.nucleus'],
             ['axonHillock', '.axon-hillock'],
@@ -330,55 +534,2046 @@ class RealisticNeuron {
             ['caChannels', '.ca-channels circle', true],
             ['neurotransmitters', '[class^="neurotransmitter-"]', true],
             ['postsynapticResponses', '[class^="postsynaptic-response-"]', true],
-            ['calciumInflux', '[class^="calcium-influx-"]', true]
+            ['calciumInflux', '[class^="calcium-influx-"]', true],
+            ['scopeTraceToggles', '.scope-traces input', true],
+            ['exportButtons', '.recorder-controls [data-format]', true]
+        ];
+
+        elementConfigs.forEach(([name, selector, isCollection = false]) => {
+            this.elementManager.registerElement(name, selector, isCollection);
+        });
+    }
+
+    setupEventListeners() {
+        // Event listeners remain unchanged
+        this.tempSlider = this.elementManager.getElement('tempSlider');
+        this.stimSlider = this.elementManager.getElement('stimSlider');
+        this.caSlider = this.elementManager.getElement('caSlider');
+        this.stimBtn = this.elementManager.getElement('stimBtn');
+        this.tempValue = this.elementManager.getElement('tempValue');
+        this.stimValue = this.elementManager.getElement('stimValue');
+        this.caValue = this.elementManager.getElement('caValue');
+
+        if (this.tempSlider) {
+            this.tempSlider.addEventListener('input', (e) => {
+                this.temperature = parseFloat(e.target.value);
+                this.tempValue.textContent = this.temperature.toFixed(1);
+                this.updateTemperatureEffects();
+                this.lastParameterChange = Date.now();
+            });
+        }
+
+        if (this.stimSlider) {
+            this.stimSlider.addEventListener('input', (e) => {
+                const frequency = parseFloat(e.target.value);
+                this.stimValue.textContent = frequency;
+                this.updateStimulation(frequency);
+                this.lastParameterChange = Date.now();
+            });
+        }
+
+        if (this.caSlider) {
+            this.caSlider.addEventListener('input', (e) => {
+                this.Ca_ext = parseFloat(e.target.value);
+                this.caValue.textContent = this.Ca_ext.toFixed(1);
+                this.updateCalciumEffects();
+                this.lastParameterChange = Date.now();
+            });
+        }
+
+        if (this.stimBtn) {
+            this.stimBtn.addEventListener('click', () => {
+                this.triggerSinglePulse();
+            });
+        }
+
+        this.setupSimulationControls();
+        this.setupOscilloscope();
+        this.setupRecorder();
+        this.setupSpikeAnalysis();
+        this.setupTraceFitting();
+        this.setupProtocolEditor();
+        this.setupVoltageClamp();
+        this.setupFICurve();
+        this.setupParameterSweep();
+        this.setupPhasePlane();
+        this.setupIonicEnvironment();
+        this.setupSynapses();
+        this.setupPlasticity();
+        this.setupNetwork();
+        this.setupMyelination();
+        this.setupPharmacology();
+        this.setupAudio();
+        // Last, a link restores state into all the controls above
+        this.setupPresets();
+    }
+
+    setupSimulationControls() {
+        const speedSelect = this.elementManager.getElement('simSpeedSelect');
+        const cellModelSelect = this.elementManager.getElement('cellModelSelect');
+        const cableToggle = this.elementManager.getElement('cableToggle');
+        const integratorSelect = this.elementManager.getElement('integratorSelect');
+        const timeStepSelect = this.elementManager.getElement('timeStepSelect');
+        const pauseBtn = this.elementManager.getElement('pauseBtn');
+        const stepBtn = this.elementManager.getElement('stepBtn');
+
+        if (speedSelect) {
+            speedSelect.value = this.clock.speed.toString();
+            speedSelect.addEventListener('change', (e) => {
+                this.clock.setSpeed(parseFloat(e.target.value));
+            });
+        }
+
+        if (cellModelSelect) {
+            this.populateCellModelSelect(cellModelSelect);
+            cellModelSelect.addEventListener('change', (e) => {
+                // Values are 'name' or 'name:preset', e.g. 'izhikevich:FS'
+                const [name, preset] = e.target.value.split(':');
+                try {
+                    this.model.setCellModel(name, preset ? { preset } : {});
+                    console.log(`Cell model switched to ${e.target.selectedOptions[0].textContent}`);
+                } catch (error) {
+                    console.error(`Failed to switch to cell model '${e.target.value}':`, error);
+                }
+            });
+        }
+
+        if (cableToggle) {
+            cableToggle.checked = Boolean(this.model.cable);
+            cableToggle.addEventListener('change', (e) => {
+                try {
+                    // The cable is built from Hodgkin-Huxley compartments
+                    if (e.target.checked && this.model.cell) {
+                        this.model.setCellModel(MiniNeuron.HODGKIN_HUXLEY);
+                        if (cellModelSelect) cellModelSelect.value = MiniNeuron.HODGKIN_HUXLEY;
+                    }
+                    this.model.setMorphology(e.target.checked ? this.currentMorphology() : null);
+                } catch (error) {
+                    console.error(`Failed to switch the cable model ${e.target.checked ? 'on' : 'off'}:`, error);
+                }
+            });
+
+            // Choosing a reduced cell model drops the cable by itself
+            this.model.on('morphologychange', () => {
+                cableToggle.checked = Boolean(this.model.cable);
+                this.clearCompartmentColors();
+            });
+        }
+
+        if (integratorSelect) {
+            integratorSelect.value = this.model.integratorName;
+            integratorSelect.addEventListener('change', (e) => {
+                this.model.setIntegrator(e.target.value);
+                this.limitTimeSteps();
+                console.log(`Integrator switched to ${this.model.integrator.label}`);
+            });
+        }
+
+        if (timeStepSelect) {
+            timeStepSelect.value = this.model.timeStep.toString();
+            timeStepSelect.addEventListener('change', (e) => {
+                this.model.setParameter('timeStep', parseFloat(e.target.value));
+            });
+            this.limitTimeSteps();
+        }
+
+        if (pauseBtn) {
+            pauseBtn.addEventListener('click', () => {
+                if (this.clock.paused) {
+                    this.clock.resume();
+                } else {
+                    this.clock.pause();
+                }
+                pauseBtn.textContent = this.clock.paused ? 'Resume' : 'Pause';
+                if (stepBtn) stepBtn.disabled = !this.clock.paused;
+            });
+        }
+
+        if (stepBtn) {
+            stepBtn.disabled = true;
+            stepBtn.addEventListener('click', () => {
+                this.clock.singleStep();
+            });
+        }
+    }
+
+    // Steps the integrator cannot take stay listed but disabled, a step that became too large
+    // drops to the largest stable one
+    limitTimeSteps() {
+        const select = this.elementManager.getElement('timeStepSelect');
+        if (!select) return;
+
+        const maxTimeStep = MiniNeuron.INTEGRATORS[this.model.integratorName].maxTimeStep;
+        Array.from(select.options).forEach(option => {
+            option.disabled = parseFloat(option.value) > maxTimeStep;
+        });
+        if (this.model.timeStep > maxTimeStep) {
+            this.model.setParameter('timeStep', maxTimeStep);
+            select.value = maxTimeStep.toString();
+        }
+    }
+
+    setupOscilloscope() {
+        const canvas = this.elementManager.getElement('scopeCanvas');
+        if (!canvas) return;
+
+        this.oscilloscope = new Oscilloscope(canvas, this.model);
+
+        const timeBaseSelect = this.elementManager.getElement('scopeTimeBase');
+        const voltageScaleSelect = this.elementManager.getElement('scopeVoltageScale');
+        const triggerSelect = this.elementManager.getElement('scopeTrigger');
+        const thresholdInput = this.elementManager.getElement('scopeThreshold');
+        const freezeBtn = this.elementManager.getElement('scopeFreezeBtn');
+        const traceToggles = this.elementManager.getElement('scopeTraceToggles');
+
+        if (timeBaseSelect) {
+            timeBaseSelect.value = this.oscilloscope.timeBase.toString();
+            timeBaseSelect.addEventListener('change', (e) => {
+                this.oscilloscope.setTimeBase(parseFloat(e.target.value));
+            });
+        }
+
+        if (voltageScaleSelect) {
+            voltageScaleSelect.value = this.oscilloscope.voltageScale.toString();
+            voltageScaleSelect.addEventListener('change', (e) => {
+                this.oscilloscope.setVoltageScale(parseFloat(e.target.value));
+            });
+        }
+
+        if (triggerSelect) {
+            triggerSelect.addEventListener('change', (e) => {
+                this.oscilloscope.setTriggerMode(e.target.value);
+            });
+        }
+
+        if (thresholdInput) {
+            thresholdInput.addEventListener('change', (e) => {
+                const threshold = parseFloat(e.target.value);
+                if (Number.isFinite(threshold)) {
+                    this.oscilloscope.setTriggerThreshold(threshold);
+                }
+            });
+        }
+
+        if (traceToggles && traceToggles.length) {
+            traceToggles.forEach(toggle => {
+                toggle.addEventListener('change', (e) => {
+                    this.oscilloscope.setTraceVisible(e.target.dataset.trace, e.target.checked);
+                });
+            });
+        }
+
+        if (freezeBtn) {
+            freezeBtn.addEventListener('click', () => {
+                const frozen = this.oscilloscope.toggleFreeze();
+                freezeBtn.textContent = frozen ? 'Unfreeze' : 'Freeze';
+                this.updateScopeReadout();
+            });
+        }
+
+        // Cursors are placed by clicking the frozen trace
+        canvas.addEventListener('click', (e) => {
+            const rect = canvas.getBoundingClientRect();
+            const x = (e.clientX - rect.left) * canvas.width / rect.width;
+            if (this.oscilloscope.placeCursor(x)) {
+                this.oscilloscope.draw();
+                this.updateScopeReadout();
+            }
+        });
+    }
+
+    updateScopeReadout() {
+        const readout = this.elementManager.getElement('scopeReadout');
+        if (!readout || !this.oscilloscope) return;
+
+        if (!this.oscilloscope.frozen) {
+            readout.textContent = '';
+            return;
+        }
+
+        const measurement = this.oscilloscope.measure();
+        const parts = [];
+
+        measurement.cursors.forEach((cursor, index) => {
+            parts.push(`${index === 0 ? 'A' : 'B'}: ${cursor.time.toFixed(2)} ms, ${cursor.V.toFixed(1)} mV`);
+        });
+        if (measurement.deltaTime !== undefined) {
+            parts.push(`Δt ${measurement.deltaTime.toFixed(2)} ms, ΔV ${measurement.deltaV.toFixed(1)} mV`);
+        }
+        if (measurement.amplitude !== undefined) {
+            parts.push(`AP amplitude ${measurement.amplitude.toFixed(1)} mV, half-width ${measurement.halfWidth.toFixed(2)} ms`);
+        }
+
+        readout.textContent = parts.length ? parts.join(' | ') : 'Click the trace to place cursors';
+    }
+
+    setupProtocolEditor() {
+        const input = this.elementManager.getElement('protocolInput');
+        const applyBtn = this.elementManager.getElement('protocolApplyBtn');
+        const stopBtn = this.elementManager.getElement('protocolStopBtn');
+
+        if (applyBtn && input) {
+            applyBtn.addEventListener('click', () => {
+                try {
+                    const protocol = MiniNeuron.StimulusProtocol.fromJSON(input.value);
+
+                    // A custom protocol takes over from the stimulation slider
+                    this.resetStimulationSlider();
+                    this.model.setProtocol(protocol);
+                } catch (error) {
+                    console.error('Failed to apply stimulus protocol:', error);
+                    this.setProtocolStatus(error.message, true);
+                }
+            });
+        }
+
+        if (stopBtn) {
+            stopBtn.addEventListener('click', () => {
+                this.model.clearProtocol();
+            });
+        }
+
+        // The single pulse would replace a running protocol, so it waits for the protocol to end
+        this.model.on('protocolstart', ({ name }) => {
+            this.setProtocolStatus(`Running: ${name}`);
+            if (this.stimBtn) this.stimBtn.disabled = true;
+        });
+        this.model.on('protocolend', ({ name }) => {
+            this.setProtocolStatus(`Finished: ${name}`);
+            if (this.stimBtn) this.stimBtn.disabled = false;
+        });
+    }
+
+    setProtocolStatus(text, isError = false) {
+        const status = this.elementManager.getElement('protocolStatus');
+        if (!status) return;
+
+        status.textContent = text;
+        status.classList.toggle('error', isError);
+    }
+
+    resetStimulationSlider() {
+        if (this.stimSlider) this.stimSlider.value = '0';
+        if (this.stimValue) this.stimValue.textContent = '0';
+        this.stopContinuousStimulation();
+        this.stimulationFrequency = 0;
+    }
+
+    populateCellModelSelect(select) {
+        const addOption = (value, label) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        };
+
+        addOption(MiniNeuron.HODGKIN_HUXLEY, 'Hodgkin-Huxley');
+        Object.entries(MiniNeuron.CELL_MODELS).forEach(([name, Cell]) => {
+            if (Cell === MiniNeuron.IzhikevichCell) {
+                Object.entries(MiniNeuron.IZHIKEVICH_PRESETS).forEach(([preset, { label }]) => {
+                    addOption(`${name}:${preset}`, `${Cell.label} ${preset} (${label})`);
+                });
+            } else {
+                addOption(name, Cell.label);
+            }
+        });
+        select.value = this.model.cellModelName;
+    }
+
+    setupVoltageClamp() {
+        const modeSelect = this.elementManager.getElement('clampModeSelect');
+        const holdingInput = this.elementManager.getElement('clampHolding');
+        const traceSelect = this.elementManager.getElement('clampTraceSelect');
+        const runBtn = this.elementManager.getElement('clampRunBtn');
+        const canvas = this.elementManager.getElement('clampCanvas');
+
+        if (canvas) {
+            this.voltageClampPlot = new VoltageClampPlot(canvas);
+        }
+
+        if (modeSelect) {
+            modeSelect.addEventListener('change', (e) => {
+                // Slider pulses are currents, they make no sense as command potentials
+                this.resetStimulationSlider();
+                try {
+                    this.model.setClampMode(e.target.value);
+                } catch (error) {
+                    console.error(`Failed to switch to ${e.target.value} clamp:`, error);
+                    modeSelect.value = this.model.clampMode;
+                }
+            });
+
+            // Switching to a reduced cell model falls back to current clamp by itself
+            this.model.on('clampmodechange', ({ mode }) => {
+                modeSelect.value = mode;
+                const voltageClamp = mode === 'voltage';
+                if (this.stimSlider) this.stimSlider.disabled = voltageClamp;
+            });
+        }
+
+        if (holdingInput) {
+            holdingInput.addEventListener('change', (e) => {
+                const holding = parseFloat(e.target.value);
+                if (Number.isFinite(holding)) {
+                    this.model.setParameter('holdingPotential', holding);
+                }
+            });
+        }
+
+        if (traceSelect) {
+            traceSelect.addEventListener('change', () => {
+                if (this.voltageClampPlot && this.voltageClampResult) {
+                    this.voltageClampPlot.draw(this.voltageClampResult, traceSelect.value);
+                }
+            });
+        }
+
+        if (runBtn) {
+            runBtn.addEventListener('click', () => this.runVoltageClampSeries());
+        }
+    }
+
+    runVoltageClampSeries() {
+        const readNumber = (name) => {
+            const input = this.elementManager.getElement(name);
+            return input ? parseFloat(input.value) : undefined;
+        };
+        const leakToggle = this.elementManager.getElement('clampLeakToggle');
+        const traceSelect = this.elementManager.getElement('clampTraceSelect');
+
+        try {
+            // Runs on a private model with the live temperature and integrator settings
+            const experiment = new MiniNeuron.VoltageClampExperiment({
+                holdingPotential: readNumber('clampHolding'),
+                stepFrom: readNumber('clampFrom'),
+                stepTo: readNumber('clampTo'),
+                stepIncrement: readNumber('clampIncrement'),
+                stepDuration: readNumber('clampDuration'),
+                leakSubtraction: Boolean(leakToggle && leakToggle.checked),
+                leakPulses: readNumber('clampLeakCount'),
+                modelOptions: {
+                    temperature: this.model.temperature,
+                    Ca_ext: this.model.Ca_ext,
+                    timeStep: this.model.timeStep,
+                    integrator: this.model.integratorName,
+                    drugs: this.model.pharmacology.toJSON()
+                }
+            });
+
+            this.voltageClampResult = experiment.run();
+            if (this.voltageClampPlot) {
+                this.voltageClampPlot.draw(this.voltageClampResult, traceSelect ? traceSelect.value : 'I_total');
+            }
+            console.log(`Voltage-clamp series completed: ${this.voltageClampResult.sweeps.length} sweeps`);
+        } catch (error) {
+            console.error('Voltage-clamp series failed:', error);
+        }
+    }
+
+    setupFICurve() {
+        const runBtn = this.elementManager.getElement('fiRunBtn');
+        const exportButtons = this.elementManager.getElement('fiExportButtons') || [];
+        const canvas = this.elementManager.getElement('fiCanvas');
+
+        if (canvas) {
+            this.fiCurvePlot = new FICurvePlot(canvas);
+        }
+
+        if (runBtn) {
+            runBtn.addEventListener('click', () => this.runFICurve());
+        }
+
+        exportButtons.forEach(button => {
+            button.addEventListener('click', () => this.exportFICurve(button.dataset.fiFormat));
+        });
+    }
+
+    // Runs in the background on copies of the live configuration, the page keeps animating
+    async runFICurve() {
+        const runBtn = this.elementManager.getElement('fiRunBtn');
+        const exportButtons = this.elementManager.getElement('fiExportButtons') || [];
+        const summary = this.elementManager.getElement('fiSummary');
+        const temperaturesInput = this.elementManager.getElement('fiTemperatures');
+        const readNumber = (name) => {
+            const input = this.elementManager.getElement(name);
+            return input ? parseFloat(input.value) : undefined;
+        };
+        const temperatures = temperaturesInput && temperaturesInput.value.trim()
+            ? temperaturesInput.value.split(',').map(value => parseFloat(value))
+            : [];
+
+        try {
+            const experiment = new MiniNeuron.FICurveExperiment({
+                currentFrom: readNumber('fiFrom'),
+                currentTo: readNumber('fiTo'),
+                currentStep: readNumber('fiStep'),
+                measureDuration: readNumber('fiDuration'),
+                temperatures,
+                modelOptions: this.model.toOptions()
+            });
+
+            if (runBtn) runBtn.disabled = true;
+            this.fiCurveResult = await experiment.runAsync(({ temperature, done, total }) => {
+                if (summary) summary.textContent = `Measuring at ${temperature} °C: ${done} / ${total}`;
+            });
+            this.fiCurveExperiment = experiment;
+
+            if (this.fiCurvePlot) this.fiCurvePlot.draw(this.fiCurveResult);
+            if (summary) summary.textContent = this.fiCurveSummary(this.fiCurveResult);
+            exportButtons.forEach(button => {
+                button.disabled = false;
+            });
+        } catch (error) {
+            console.error('F–I curve failed:', error);
+            if (summary) summary.textContent = `F–I curve failed: ${error.message}`;
+        } finally {
+            if (runBtn) runBtn.disabled = false;
+        }
+    }
+
+    fiCurveSummary(result) {
+        return result.curves.map(curve => `${curve.temperature} °C: ` + [
+            curve.spontaneous ? 'fires without current, no rheobase' :
+                curve.rheobase === null ? 'no spikes in range' : `rheobase ${curve.rheobase.toFixed(2)} μA/cm²`,
+            curve.gain === null ? 'gain --' : `gain ${curve.gain.toFixed(2)} Hz per μA/cm²`,
+            curve.saturationRate === null ? 'no saturation in range' :
+                curve.blockCurrent === null ? `saturation ${curve.saturationRate.toFixed(1)} Hz` :
+                    `saturation ${curve.saturationRate.toFixed(1)} Hz, block from ${curve.blockCurrent} μA/cm²`
+        ].join(', ')).join('\n');
+    }
+
+    exportFICurve(format) {
+        if (!this.fiCurveResult) return;
+        try {
+            if (format === 'csv') {
+                this.downloadFile('minineuron-fi-curve.csv', this.fiCurveExperiment.exportCSV(this.fiCurveResult), 'text/csv');
+            } else {
+                const content = JSON.stringify(this.fiCurveExperiment.exportJSON(this.fiCurveResult), null, 2);
+                this.downloadFile('minineuron-fi-curve.json', content, 'application/json');
+            }
+        } catch (error) {
+            console.error(`Failed to export the F–I curve as '${format}':`, error);
+        }
+    }
+
+    setupParameterSweep() {
+        const metricSelect = this.elementManager.getElement('sweepMetricSelect');
+        const runBtn = this.elementManager.getElement('sweepRunBtn');
+        const exportButtons = this.elementManager.getElement('sweepExportButtons') || [];
+        const canvas = this.elementManager.getElement('sweepCanvas');
+
+        if (canvas) {
+            this.sweepPlot = new SweepHeatmapPlot(canvas);
+        }
+
+        // Choosing a parameter fills in its suggested range
+        [['X', 'temperature'], ['Y', '']].forEach(([axis, initial]) => {
+            const select = this.elementManager.getElement(`sweep${axis}Select`);
+            if (!select) return;
+
+            if (axis === 'Y') {
+                select.appendChild(new Option('nothing (1-D)', ''));
+            }
+            Object.entries(MiniNeuron.SWEEP_PARAMETERS).forEach(([name, parameter]) => {
+                select.appendChild(new Option(parameter.unit ? `${parameter.label} (${parameter.unit})` : parameter.label, name));
+            });
+            select.value = initial;
+
+            const fillRange = () => {
+                const parameter = MiniNeuron.SWEEP_PARAMETERS[select.value];
+                ['From', 'To', 'Steps'].forEach(field => {
+                    const input = this.elementManager.getElement(`sweep${axis}${field}`);
+                    if (input) input.disabled = !parameter;
+                });
+                if (!parameter) return;
+                const from = this.elementManager.getElement(`sweep${axis}From`);
+                const to = this.elementManager.getElement(`sweep${axis}To`);
+                if (from) from.value = parameter.range[0];
+                if (to) to.value = parameter.range[1];
+            };
+            select.addEventListener('change', fillRange);
+            fillRange();
+        });
+
+        if (metricSelect) {
+            Object.entries(MiniNeuron.SWEEP_METRICS).forEach(([name, metric]) => {
+                metricSelect.appendChild(new Option(metric.label, name));
+            });
+            // Every point keeps all metrics, switching only redraws
+            metricSelect.addEventListener('change', () => this.drawParameterSweep());
+        }
+
+        if (runBtn) {
+            runBtn.addEventListener('click', () => this.runParameterSweep());
+        }
+
+        exportButtons.forEach(button => {
+            button.addEventListener('click', () => this.exportParameterSweep(button.dataset.sweepFormat));
+        });
+    }
+
+    // Runs in the background on copies of the live configuration, the page keeps animating
+    async runParameterSweep() {
+        const runBtn = this.elementManager.getElement('sweepRunBtn');
+        const exportButtons = this.elementManager.getElement('sweepExportButtons') || [];
+        const summary = this.elementManager.getElement('sweepSummary');
+        const readNumber = (name) => {
+            const input = this.elementManager.getElement(name);
+            return input ? parseFloat(input.value) : undefined;
+        };
+        const readAxis = (axis) => {
+            const select = this.elementManager.getElement(`sweep${axis}Select`);
+            if (!select || !select.value) return null;
+            return {
+                parameter: select.value,
+                from: readNumber(`sweep${axis}From`),
+                to: readNumber(`sweep${axis}To`),
+                steps: readNumber(`sweep${axis}Steps`)
+            };
+        };
+
+        try {
+            // A running protocol starts over with each point's measurement
+            const protocol = this.model.activeProtocol();
+            const sweep = new MiniNeuron.ParameterSweep({
+                axes: [readAxis('X'), readAxis('Y')].filter(axis => axis),
+                measureDuration: readNumber('sweepDuration'),
+                modelOptions: this.model.toOptions(),
+                protocol: protocol ? protocol.definition : null
+            });
+
+            if (runBtn) runBtn.disabled = true;
+            const started = Date.now();
+            this.sweepResult = await sweep.runAsync(({ values, done, total }) => {
+                const point = sweep.axes.map((axis, i) => `${axis.label} ${values[i]}`).join(', ');
+                if (summary) summary.textContent = `Point ${done} / ${total}: ${point}`;
+            });
+            this.parameterSweep = sweep;
+
+            this.drawParameterSweep();
+            if (summary) {
+                summary.textContent = `${sweep.pointCount} points in ${((Date.now() - started) / 1000).toFixed(1)} s`;
+            }
+            exportButtons.forEach(button => {
+                button.disabled = false;
+            });
+        } catch (error) {
+            console.error('Parameter sweep failed:', error);
+            if (summary) summary.textContent = `Parameter sweep failed: ${error.message}`;
+        } finally {
+            if (runBtn) runBtn.disabled = false;
+        }
+    }
+
+    drawParameterSweep() {
+        const metricSelect = this.elementManager.getElement('sweepMetricSelect');
+        if (!this.sweepResult || !this.sweepPlot) return;
+
+        const metric = metricSelect ? metricSelect.value : 'rate';
+        this.sweepPlot.draw(this.sweepResult, this.parameterSweep.grid(this.sweepResult, metric), MiniNeuron.SWEEP_METRICS[metric]);
+    }
+
+    exportParameterSweep(format) {
+        if (!this.sweepResult) return;
+        try {
+            if (format === 'csv') {
+                this.downloadFile('minineuron-sweep.csv', this.parameterSweep.exportCSV(this.sweepResult), 'text/csv');
+            } else {
+                const content = JSON.stringify(this.parameterSweep.exportJSON(this.sweepResult), null, 2);
+                this.downloadFile('minineuron-sweep.json', content, 'application/json');
+            }
+        } catch (error) {
+            console.error(`Failed to export the parameter sweep as '${format}':`, error);
+        }
+    }
+
+    setupPhasePlane() {
+        const canvas = this.elementManager.getElement('phasePlaneCanvas');
+        const fieldToggle = this.elementManager.getElement('phasePlaneFieldToggle');
+        const clearBtn = this.elementManager.getElement('phasePlaneClearBtn');
+
+        this.phasePlane = new MiniNeuron.PhasePlane(this.model);
+        this.phasePlaneAnalysis = null;
+        this.phasePlaneKey = null;
+        this.lastPhasePlaneUpdate = 0;
+
+        if (canvas) {
+            this.phasePlanePlot = new PhasePlanePlot(canvas);
+            canvas.addEventListener('click', (e) => {
+                const point = this.phasePlanePlot.planeAt(e);
+                if (!point) return;
+                try {
+                    this.phasePlane.setInitialCondition(point.x, point.y);
+                } catch (error) {
+                    console.error('Failed to set the initial condition from the phase plane:', error);
+                }
+            });
+        }
+
+        if (fieldToggle && this.phasePlanePlot) {
+            this.phasePlanePlot.showField = fieldToggle.checked;
+            fieldToggle.addEventListener('change', (e) => {
+                this.phasePlanePlot.showField = e.target.checked;
+            });
+        }
+
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => this.phasePlane.clearTrajectory());
+        }
+    }
+
+    // Nullclines follow every parameter the vector field depends on, synaptic input included,
+    // recomputed at most five times a second while a slider moves
+    updatePhasePlane() {
+        if (!this.phasePlanePlot) return;
+
+        const model = this.model;
+        const key = model.cable ? 'cable' : JSON.stringify([model.toOptions(), model.clampMode, model.currents.I_syn.toFixed(1)]);
+        const now = Date.now();
+        if (key !== this.phasePlaneKey && now - this.lastPhasePlaneUpdate > 200) {
+            this.phasePlaneKey = key;
+            this.lastPhasePlaneUpdate = now;
+            try {
+                this.phasePlaneAnalysis = this.phasePlane.compute();
+            } catch (error) {
+                this.phasePlaneAnalysis = null;
+                console.error('Failed to compute the phase plane:', error);
+            }
+            this.updatePhasePlaneReadout();
+        }
+
+        this.phasePlanePlot.draw(this.phasePlaneAnalysis, this.phasePlane.trajectory);
+    }
+
+    updatePhasePlaneReadout() {
+        const readout = this.elementManager.getElement('phasePlaneReadout');
+        if (!readout) return;
+
+        const analysis = this.phasePlaneAnalysis;
+        if (!analysis) {
+            readout.textContent = this.phasePlane.unavailableReason || 'No phase plane';
+            return;
+        }
+        if (!analysis.fixedPoints.length) {
+            readout.textContent = 'No fixed point in view, the cell fires repetitively or escapes the plane.';
+            return;
+        }
+
+        const [xLabel, yLabel] = analysis.labels.map(label => label.split(' ')[0]);
+        const formatEigenvalue = ({ re, im }) => im ? `${re.toFixed(3)} ± ${Math.abs(im).toFixed(3)}i` : re.toFixed(3);
+        readout.textContent = analysis.fixedPoints.map(point =>
+            `${xLabel} = ${point.x.toFixed(2)}, ${yLabel} = ${point.y.toFixed(3)}: ${point.stability} ` +
+            `(λ = ${point.eigenvalues[0].im ? formatEigenvalue(point.eigenvalues[0]) : point.eigenvalues.map(formatEigenvalue).join(', ')})`
+        ).join('\n');
+    }
+
+    setupIonicEnvironment() {
+        const presetSelect = this.elementManager.getElement('ionPresetSelect');
+        const ionInputs = this.elementManager.getElement('ionInputs');
+
+        if (presetSelect) {
+            Object.entries(MiniNeuron.IONIC_ENVIRONMENTS).forEach(([name, environment]) => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = environment.label;
+                presetSelect.appendChild(option);
+            });
+            presetSelect.addEventListener('change', (e) => {
+                this.model.setIonicEnvironment(e.target.value);
+            });
+        }
+
+        if (ionInputs && ionInputs.length) {
+            ionInputs.forEach(input => {
+                const parameter = input.dataset.ionParameter;
+                input.value = this.model[parameter];
+                input.addEventListener('change', () => {
+                    try {
+                        this.model.setParameter(parameter, parseFloat(input.value));
+                    } catch (error) {
+                        console.error(`Failed to set concentration '${parameter}':`, error);
+                        input.value = this.model[parameter];
+                    }
+                });
+            });
+        }
+
+        // Keep the inputs and the calcium slider in step with changes made anywhere else
+        this.model.on('parameterchange', ({ name, value }) => {
+            if (ionInputs && ionInputs.length) {
+                ionInputs.forEach(input => {
+                    if (input.dataset.ionParameter === name && parseFloat(input.value) !== value) {
+                        input.value = value;
+                    }
+                });
+            }
+
+            if (name === 'Ca_ext' && this.caSlider && parseFloat(this.caSlider.value) !== value) {
+                this.caSlider.value = value;
+                this.caValue.textContent = value.toFixed(1);
+                this.updateCalciumEffects();
+            }
+        });
+    }
+
+    setupSynapses() {
+        const synapses = this.model.synapses;
+        const inhibitoryRateInput = this.elementManager.getElement('inhibitoryRateInput');
+        const receptorInputs = this.elementManager.getElement('receptorInputs') || [];
+
+        if (inhibitoryRateInput) {
+            inhibitoryRateInput.value = synapses.rates.inhibitory;
+            inhibitoryRateInput.addEventListener('change', () => {
+                try {
+                    synapses.setRate('inhibitory', parseFloat(inhibitoryRateInput.value));
+                } catch (error) {
+                    console.error('Failed to set the inhibitory input rate:', error);
+                    inhibitoryRateInput.value = synapses.rates.inhibitory;
+                }
+            });
+        }
+
+        receptorInputs.forEach(input => {
+            const type = input.dataset.receptor;
+            input.value = synapses.receptors[type].gmax;
+            input.addEventListener('change', () => {
+                try {
+                    synapses.setReceptorConductance(type, parseFloat(input.value));
+                } catch (error) {
+                    console.error(`Failed to set receptor conductance '${type}':`, error);
+                    input.value = synapses.receptors[type].gmax;
+                }
+            });
+        });
+
+        // Drawn element of every synapse, null where the page has none
+        this.synapseElements = synapses.synapses.map(synapse =>
+            synapse.selector ? document.querySelector(`.neuron-svg ${synapse.selector}`) : null);
+        this.synapseLit = this.synapseElements.map(() => false);
+    }
+
+    // Spines light up green with their glutamate conductance, inhibitory synapses purple with GABA.
+    // Learned weights show as the thickness and colour of an idle spine.
+    updateSynapseVisualization() {
+        const synapses = this.model.synapses;
+
+        synapses.synapses.forEach((synapse, i) => {
+            const element = this.synapseElements && this.synapseElements[i];
+            if (!element) return;
+
+            const peak = synapse.receptors.reduce((sum, type) => sum + synapses.receptors[type].gmax, 0);
+            const level = peak > 0 ? Math.min(1, synapses.conductance(synapse) / peak) : 0;
+            const isPath = element.tagName.toLowerCase() === 'path';
+            const width = Math.max(0.3, synapse.weight);
+
+            if (level > 0.02) {
+                const color = synapse.group === 'excitatory' ? '#00ff88' : '#b388ff';
+                if (isPath) {
+                    element.style.stroke = color;
+                    element.style.strokeWidth = (width + 2 * level).toFixed(2);
+                } else {
+                    element.style.fill = color;
+                }
+                element.style.opacity = (0.4 + 0.6 * level).toFixed(2);
+                this.synapseLit[i] = true;
+            } else if (isPath && synapse.weight !== 1) {
+                element.style.stroke = this.weightColor(synapse.weight);
+                element.style.strokeWidth = width.toFixed(2);
+                element.style.opacity = '';
+                this.synapseLit[i] = true;
+            } else if (this.synapseLit[i]) {
+                // Idle again, hand the element back to the canned animations
+                element.style.stroke = '';
+                element.style.strokeWidth = '';
+                element.style.fill = '';
+                element.style.opacity = '';
+                this.synapseLit[i] = false;
+            }
+        });
+
+        const synapticCurrent = this.elementManager.getElement('synapticCurrent');
+        if (synapticCurrent) {
+            const I_syn = this.model.currents.I_syn;
+            synapticCurrent.textContent = Number.isFinite(I_syn) ? I_syn.toFixed(2) : '--';
+        }
+    }
+
+    // Network of separate neuron models, run on its own clock that follows the main one
+    setupNetwork() {
+        const toggle = this.elementManager.getElement('networkToggle');
+        const presetSelect = this.elementManager.getElement('networkPreset');
+        const loadBtn = this.elementManager.getElement('networkLoadBtn');
+        const clearBtn = this.elementManager.getElement('networkClearBtn');
+        const typeSelect = this.elementManager.getElement('connectionType');
+        const driveInput = this.elementManager.getElement('networkDrive');
+        const removeBtn = this.elementManager.getElement('networkRemoveBtn');
+        const networkCanvas = this.elementManager.getElement('networkCanvas');
+        const rasterCanvas = this.elementManager.getElement('rasterCanvas');
+
+        this.network = new MiniNeuron.Network({ timeStep: this.model.timeStep });
+        this.networkClock = new MiniNeuron.SimulationClock(this.network, { speed: this.clock.speed });
+        this.networkEnabled = false;
+        this.selectedNeuron = null;
+
+        this.clock.on('speedchange', ({ speed }) => this.networkClock.setSpeed(speed));
+        this.clock.on('pause', () => this.networkClock.pause());
+        this.clock.on('resume', () => this.networkClock.resume());
+        this.networkClock.on('frame', () => this.updateNetworkDisplay());
+
+        if (networkCanvas) {
+            this.networkView = new NetworkView(networkCanvas, rasterCanvas);
+            networkCanvas.addEventListener('click', (e) => this.handleNetworkClick(this.networkView.positionOf(e)));
+        }
+
+        const addOptions = (select, entries) => {
+            Object.entries(entries).forEach(([name, entry]) => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = entry.label;
+                select.appendChild(option);
+            });
+        };
+        if (presetSelect) addOptions(presetSelect, MiniNeuron.NETWORK_PRESETS);
+        if (typeSelect) addOptions(typeSelect, MiniNeuron.CONNECTION_TYPES);
+
+        if (toggle) {
+            toggle.addEventListener('change', () => {
+                this.networkEnabled = toggle.checked;
+                if (this.networkEnabled && !this.network.neurons.length && presetSelect) {
+                    this.loadNetworkPreset(presetSelect.value);
+                }
+                this.networkClock.resetWallTime();
+                this.updateNetworkDisplay();
+            });
+        }
+
+        if (loadBtn && presetSelect) {
+            loadBtn.addEventListener('click', () => this.loadNetworkPreset(presetSelect.value));
+        }
+
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => {
+                this.network.clear();
+                this.selectNeuron(null);
+            });
+        }
+
+        if (driveInput) {
+            driveInput.addEventListener('change', () => {
+                if (!this.selectedNeuron) return;
+                const model = this.network.neuron(this.selectedNeuron).model;
+                try {
+                    model.setParameter('I_stim', parseFloat(driveInput.value));
+                } catch (error) {
+                    console.error(`Failed to set the drive of '${this.selectedNeuron}':`, error);
+                    driveInput.value = model.I_stim;
+                }
+                this.updateNetworkDisplay();
+            });
+        }
+
+        if (removeBtn) {
+            removeBtn.addEventListener('click', () => {
+                if (!this.selectedNeuron) return;
+                this.network.removeNeuron(this.selectedNeuron);
+                this.selectNeuron(null);
+            });
+        }
+
+        this.updateNetworkDisplay();
+    }
+
+    loadNetworkPreset(name) {
+        try {
+            this.network.loadPreset(name);
+        } catch (error) {
+            console.error(`Failed to build network '${name}':`, error);
+        }
+        this.selectNeuron(null);
+    }
+
+    // Empty space places a neuron, a neuron is selected, a second neuron is wired from the first
+    handleNetworkClick(position) {
+        const neuron = this.networkView.neuronAt(this.network, position);
+
+        if (!neuron) {
+            try {
+                this.network.addNeuron({ x: position.x, y: position.y });
+            } catch (error) {
+                console.error('Failed to add a neuron:', error);
+            }
+            this.selectNeuron(null);
+            return;
+        }
+
+        if (this.selectedNeuron && this.selectedNeuron !== neuron.name) {
+            const typeSelect = this.elementManager.getElement('connectionType');
+            const weightInput = this.elementManager.getElement('connectionWeight');
+            const delayInput = this.elementManager.getElement('connectionDelay');
+            try {
+                this.network.addConnection({
+                    from: this.selectedNeuron,
+                    to: neuron.name,
+                    type: typeSelect ? typeSelect.value : 'excitatory',
+                    weight: weightInput ? parseFloat(weightInput.value) : 1,
+                    delay: delayInput ? parseFloat(delayInput.value) : 2
+                });
+            } catch (error) {
+                console.error(`Failed to connect '${this.selectedNeuron}' to '${neuron.name}':`, error);
+            }
+            this.selectNeuron(null);
+            return;
+        }
+
+        this.selectNeuron(this.selectedNeuron === neuron.name ? null : neuron.name);
+    }
+
+    selectNeuron(name) {
+        this.selectedNeuron = name;
+
+        const selection = this.elementManager.getElement('networkSelection');
+        const driveInput = this.elementManager.getElement('networkDrive');
+        const removeBtn = this.elementManager.getElement('networkRemoveBtn');
+
+        if (selection) {
+            selection.textContent = name
+                ? `${name} selected, click another neuron to connect to it`
+                : 'Click to place a neuron, click two neurons to wire them';
+        }
+        if (driveInput) {
+            driveInput.disabled = !name;
+            driveInput.value = name ? this.network.neuron(name).model.I_stim : '';
+        }
+        if (removeBtn) removeBtn.disabled = !name;
+
+        this.updateNetworkDisplay();
+    }
+
+    updateNetworkDisplay() {
+        if (this.networkView) {
+            this.networkView.draw(this.network, this.selectedNeuron);
+        }
+        const rate = this.elementManager.getElement('networkRate');
+        if (rate) {
+            rate.textContent = this.network.populationRate(200).toFixed(1);
+        }
+    }
+
+    // Blue for depressed, orange for potentiated synapses
+    weightColor(weight) {
+        const fraction = Math.min(1, Math.max(0, weight / this.model.plasticity.wMax));
+        return `hsl(${210 - 180 * fraction}, 90%, 60%)`;
+    }
+
+    setupPlasticity() {
+        const plasticity = this.model.plasticity;
+        const toggle = this.elementManager.getElement('stdpToggle');
+        const ruleSelect = this.elementManager.getElement('stdpRule');
+        const learningRateInput = this.elementManager.getElement('stdpLearningRate');
+        const saveBtn = this.elementManager.getElement('weightsSaveBtn');
+        const loadBtn = this.elementManager.getElement('weightsLoadBtn');
+        const resetBtn = this.elementManager.getElement('weightsResetBtn');
+        const fileInput = this.elementManager.getElement('weightsFile');
+        const canvas = this.elementManager.getElement('weightCanvas');
+
+        if (canvas) {
+            this.weightHistoryPlot = new WeightHistoryPlot(canvas);
+        }
+
+        if (toggle) {
+            toggle.checked = plasticity.enabled;
+            toggle.addEventListener('change', () => plasticity.setEnabled(toggle.checked));
+        }
+
+        if (ruleSelect) {
+            Object.entries(MiniNeuron.STDP_RULES).forEach(([name, rule]) => {
+                const option = document.createElement('option');
+                option.value = name;
+                option.textContent = rule.label;
+                ruleSelect.appendChild(option);
+            });
+            ruleSelect.value = plasticity.ruleName;
+            ruleSelect.addEventListener('change', () => {
+                try {
+                    plasticity.setRule(ruleSelect.value);
+                } catch (error) {
+                    console.error(`Failed to set STDP rule '${ruleSelect.value}':`, error);
+                    ruleSelect.value = plasticity.ruleName;
+                }
+            });
+        }
+
+        if (learningRateInput) {
+            learningRateInput.value = plasticity.learningRate;
+            learningRateInput.addEventListener('change', () => {
+                try {
+                    plasticity.setLearningRate(parseFloat(learningRateInput.value));
+                } catch (error) {
+                    console.error('Failed to set the learning rate:', error);
+                    learningRateInput.value = plasticity.learningRate;
+                }
+            });
+        }
+
+        if (saveBtn) {
+            saveBtn.addEventListener('click', () => {
+                this.downloadFile('minineuron-weights.json', JSON.stringify(plasticity.toJSON(), null, 2), 'application/json');
+            });
+        }
+
+        if (loadBtn && fileInput) {
+            loadBtn.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', () => {
+                const file = fileInput.files[0];
+                if (!file) return;
+                file.text()
+                    .then(text => {
+                        plasticity.restore(JSON.parse(text));
+                        if (ruleSelect) ruleSelect.value = plasticity.ruleName;
+                        if (learningRateInput) learningRateInput.value = plasticity.learningRate;
+                    })
+                    .catch(error => console.error(`Failed to load weights from '${file.name}':`, error))
+                    .finally(() => {
+                        fileInput.value = '';
+                    });
+            });
+        }
+
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => plasticity.resetWeights());
+        }
+    }
+
+    // Redrawn while learning and whenever the history changed
+    updateWeightHistory() {
+        const plasticity = this.model.plasticity;
+        if (!this.weightHistoryPlot) return;
+        if (!plasticity.enabled && plasticity.history.length === this.weightHistorySamples) return;
+
+        this.weightHistorySamples = plasticity.history.length;
+        const names = plasticity.learningSynapses.map(synapse => synapse.name);
+        this.weightHistoryPlot.draw(plasticity, names, this.model.time);
+    }
+
+    // Gauges shrink with each bouton's vesicle pool, the readout adds the next release probability
+    updateBoutonPools() {
+        const boutons = this.model.boutons;
+        const pools = this.elementManager.getElement('vesiclePools') || [];
+        const readouts = this.elementManager.getElement('boutonReadouts') || [];
+
+        boutons.boutons.forEach((bouton, i) => {
+            const available = boutons.availableAt(bouton, this.model.time);
+            if (pools[i]) {
+                pools[i].setAttribute('width', (12 * available).toFixed(2));
+            }
+            if (readouts[i]) {
+                const probability = boutons.releaseProbabilityAt(bouton, this.model.time, this.model.Ca_ext);
+                readouts[i].textContent = `${Math.round(available * 100)}% pool, p = ${probability.toFixed(2)}`;
+            }
+        });
+    }
+
+    setupAudio() {
+        const monitor = this.audioMonitor = new AudioMonitor();
+        const toggle = this.elementManager.getElement('audioToggle');
+        const volumeInput = this.elementManager.getElement('audioVolume');
+        const muteToggle = this.elementManager.getElement('audioMute');
+        const toneToggle = this.elementManager.getElement('audioTone');
+        const durationInput = this.elementManager.getElement('audioExportDuration');
+        const exportBtn = this.elementManager.getElement('audioExportBtn');
+        const mixInputs = this.elementManager.getElement('audioMixInputs') || [];
+
+        this.events.on('spike', () => monitor.click('soma'));
+
+        if (toggle) {
+            toggle.addEventListener('change', () => {
+                if (!toggle.checked) {
+                    monitor.stop();
+                    return;
+                }
+                try {
+                    monitor.start().catch(error => console.error('Failed to start the audio monitor:', error));
+                } catch (error) {
+                    console.error('Failed to start the audio monitor:', error);
+                    toggle.checked = false;
+                }
+            });
+        }
+
+        if (volumeInput) {
+            volumeInput.value = monitor.settings.volume;
+            volumeInput.addEventListener('input', () => monitor.setVolume(parseFloat(volumeInput.value)));
+        }
+
+        if (muteToggle) {
+            muteToggle.checked = monitor.settings.muted;
+            muteToggle.addEventListener('change', () => monitor.setMuted(muteToggle.checked));
+        }
+
+        if (toneToggle) {
+            toneToggle.checked = monitor.settings.tone;
+            toneToggle.addEventListener('change', () => monitor.setTone(toneToggle.checked));
+        }
+
+        mixInputs.forEach(input => {
+            const name = input.dataset.audioMix;
+            input.value = monitor.settings.mix[name] || 0;
+            input.addEventListener('change', () => {
+                try {
+                    monitor.setMix(name, parseFloat(input.value));
+                } catch (error) {
+                    console.error(`Failed to set the audio mix of '${name}':`, error);
+                    input.value = monitor.settings.mix[name] || 0;
+                }
+            });
+        });
+
+        // Rendered from rest by a copy of the current configuration, the page keeps running. A running
+        // protocol continues in the copy. Muting is for the live monitor, the file always has sound.
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => {
+                const duration = durationInput ? parseFloat(durationInput.value) : 2000;
+                try {
+                    if (!(duration > 0)) {
+                        throw new Error(`Invalid duration: ${duration}`);
+                    }
+                    const wav = MiniNeuron.renderWAV(this.model.toOptions(), duration,
+                        Object.assign({}, monitor.settings, { muted: false }), this.model.activeProtocol());
+                    this.downloadFile('minineuron-audio.wav', wav, 'audio/wav');
+                } catch (error) {
+                    console.error(`Failed to export ${duration} ms of audio:`, error);
+                }
+            });
+        }
+    }
+
+    // Everything a preset, a saved file or a link restores
+    captureState() {
+        return MiniNeuron.captureState(this.model, {
+            myelination: JSON.parse(JSON.stringify(this.myelination)),
+            timings: Object.assign({}, this.timingManager.timings)
+        });
+    }
+
+    // Apply a validated state, then bring the controls in line with it
+    applyState(state) {
+        if (JSON.stringify(state.myelination) !== JSON.stringify(this.myelination)) {
+            this.myelination = JSON.parse(JSON.stringify(state.myelination));
+            this.applyMyelination();
+        }
+        MiniNeuron.applyState(this.model, state, { morphology: this.currentMorphology() });
+
+        if (this.tempSlider) {
+            this.tempSlider.value = state.temperature;
+            this.tempValue.textContent = state.temperature.toFixed(1);
+        }
+        this.updateTemperatureEffects();
+        // Timings follow the temperature unless the state says otherwise
+        Object.assign(this.timingManager.timings, state.timings);
+
+        if (this.stimSlider) {
+            this.stimSlider.value = state.stimulation;
+            this.stimValue.textContent = state.stimulation;
+        }
+        this.updateStimulation(state.stimulation);
+
+        this.syncControls();
+    }
+
+    // Controls without a model event of their own
+    syncControls() {
+        const model = this.model;
+        const values = [
+            ['cellModelSelect', model.cellOptions && model.cellOptions.preset
+                ? `${model.cellModelName}:${model.cellOptions.preset}` : model.cellModelName],
+            ['integratorSelect', model.integratorName],
+            ['timeStepSelect', model.timeStep.toString()],
+            ['inhibitoryRateInput', model.synapses.rates.inhibitory]
+        ];
+        values.forEach(([name, value]) => {
+            const element = this.elementManager.getElement(name);
+            if (element) element.value = value;
+        });
+        this.limitTimeSteps();
+
+        const cableToggle = this.elementManager.getElement('cableToggle');
+        if (cableToggle) cableToggle.checked = Boolean(model.cable);
+
+        (this.elementManager.getElement('receptorInputs') || []).forEach(input => {
+            input.value = model.synapses.receptors[input.dataset.receptor].gmax;
+        });
+        (this.elementManager.getElement('myelinInputs') || []).forEach(input => {
+            input.value = this.myelination[input.dataset.myelinParameter];
+        });
+        this.updateDrugStatus();
+    }
+
+    setupPresets() {
+        const presetSelect = this.elementManager.getElement('statePresetSelect');
+        const nameInput = this.elementManager.getElement('statePresetName');
+        const saveBtn = this.elementManager.getElement('stateSaveBtn');
+        const deleteBtn = this.elementManager.getElement('stateDeleteBtn');
+        const fileSaveBtn = this.elementManager.getElement('stateFileSaveBtn');
+        const fileLoadBtn = this.elementManager.getElement('stateFileLoadBtn');
+        const fileInput = this.elementManager.getElement('stateFile');
+        const linkBtn = this.elementManager.getElement('stateLinkBtn');
+
+        // Presets, files and links hold differences from the page as it loads
+        this.baselineState = this.captureState();
+        this.presetStore = new MiniNeuron.PresetStore(this.presetStorage());
+        this.stateHash = '';
+        this.lastHashUpdate = 0;
+
+        if (presetSelect) {
+            this.populatePresetSelect();
+            presetSelect.addEventListener('change', () => {
+                const [source, name] = presetSelect.value.split(/:(.*)/);
+                try {
+                    const state = source === 'saved'
+                        ? this.presetStore.load(name, this.baselineState)
+                        : MiniNeuron.validateState(MiniNeuron.STATE_PRESETS[name].state, this.baselineState);
+                    this.applyState(state);
+                    if (nameInput && source === 'saved') nameInput.value = name;
+                } catch (error) {
+                    console.error(`Failed to apply preset '${name}':`, error);
+                }
+            });
+        }
+
+        if (saveBtn && nameInput) {
+            saveBtn.addEventListener('click', () => {
+                const name = nameInput.value.trim();
+                try {
+                    this.presetStore.save(name, this.captureState(), this.baselineState);
+                    this.populatePresetSelect(`saved:${name}`);
+                } catch (error) {
+                    console.error(`Failed to save preset '${name}':`, error);
+                }
+            });
+        }
+
+        if (deleteBtn && presetSelect) {
+            deleteBtn.addEventListener('click', () => {
+                const [source, name] = presetSelect.value.split(/:(.*)/);
+                if (source !== 'saved') return;
+                try {
+                    this.presetStore.remove(name);
+                    this.populatePresetSelect();
+                } catch (error) {
+                    console.error(`Failed to delete preset '${name}':`, error);
+                }
+            });
+        }
+
+        if (fileSaveBtn) {
+            fileSaveBtn.addEventListener('click', () => {
+                this.downloadFile('minineuron-state.json', JSON.stringify(this.captureState(), null, 2), 'application/json');
+            });
+        }
+
+        if (fileLoadBtn && fileInput) {
+            fileLoadBtn.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', () => {
+                const file = fileInput.files[0];
+                if (!file) return;
+                file.text()
+                    .then(text => this.applyState(MiniNeuron.validateState(JSON.parse(text), this.baselineState)))
+                    .catch(error => console.error(`Failed to load state from '${file.name}':`, error))
+                    .finally(() => {
+                        fileInput.value = '';
+                    });
+            });
+        }
+
+        if (linkBtn) {
+            linkBtn.addEventListener('click', () => {
+                this.updateStateHash(true);
+                if (!navigator.clipboard) {
+                    console.error('Failed to copy the link: no clipboard access');
+                    return;
+                }
+                navigator.clipboard.writeText(window.location.href)
+                    .then(() => {
+                        linkBtn.textContent = 'Link Copied';
+                        setTimeout(() => {
+                            linkBtn.textContent = 'Copy Link';
+                        }, 1500);
+                    })
+                    .catch(error => console.error('Failed to copy the link:', error));
+            });
+        }
+
+        // Links pasted into the address bar of an open page apply as well
+        window.addEventListener('hashchange', () => {
+            if (window.location.hash !== this.stateHash) this.restoreStateFromHash();
+        });
+        this.restoreStateFromHash();
+    }
+
+    // localStorage throws in some privacy modes, presets are then unavailable
+    presetStorage() {
+        try {
+            return window.localStorage;
+        } catch (error) {
+            console.error('Failed to open localStorage:', error);
+            return null;
+        }
+    }
+
+    populatePresetSelect(selected) {
+        const presetSelect = this.elementManager.getElement('statePresetSelect');
+        if (!presetSelect) return;
+
+        presetSelect.innerHTML = '';
+        const addGroup = (label, entries) => {
+            if (!entries.length) return;
+            const group = document.createElement('optgroup');
+            group.label = label;
+            entries.forEach(([value, text]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = text;
+                group.appendChild(option);
+            });
+            presetSelect.appendChild(group);
+        };
+
+        addGroup('Built-in', Object.entries(MiniNeuron.STATE_PRESETS).map(([name, preset]) => [`builtin:${name}`, preset.label]));
+        addGroup('Saved', this.presetStore.names.map(name => [`saved:${name}`, name]));
+        if (selected) presetSelect.value = selected;
+    }
+
+    restoreStateFromHash() {
+        try {
+            const state = MiniNeuron.decodeStateHash(window.location.hash, this.baselineState);
+            if (state) this.applyState(state);
+            this.stateHash = window.location.hash;
+        } catch (error) {
+            console.error('Failed to restore the state from the link:', error);
+        }
+    }
+
+    // The address bar always holds a link to the current state, rewritten at most once a second
+    updateStateHash(force = false) {
+        if (!this.baselineState) return;
+        const now = Date.now();
+        if (!force && now - this.lastHashUpdate < 1000) return;
+        this.lastHashUpdate = now;
+
+        const hash = MiniNeuron.encodeStateHash(this.captureState(), this.baselineState);
+        if (hash === this.stateHash) return;
+        this.stateHash = hash;
+        window.history.replaceState(null, '', hash || window.location.pathname + window.location.search);
+    }
+
+    // Cable morphology with the edited myelination
+    currentMorphology() {
+        return MiniNeuron.myelinate(MiniNeuron.DEFAULT_MORPHOLOGY, this.myelination);
+    }
+
+    setupMyelination() {
+        const myelinInputs = this.elementManager.getElement('myelinInputs');
+        const myelinSegments = this.elementManager.getElement('myelinSegments');
+        const remyelinateBtn = this.elementManager.getElement('remyelinateBtn');
+
+        if (myelinInputs && myelinInputs.length) {
+            myelinInputs.forEach(input => {
+                const parameter = input.dataset.myelinParameter;
+                input.value = this.myelination[parameter];
+                input.addEventListener('change', () => {
+                    const previous = this.myelination[parameter];
+                    this.myelination[parameter] = parseFloat(input.value);
+                    try {
+                        this.applyMyelination();
+                    } catch (error) {
+                        console.error(`Failed to set myelination '${parameter}':`, error);
+                        this.myelination[parameter] = previous;
+                        input.value = previous;
+                    }
+                });
+            });
+        }
+
+        // Each click moves an internode on: intact, damaged (half the myelin lost), stripped, intact
+        if (myelinSegments && myelinSegments.length) {
+            myelinSegments.forEach((segment, index) => {
+                segment.addEventListener('click', () => {
+                    const loss = this.myelination.demyelination[index];
+                    this.myelination.demyelination[index] = loss === 0 ? 0.5 : loss === 0.5 ? 1 : 0;
+                    this.applyMyelination();
+                });
+            });
+        }
+
+        if (remyelinateBtn) {
+            remyelinateBtn.addEventListener('click', () => {
+                this.myelination.demyelination.fill(0);
+                this.applyMyelination();
+            });
+        }
+
+        // Conduction slows with cooling, measured again once the slider settles
+        this.model.on('parameterchange', ({ name }) => {
+            if (name !== 'temperature') return;
+            clearTimeout(this.conductionTimer);
+            this.conductionTimer = setTimeout(() => this.measureConduction(), 200);
+        });
+
+        this.measureConduction();
+    }
+
+    // Push the myelination into the running cable model, the SVG and the conduction readout
+    applyMyelination() {
+        const morphology = this.currentMorphology();
+        if (this.model.cable) {
+            this.model.setMorphology(morphology);
+        }
+
+        const myelinSegments = this.elementManager.getElement('myelinSegments');
+        if (myelinSegments && myelinSegments.length) {
+            myelinSegments.forEach((segment, index) => {
+                const loss = this.myelination.demyelination[index];
+                segment.classList.toggle('myelin-damaged', loss > 0 && loss < 1);
+                segment.classList.toggle('myelin-stripped', loss === 1);
+            });
+        }
+
+        this.measureConduction();
+    }
+
+    // Time a spike along the axon on a private cable model, see ConductionExperiment
+    measureConduction() {
+        try {
+            const experiment = new MiniNeuron.ConductionExperiment({
+                myelination: this.myelination,
+                modelOptions: {
+                    temperature: this.model.temperature,
+                    timeStep: 0.025,
+                    drugs: this.model.pharmacology.toJSON()
+                }
+            });
+            this.conduction = experiment.run();
+        } catch (error) {
+            console.error('Conduction measurement failed:', error);
+            this.conduction = null;
+        }
+        this.updateConductionReadout();
+    }
+
+    updateConductionReadout() {
+        const nodeSpacing = this.elementManager.getElement('nodeSpacing');
+        const nodeLatencies = this.elementManager.getElement('nodeLatencies');
+        const conductionVelocity = this.elementManager.getElement('conductionVelocity');
+
+        if (nodeSpacing) {
+            nodeSpacing.textContent = (this.myelination.internodeLength + this.myelination.nodeLength).toFixed(0);
+        }
+
+        const nodes = this.conduction ? this.conduction.nodes : [];
+        if (nodeLatencies && nodeLatencies.length) {
+            nodeLatencies.forEach(readout => {
+                const node = nodes.find(entry => entry.name === readout.dataset.nodeLatency);
+                if (!node || this.conduction.blocked === null) {
+                    readout.textContent = '--';
+                } else {
+                    readout.textContent = node.latency === null ? 'blocked' : `${node.latency.toFixed(3)} ms`;
+                }
+            });
+        }
+
+        if (conductionVelocity) {
+            const velocity = this.conduction && this.conduction.velocity;
+            conductionVelocity.textContent = velocity ? velocity.toFixed(2) : '--';
+        }
+    }
+
+    updateReversalReadouts() {
+        const readouts = this.elementManager.getElement('reversalReadouts');
+        if (!readouts || !readouts.length) return;
+
+        const values = Object.assign({
+            E_Ca: this.model.E_Ca,
+            V_GHK: this.model.ghkRestingPotential
+        }, this.model.reversals);
+
+        readouts.forEach(readout => {
+            readout.textContent = values[readout.dataset.reversal].toFixed(1);
+        });
+    }
+
+    setupPharmacology() {
+        const pharmacology = this.model.pharmacology;
+        const drugSelect = this.elementManager.getElement('drugSelect');
+        const concentrationInput = this.elementManager.getElement('drugConcentration');
+        const applyBtn = this.elementManager.getElement('drugApplyBtn');
+        const washoutBtn = this.elementManager.getElement('drugWashoutBtn');
+        const washoutAllBtn = this.elementManager.getElement('drugWashoutAllBtn');
+        const defineBtn = this.elementManager.getElement('customDrugDefineBtn');
+
+        this.populateDrugSelect();
+        pharmacology.on('drugdefine', ({ name }) => this.populateDrugSelect(name));
+
+        if (drugSelect && concentrationInput) {
+            // Suggest the IC50 of the chosen drug as a starting concentration
+            drugSelect.addEventListener('change', (e) => {
+                concentrationInput.value = pharmacology.getDrug(e.target.value).IC50;
+            });
+        }
+
+        if (applyBtn) {
+            applyBtn.addEventListener('click', () => {
+                try {
+                    pharmacology.apply(drugSelect.value, parseFloat(concentrationInput.value));
+                } catch (error) {
+                    console.error(`Failed to apply drug '${drugSelect.value}':`, error);
+                }
+            });
+        }
+
+        if (washoutBtn) {
+            washoutBtn.addEventListener('click', () => pharmacology.washout(drugSelect.value));
+        }
+
+        if (washoutAllBtn) {
+            washoutAllBtn.addEventListener('click', () => pharmacology.washoutAll());
+        }
+
+        if (defineBtn) {
+            defineBtn.addEventListener('click', () => this.defineCustomDrug());
+        }
+    }
+
+    populateDrugSelect(selected) {
+        const drugSelect = this.elementManager.getElement('drugSelect');
+        if (!drugSelect) return;
+
+        const current = selected || drugSelect.value;
+        drugSelect.innerHTML = '';
+        Object.values(this.model.pharmacology.drugs).forEach(drug => {
+            const option = document.createElement('option');
+            option.value = drug.name;
+            option.textContent = `${drug.name} (${drug.target})`;
+            drugSelect.appendChild(option);
+        });
+        if (current && this.model.pharmacology.drugs[current]) {
+            drugSelect.value = current;
+        }
+    }
+
+    defineCustomDrug() {
+        const name = this.elementManager.getElement('customDrugName');
+        const target = this.elementManager.getElement('customDrugTarget');
+        const ic50 = this.elementManager.getElement('customDrugIC50');
+        const hill = this.elementManager.getElement('customDrugHill');
+        if (!name || !target || !ic50 || !hill) return;
+
+        try {
+            this.model.pharmacology.defineDrug({
+                name: name.value,
+                target: target.value,
+                IC50: parseFloat(ic50.value),
+                hill: parseFloat(hill.value)
+            });
+            console.log(`Custom drug '${name.value}' defined`);
+        } catch (error) {
+            console.error(`Failed to define drug '${name.value}':`, error);
+        }
+    }
+
+    updateDrugStatus() {
+        const drugStatus = this.elementManager.getElement('drugStatus');
+        if (!drugStatus) return;
+
+        const present = this.model.pharmacology.getState()
+            .filter(drug => drug.concentration > 0 || drug.effective > 0);
+        drugStatus.textContent = present.length
+            ? present.map(drug =>
+                `${drug.name} → ${drug.target}: bath ${drug.concentration} μM, ` +
+                `tissue ${drug.effective.toPrecision(3)} μM, ${(drug.block * 100).toFixed(0)}% block`
+            ).join('\n')
+            : 'No drugs applied';
+    }
+
+    // Gray out a share of each channel population matching the drug block of its conductance
+    updateChannelBlock() {
+        const scales = this.model.conductanceScales;
+        [
+            ['naChannelsAxon', 'Na'],
+            ['naChannelsNodes', 'Na'],
+            ['kChannels', 'K'],
+            ['caChannels', 'Ca']
+        ].forEach(([elementName, target]) => {
+            const channels = this.elementManager.getElement(elementName);
+            if (!channels || !channels.length) return;
+
+            const blocked = Math.round((1 - scales[target]) * channels.length);
+            channels.forEach((channel, index) => {
+                channel.classList.toggle('channel-blocked', index < blocked);
+            });
+        });
+    }
+
+    setupRecorder() {
+        this.recorder = new MiniNeuron.TraceRecorder(this.model);
+
+        const intervalSelect = this.elementManager.getElement('recorderInterval');
+        const recordBtn = this.elementManager.getElement('recordBtn');
+        const exportButtons = this.elementManager.getElement('exportButtons');
+
+        if (intervalSelect) {
+            intervalSelect.value = this.recorder.samplingInterval.toString();
+            intervalSelect.addEventListener('change', (e) => {
+                this.recorder.setSamplingInterval(parseFloat(e.target.value));
+            });
+        }
+
+        if (recordBtn) {
+            recordBtn.addEventListener('click', () => {
+                if (this.recorder.recording) {
+                    this.recorder.stop();
+                } else {
+                    this.recorder.start();
+                }
+                recordBtn.textContent = this.recorder.recording ? 'Stop' : 'Record';
+                recordBtn.classList.toggle('stimulating', this.recorder.recording);
+                if (intervalSelect) intervalSelect.disabled = this.recorder.recording;
+            });
+        }
+
+        if (exportButtons && exportButtons.length) {
+            exportButtons.forEach(button => {
+                button.addEventListener('click', () => {
+                    this.exportRecording(button.dataset.format);
+                });
+            });
+        }
+    }
+
+    exportRecording(format) {
+        if (!this.recorder || this.recorder.sampleCount === 0) {
+            console.warn('Nothing recorded yet');
+            return;
+        }
+
+        const extensions = { csv: 'csv', json: 'json', nwb: 'nwb.json' };
+        const mimeTypes = { csv: 'text/csv', json: 'application/json', nwb: 'application/json' };
+
+        try {
+            const content = this.recorder.export(format);
+            this.downloadFile(`minineuron-trace.${extensions[format]}`, content, mimeTypes[format]);
+        } catch (error) {
+            console.error(`Failed to export recording as '${format}':`, error);
+        }
+    }
+
+    setupSpikeAnalysis() {
+        const runBtn = this.elementManager.getElement('analysisRunBtn');
+        const exportBtn = this.elementManager.getElement('analysisExportBtn');
+        const isiCanvas = this.elementManager.getElement('isiCanvas');
+        const psthCanvas = this.elementManager.getElement('psthCanvas');
+
+        if (isiCanvas) this.isiPlot = new SpikeHistogramPlot(isiCanvas);
+        if (psthCanvas) this.psthPlot = new SpikeHistogramPlot(psthCanvas);
+
+        if (runBtn) {
+            runBtn.addEventListener('click', () => this.analyzeRecording());
+        }
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => this.exportSpikeFeatures());
+        }
+    }
+
+    // Works on the samples so far, also while still recording
+    analyzeRecording() {
+        const summary = this.elementManager.getElement('analysisSummary');
+        const exportBtn = this.elementManager.getElement('analysisExportBtn');
+        if (!this.recorder || this.recorder.sampleCount < 3) {
+            if (summary) summary.textContent = 'Record a trace first.';
+            return;
+        }
+
+        const readNumber = (name, fallback) => {
+            const input = this.elementManager.getElement(name);
+            return input ? parseFloat(input.value) : fallback;
+        };
+        const binWidth = readNumber('analysisBinWidth', 5);
+
+        try {
+            const protocolEvents = this.recorder.eventTimes();
+            this.spikeAnalyzer = new MiniNeuron.SpikeAnalyzer({
+                dVdtThreshold: readNumber('analysisThreshold', 10),
+                isiBinWidth: binWidth,
+                psthBinWidth: binWidth,
+                psthWindow: [-Math.min(20, 4 * binWidth), readNumber('analysisWindow', 200)]
+            });
+            // Without a protocol the analyzer falls back to steps in the recorded I_stim
+            this.spikeAnalysis = this.spikeAnalyzer.analyze(this.recorder.getData(), protocolEvents.length ? protocolEvents : null);
+
+            if (this.isiPlot) {
+                this.isiPlot.draw(this.spikeAnalysis.isiHistogram, { title: 'ISI histogram' });
+            }
+            if (this.psthPlot) {
+                this.psthPlot.draw(this.spikeAnalysis.psth, {
+                    title: `PSTH, ${this.spikeAnalysis.psth.trials} trials`, values: 'rates', unit: 'Hz'
+                });
+            }
+            if (summary) summary.textContent = this.spikeAnalysisSummary(this.spikeAnalysis);
+            if (exportBtn) exportBtn.disabled = this.spikeAnalysis.spikes.length === 0;
+        } catch (error) {
+            console.error('Spike analysis failed:', error);
+            if (summary) summary.textContent = `Spike analysis failed: ${error.message}`;
+        }
+    }
+
+    spikeAnalysisSummary(result) {
+        const format = (value, digits = 2) => value === null ? '--' : value.toFixed(digits);
+        const average = (key) => {
+            const values = result.spikes.map(spike => spike[key]).filter(value => value !== null);
+            return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+        };
+
+        const lines = [
+            `${result.spikes.length} spikes in ${result.duration.toFixed(0)} ms, ${format(result.meanRate, 1)} Hz, ` +
+            `CV ${format(result.cv)}, adaptation index ${format(result.adaptationIndex, 3)}, ${result.events.length} events`
         ];
+        if (result.spikes.length) {
+            lines.push(`Mean threshold ${format(average('threshold'), 1)} mV, peak ${format(average('peak'), 1)} mV, ` +
+                `half-width ${format(average('halfWidth'))} ms, AHP ${format(average('ahpDepth'), 1)} mV, ` +
+                `latency ${format(average('latency'), 1)} ms`);
+        }
 
-        elementConfigs.forEach(([name, selector, isCollection = false]) => {
-            this.elementManager.registerElement(name, selector, isCollection);
+        // The first spikes one by one, the CSV has them all
+        result.spikes.slice(0, 10).forEach((spike, i) => {
+            lines.push(`#${i + 1} at ${spike.thresholdTime.toFixed(2)} ms: threshold ${format(spike.threshold, 1)} mV, ` +
+                `peak ${format(spike.peak, 1)} mV, half-width ${format(spike.halfWidth)} ms, ` +
+                `AHP ${format(spike.ahpDepth, 1)} mV, latency ${format(spike.latency)} ms`);
         });
+        if (result.spikes.length > 10) lines.push(`… ${result.spikes.length - 10} more`);
+        return lines.join('\n');
     }
 
-    setupEventListeners() {
-        // Event listeners remain unchanged
-        this.tempSlider = this.elementManager.getElement('tempSlider');
-        this.stimSlider = this.elementManager.getElement('stimSlider');
-        this.caSlider = this.elementManager.getElement('caSlider');
-        this.stimBtn = this.elementManager.getElement('stimBtn');
+    exportSpikeFeatures() {
+        if (!this.spikeAnalysis) return;
+        try {
+            this.downloadFile('minineuron-spikes.csv', this.spikeAnalyzer.exportCSV(this.spikeAnalysis), 'text/csv');
+        } catch (error) {
+            console.error('Failed to export the spike features:', error);
+        }
+    }
 
-        if (this.tempSlider) {
-            this.tempSlider.addEventListener('input', (e) => {
-                this.temperature = parseFloat(e.target.value);
-                this.tempValue.textContent = this.temperature.toFixed(1);
-                this.updateTemperatureEffects();
-                this.lastParameterChange = Date.now();
+    setupTraceFitting() {
+        const fileInput = this.elementManager.getElement('fitFile');
+        const loadBtn = this.elementManager.getElement('fitLoadBtn');
+        const recordingBtn = this.elementManager.getElement('fitRecordingBtn');
+        const costSelect = this.elementManager.getElement('fitCostSelect');
+        const runBtn = this.elementManager.getElement('fitRunBtn');
+        const applyBtn = this.elementManager.getElement('fitApplyBtn');
+        const saveBtn = this.elementManager.getElement('fitSaveBtn');
+        const exportBtn = this.elementManager.getElement('fitExportBtn');
+        const canvas = this.elementManager.getElement('fitCanvas');
+
+        if (canvas) this.fitPlot = new FitTracePlot(canvas);
+
+        if (costSelect) {
+            Object.entries(MiniNeuron.FIT_COSTS).forEach(([name, cost]) => {
+                costSelect.appendChild(new Option(cost.label, name));
             });
         }
 
-        if (this.stimSlider) {
-            this.stimSlider.addEventListener('input', (e) => {
-                const frequency = parseFloat(e.target.value);
-                this.stimValue.textContent = frequency;
-                this.updateStimulation(frequency);
-                this.lastParameterChange = Date.now();
+        if (loadBtn && fileInput) {
+            loadBtn.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', () => {
+                const file = fileInput.files[0];
+                if (!file) return;
+                file.text()
+                    .then(text => this.setFitTarget(MiniNeuron.parseTraceCSV(text), file.name))
+                    .catch(error => {
+                        console.error(`Failed to load target trace from '${file.name}':`, error);
+                        const summary = this.elementManager.getElement('fitSummary');
+                        if (summary) summary.textContent = `Failed to load '${file.name}': ${error.message}`;
+                    })
+                    .finally(() => {
+                        fileInput.value = '';
+                    });
             });
         }
 
-        if (this.caSlider) {
-            this.caSlider.addEventListener('input', (e) => {
-                this.Ca_ext = parseFloat(e.target.value);
-                this.caValue.textContent = this.Ca_ext.toFixed(1);
-                this.updateCalciumEffects();
-                this.lastParameterChange = Date.now();
+        if (recordingBtn) {
+            recordingBtn.addEventListener('click', () => {
+                if (!this.recorder || this.recorder.sampleCount < 3) {
+                    const summary = this.elementManager.getElement('fitSummary');
+                    if (summary) summary.textContent = 'Record a trace first.';
+                    return;
+                }
+                const data = this.recorder.getData();
+                this.setFitTarget({ time: data.time.map(t => t - data.time[0]), V: data.V }, 'the recording');
             });
         }
 
-        if (this.stimBtn) {
-            this.stimBtn.addEventListener('click', () => {
-                this.triggerSinglePulse();
+        // The same button stops a running fit, which keeps its best point so far
+        if (runBtn) {
+            runBtn.addEventListener('click', () => {
+                if (this.traceFit && this.traceFitRunning) {
+                    this.traceFit.stop();
+                } else {
+                    this.runTraceFit();
+                }
+            });
+        }
+        if (applyBtn) {
+            applyBtn.addEventListener('click', () => this.applyTraceFit());
+        }
+        if (saveBtn) {
+            saveBtn.addEventListener('click', () => this.saveTraceFitPreset());
+        }
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => this.exportTraceFit());
+        }
+    }
+
+    setFitTarget(target, source) {
+        const runBtn = this.elementManager.getElement('fitRunBtn');
+        const summary = this.elementManager.getElement('fitSummary');
+
+        this.fitTarget = target;
+        this.fitResult = null;
+        ['fitApplyBtn', 'fitSaveBtn', 'fitExportBtn'].forEach(name => {
+            const button = this.elementManager.getElement(name);
+            if (button) button.disabled = true;
+        });
+        if (runBtn) runBtn.disabled = false;
+        if (this.fitPlot) this.fitPlot.draw(target, null);
+        if (summary) {
+            const duration = target.time[target.time.length - 1];
+            summary.textContent = `Target from ${source}: ${target.time.length} samples over ${duration.toFixed(1)} ms`;
+        }
+    }
+
+    // Runs in the background on copies of the live configuration, the page keeps animating
+    async runTraceFit() {
+        const runBtn = this.elementManager.getElement('fitRunBtn');
+        const summary = this.elementManager.getElement('fitSummary');
+        const costSelect = this.elementManager.getElement('fitCostSelect');
+        const evaluationsInput = this.elementManager.getElement('fitEvaluations');
+        const protocolToggle = this.elementManager.getElement('fitProtocolToggle');
+        const protocolInput = this.elementManager.getElement('protocolInput');
+        const parameterInputs = this.elementManager.getElement('fitParameterInputs') || [];
+        if (!this.fitTarget) return;
+
+        try {
+            const fit = new MiniNeuron.TraceFit(this.fitTarget, {
+                parameters: Array.from(parameterInputs).filter(input => input.checked).map(input => input.dataset.fitParameter),
+                cost: costSelect ? costSelect.value : 'trace',
+                maxEvaluations: evaluationsInput ? parseInt(evaluationsInput.value, 10) : 200,
+                modelOptions: this.model.toOptions(),
+                protocol: protocolToggle && protocolToggle.checked && protocolInput
+                    ? MiniNeuron.StimulusProtocol.fromJSON(protocolInput.value).toJSON()
+                    : null
+            });
+
+            this.traceFit = fit;
+            this.traceFitRunning = true;
+            if (runBtn) runBtn.textContent = 'Stop';
+            const started = Date.now();
+            let shown = null;
+            this.fitResult = await fit.runAsync(({ evaluation, total, best, values, trace }) => {
+                // Redraw only when the best fit changes
+                if (trace !== shown && this.fitPlot) {
+                    this.fitPlot.draw(fit.target, trace, 'Target and best fit');
+                    shown = trace;
+                }
+                if (summary) {
+                    summary.textContent = `Run ${evaluation} / ${total}, best cost ${best.toFixed(3)}\n` + this.traceFitValues(values);
+                }
+            });
+
+            if (this.fitPlot) this.fitPlot.draw(fit.target, this.fitResult.trace, 'Target and best fit');
+            if (summary) {
+                summary.textContent = this.traceFitSummary(fit, this.fitResult) +
+                    ` in ${((Date.now() - started) / 1000).toFixed(1)} s`;
+            }
+            ['fitApplyBtn', 'fitSaveBtn', 'fitExportBtn'].forEach(name => {
+                const button = this.elementManager.getElement(name);
+                if (button) button.disabled = false;
             });
+        } catch (error) {
+            console.error('Trace fit failed:', error);
+            if (summary) summary.textContent = `Trace fit failed: ${error.message}`;
+        } finally {
+            this.traceFitRunning = false;
+            if (runBtn) runBtn.textContent = 'Fit';
+        }
+    }
+
+    traceFitValues(values) {
+        return Object.entries(values).map(([name, value]) => {
+            const parameter = MiniNeuron.FIT_PARAMETERS[name];
+            return `${parameter.label} ${value.toFixed(3)}${parameter.unit ? ' ' + parameter.unit : ''}`;
+        }).join(', ');
+    }
+
+    traceFitSummary(fit, result) {
+        const cost = MiniNeuron.FIT_COSTS[fit.cost];
+        const status = result.converged ? 'converged' : (result.stopped ? 'stopped' : 'out of runs');
+        return [
+            this.traceFitValues(result.values),
+            `Started from ${this.traceFitValues(result.initialValues)}`,
+            `${cost.label} ${result.cost.toFixed(3)}${cost.unit ? ' ' + cost.unit : ''}, ${status} after ${result.evaluations} runs`
+        ].join('\n');
+    }
+
+    // The page's state with the fitted conductances, kinetics and concentrations
+    fittedState() {
+        const fitted = MiniNeuron.captureState(this.traceFit.modelAt(this.fitResult.values));
+        return Object.assign(this.captureState(), {
+            ions: fitted.ions,
+            conductances: fitted.conductances,
+            kinetics: fitted.kinetics
+        });
+    }
+
+    applyTraceFit() {
+        if (!this.fitResult) return;
+        try {
+            this.applyState(this.fittedState());
+        } catch (error) {
+            console.error('Failed to apply the fitted parameters:', error);
+        }
+    }
+
+    saveTraceFitPreset() {
+        const nameInput = this.elementManager.getElement('fitPresetName');
+        const name = nameInput ? nameInput.value.trim() : '';
+        if (!this.fitResult || !name) return;
+        try {
+            this.presetStore.save(name, this.fittedState(), this.baselineState);
+            this.populatePresetSelect(`saved:${name}`);
+        } catch (error) {
+            console.error(`Failed to save preset '${name}':`, error);
+        }
+    }
+
+    exportTraceFit() {
+        if (!this.fitResult) return;
+        try {
+            const content = Object.assign(this.traceFit.exportJSON(this.fitResult), { state: this.fittedState() });
+            this.downloadFile('minineuron-fit.json', JSON.stringify(content, null, 2), 'application/json');
+        } catch (error) {
+            console.error('Failed to export the trace fit:', error);
         }
     }
 
+    downloadFile(filename, content, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
     registerAnimations() {
         // Register all animations with proper cleanup
         this.animationController.registerAnimation(
@@ -426,7 +2621,7 @@ class RealisticNeuron {
 
     // Enhanced animation methods with proper sequencing
     async executeStimulationEffect() {
-        this.animationState.currentPhase = 'stimulation';
+        this.setPhase('stimulation');
 
         // Pause ion channel CSS animations during stimulation
         this.pauseIonChannelCSSAnimations();
@@ -483,7 +2678,7 @@ class RealisticNeuron {
 
     // Soma depolarization animation
     async executeSomaDepolarization() {
-        this.animationState.currentPhase = 'somaDepolarization';
+        this.setPhase('somaDepolarization');
 
         // Intense soma depolarization
         this.elementManager.setElementAttribute('soma', 'fill', 'url(#depolarizedGradient)');
@@ -522,7 +2717,7 @@ class RealisticNeuron {
     // Axon hillock spike animation
     async executeAxonHillockSpike() {
         console.log('Starting axon hillock spike animation');
-        this.animationState.currentPhase = 'axonHillock';
+        this.setPhase('axonHillock');
 
         // Pause ion channel CSS animations during axon hillock activation
         this.pauseIonChannelCSSAnimations();
@@ -592,10 +2787,9 @@ class RealisticNeuron {
     async executeActionPotentialPropagation() {
         console.log('Starting action potential propagation animation');
         this.animationState.apActive = true;
-        this.animationState.currentPhase = 'actionPotential';
+        this.setPhase('actionPotential');
 
         // Apply parameter effects at animation start
-        const tempFactor = this.temperatureFactor || 1;
         const stimIntensity = this.stimulationIntensity || 1;
 
         // Pause ion channel CSS animations during action potential
@@ -626,34 +2820,26 @@ class RealisticNeuron {
         wave.style.strokeDasharray = length;
         wave.style.strokeDashoffset = length;
 
-        // Calculate node activation times based on their positions along the axon
-        // Path: M 400 300 L 440 300 L 500 300 L 580 300 L 660 300 L 740 300
-        // Total length: 340px
-        // Node positions from start: Node1=100px (29.4%), Node2=180px (52.9%), Node3=260px (76.5%)
-        // Apply temperature factor to timing (higher temp = faster propagation)
-        const baseDuration = 1500; // Base duration in ms
-        const tempAdjustedDuration = baseDuration / tempFactor;
-        const nodeActivationTimes = [
-            Math.round(441 / tempFactor),  // Node 1 at 29.4% of temp-adjusted duration
-            Math.round(794 / tempFactor),  // Node 2 at 52.9% of temp-adjusted duration
-            Math.round(1148 / tempFactor)  // Node 3 at 76.5% of temp-adjusted duration
-        ];
+        // Node activation times come from the measured conduction (temperature, myelination, drugs),
+        // the wave stops at the first node the spike does not reach
+        const timing = this.propagationTiming();
 
         // Schedule node activations at precise times
         const nodes = this.elementManager.getElement('nodesOfRanvier');
         if (nodes && nodes.length) {
             for (let i = 0; i < nodes.length; i++) {
+                if (timing.nodeTimes[i] === null) continue;
                 setTimeout(() => {
                     this.activateNodeOfRanvier(nodes[i], i);
-                }, nodeActivationTimes[i]);
+                }, timing.nodeTimes[i]);
             }
         }
 
-        // Animate wave propagation with temperature-adjusted duration
+        // Animate wave propagation along the measured time course
         await this.timingManager.animate(
-            tempAdjustedDuration,
+            timing.duration,
             (progress) => {
-                const offset = length * (1 - progress);
+                const offset = length * (1 - timing.pathFraction(progress * timing.duration));
                 wave.style.strokeDashoffset = offset;
                 console.log('Action potential progress:', progress, 'offset:', offset);
 
@@ -671,16 +2857,64 @@ class RealisticNeuron {
         // Animate potassium channels during repolarization phase
         await this.animatePotassiumChannels();
 
-        // Activate synaptic terminals
-        await this.activateSynapticTerminals();
+        // Activate synaptic terminals, unless conduction failed on the way
+        if (!timing.blocked) {
+            await this.activateSynapticTerminals();
+        }
 
         // Resume ion channel CSS animations after action potential completes
         this.resumeIonChannelCSSAnimations();
     }
 
+    // Screen timing of the propagation animation from the measured node latencies. The wave path
+    // runs M 400 300 L 740 300 (340px) with the nodes at 100, 180 and 260px from its start.
+    propagationTiming() {
+        const nodeFractions = [100 / 340, 180 / 340, 260 / 340];
+        const slowdown = 6500; // Screen ms per ms of model time
+
+        if (!this.conduction) this.measureConduction();
+        const latencies = this.conduction
+            ? this.conduction.nodes.map(node => node.latency)
+            : [0.042, 0.096, 0.176]; // Healthy axon at 37°C
+
+        // Path fraction against screen time, up to the last node reached
+        const points = [[0, 0]];
+        const nodeTimes = latencies.map((latency, i) => {
+            const reached = latency !== null && points.length === i + 1 && latency * slowdown >= points[i][0];
+            if (reached) points.push([latency * slowdown, nodeFractions[i]]);
+            return reached ? Math.round(latency * slowdown) : null;
+        });
+
+        const blocked = points.length <= nodeFractions.length;
+        const [lastTime, lastFraction] = points[points.length - 1];
+        if (blocked) {
+            // The spike dies out halfway to the next node
+            const next = nodeFractions[points.length - 1];
+            points.push([lastTime + 300, (lastFraction + next) / 2]);
+        } else {
+            // Run on to the terminals at the speed of the last internode
+            const [previousTime, previousFraction] = points[points.length - 2];
+            const speed = (lastFraction - previousFraction) / Math.max(lastTime - previousTime, 1);
+            points.push([lastTime + (1 - lastFraction) / speed, 1]);
+        }
+
+        const pathFraction = (time) => {
+            for (let i = 1; i < points.length; i++) {
+                if (time <= points[i][0]) {
+                    const [t0, f0] = points[i - 1];
+                    const [t1, f1] = points[i];
+                    return f0 + (f1 - f0) * (time - t0) / Math.max(t1 - t0, 1e-9);
+                }
+            }
+            return points[points.length - 1][1];
+        };
+
+        return { nodeTimes, blocked, duration: points[points.length - 1][0], pathFraction };
+    }
+
     cleanupActionPotentialPropagation() {
         this.animationState.apActive = false;
-        this.animationState.currentPhase = 'idle';
+        this.setPhase('idle');
 
         const wave = this.elementManager.getElement('actionPotentialWave');
         if (wave) {
@@ -845,7 +3079,7 @@ class RealisticNeuron {
     // Dendritic activation animation
     async executeDendriticActivation() {
         console.log('Starting dendritic activation animation');
-        this.animationState.currentPhase = 'dendritic';
+        this.setPhase('dendritic');
 
         // Activate dendrites with sequential propagation
         const dendrites = this.elementManager.getElement('dendrites');
@@ -917,7 +3151,7 @@ class RealisticNeuron {
     async executeCalciumDynamics() {
         console.log('Starting calcium dynamics animation');
         this.animationState.calciumActive = true;
-        this.animationState.currentPhase = 'calcium';
+        this.setPhase('calcium');
 
         // Apply calcium factor effects
         const caFactor = this.calciumFactor || 1;
@@ -925,60 +3159,8 @@ class RealisticNeuron {
         // Pause ion channel CSS animations during calcium dynamics
         this.pauseIonChannelCSSAnimations();
 
-        // Show calcium dynamics group
-        this.elementManager.setElementStyle('calciumDynamics', { opacity: '1' });
-
-        // Calcium influx at synaptic terminals - higher calcium = more intense influx
-        const calciumInflux = this.elementManager.getElement('calciumInflux');
-        if (calciumInflux && calciumInflux.length) {
-            const baseStrokeWidth = 3;
-            const baseDelay = 50;
-            const baseDuration = 200;
-
-            const caAdjustedStrokeWidth = baseStrokeWidth + (caFactor - 1) * 2; // 2px max additional width
-            const caAdjustedDelay = baseDelay / caFactor; // Higher calcium = faster influx
-            const caAdjustedDuration = baseDuration / caFactor;
-
-            const influxPromises = Array.from(calciumInflux).map((influx, index) => {
-                return this.timingManager.delay(index * caAdjustedDelay)
-                    .then(() => {
-                        influx.style.opacity = '1';
-                        influx.style.stroke = '#fdcb6e';
-                        influx.style.strokeWidth = caAdjustedStrokeWidth.toString();
-                        influx.style.filter = 'url(#glow)';
-
-                        return this.timingManager.delay(caAdjustedDuration)
-                            .then(() => {
-                                influx.style.opacity = '0';
-                                influx.style.strokeWidth = '2';
-                                influx.style.filter = 'none';
-                            });
-                    });
-            });
-
-            await Promise.all(influxPromises);
-        }
-
-        // Calcium wave propagation in soma
-        const calciumWave = this.elementManager.getElement('calciumWave');
-        if (calciumWave) {
-            const baseDuration = this.timingManager.getTiming('calciumDynamics');
-            const caAdjustedDuration = baseDuration / caFactor; // Higher calcium = faster wave
-
-            await this.timingManager.animate(
-                caAdjustedDuration,
-                (progress) => {
-                    calciumWave.style.opacity = (1 - progress).toString();
-                    const baseWaveStrokeWidth = 2 + progress * 3;
-                    const caWaveStrokeWidth = baseWaveStrokeWidth + (caFactor - 1) * 2; // Enhanced stroke width
-                    calciumWave.style.strokeWidth = caWaveStrokeWidth.toString();
-                    const baseWaveScale = 1 + progress * 0.5;
-                    const caWaveScale = baseWaveScale + (caFactor - 1) * 0.3; // Enhanced scale
-                    calciumWave.style.transform = `scale(${caWaveScale})`;
-                    calciumWave.style.transformOrigin = 'center';
-                }
-            );
-        }
+        // Influx and the somatic calcium wave follow the model's [Ca]i every frame,
+        // see updateCalciumVisualization()
 
         // Activate calcium channels - higher calcium = more intense activation
         const caChannels = this.elementManager.getElement('caChannels');
@@ -1031,23 +3213,6 @@ class RealisticNeuron {
 
     cleanupCalciumDynamics() {
         this.animationState.calciumActive = false;
-        this.elementManager.setElementStyle('calciumDynamics', { opacity: '0' });
-
-        const calciumInflux = this.elementManager.getElement('calciumInflux');
-        if (calciumInflux && calciumInflux.length) {
-            calciumInflux.forEach(influx => {
-                influx.style.opacity = '0';
-                influx.style.strokeWidth = '2';
-                influx.style.filter = 'none';
-            });
-        }
-
-        const calciumWave = this.elementManager.getElement('calciumWave');
-        if (calciumWave) {
-            calciumWave.style.opacity = '0';
-            calciumWave.style.strokeWidth = '1';
-            calciumWave.style.transform = 'scale(1)';
-        }
 
         const caChannels = this.elementManager.getElement('caChannels');
         if (caChannels && caChannels.length) {
@@ -1063,7 +3228,7 @@ class RealisticNeuron {
     // Other animation methods follow similar pattern...
     async executeSynapticTransmission() {
         this.animationState.synapticActive = true;
-        this.animationState.currentPhase = 'synaptic';
+        this.setPhase('synaptic');
 
         // Pause ion channel CSS animations during synaptic transmission
         this.pauseIonChannelCSSAnimations();
@@ -1120,13 +3285,15 @@ class RealisticNeuron {
         const neurotransmitters = this.elementManager.getElement('neurotransmitters');
         if (!neurotransmitters || !neurotransmitters.length) return;
 
-        // Apply calcium-dependent release probability
-        const releaseProbability = this.neurotransmitterReleaseProbability || 0.3;
-        if (Math.random() > releaseProbability) {
-            return; // Skip release based on probability
+        // What the bouton's last spike released from its pool, see PresynapticBoutons
+        const bouton = this.model.boutons.boutons[boutonIndex];
+        if (!bouton || bouton.released < 0.02) {
+            return; // Release failure or a depleted pool
         }
 
-        const vesicles = Array.from(neurotransmitters).slice(boutonIndex * 3, (boutonIndex + 1) * 3);
+        // Half the pool or more shows every vesicle
+        const group = Array.from(neurotransmitters).slice(boutonIndex * 3, (boutonIndex + 1) * 3);
+        const vesicles = group.slice(0, Math.max(1, Math.round(group.length * Math.min(1, bouton.released * 2))));
         const caStrength = this.synapticStrength || 1;
 
         const releasePromises = vesicles.map((vesicle, index) => {
@@ -1193,6 +3360,9 @@ class RealisticNeuron {
 
     // Trigger single pulse with new architecture
     triggerSinglePulse() {
+        // Never replaces a protocol started in the editor
+        if (this.model.protocol) return;
+
         console.log('Triggering single pulse');
 
         // Reset stimulation state to allow multiple triggers
@@ -1201,9 +3371,31 @@ class RealisticNeuron {
         const stimBtn = this.elementManager.getElement('stimBtn');
         if (stimBtn) stimBtn.classList.add('stimulating');
 
-        this.I_stim = 8;
+        // Brief current pulse in model time, on top of any synaptic input. In voltage clamp protocol
+        // values are command steps in mV, there the pulse depolarizes by 50 mV for 5 ms.
+        if (this.model.clampMode === 'voltage') {
+            this.model.setProtocol({ name: 'Single step', components: [{ type: 'step', start: 0, duration: 5, amplitude: 50 }] });
+        } else {
+            this.model.setProtocol({ name: 'Single pulse', components: [{ type: 'step', start: 0, duration: 2, amplitude: 10 }] });
+        }
+
+        // The cable model shows the real propagation instead, a clamped cell does not spike
+        if (!this.model.cable && this.model.clampMode === 'current') {
+            this.playSpikeAnimations();
+        }
+
+        // Reset button after all animations complete
+        this.timingManager.delay(4000) // Longer delay to ensure all animations finish
+            .then(() => {
+                this.isStimulating = false;
+                if (stimBtn) stimBtn.classList.remove('stimulating');
+                this.cleanupAllIonChannels();
+                console.log('Stimulation reset complete');
+            });
+    }
 
-        // Queue animations in proper sequence
+    // Queue the canned spike animations in proper sequence
+    playSpikeAnimations() {
         console.log('Queueing dendritic activation');
         this.animationController.queueAnimation('dendriticActivation');
 
@@ -1231,16 +3423,6 @@ class RealisticNeuron {
                         this.animationController.queueAnimation('calciumDynamics');
                     });
             });
-
-        // Reset stimulation after all animations complete
-        this.timingManager.delay(4000) // Longer delay to ensure all animations finish
-            .then(() => {
-                this.I_stim = 0;
-                this.isStimulating = false;
-                if (stimBtn) stimBtn.classList.remove('stimulating');
-                this.cleanupAllIonChannels();
-                console.log('Stimulation reset complete');
-            });
     }
 
     // Pause CSS animations for all ion channels
@@ -1349,18 +3531,9 @@ class RealisticNeuron {
         // Update stimulation frequency and patterns
         this.stimulationFrequency = frequency;
 
-        // Stop any existing continuous stimulation
-        if (this.stimulationInterval) {
-            clearInterval(this.stimulationInterval);
-            this.stimulationInterval = null;
-        }
-
         if (frequency > 0) {
-            // Calculate interval based on frequency (Hz to ms)
-            const interval = 1000 / frequency;
-
             // Start continuous stimulation with frequency-dependent intensity
-            this.startContinuousStimulationWithFrequency(interval, frequency);
+            this.startContinuousStimulationWithFrequency(frequency);
 
             // Visual feedback for stimulation change
             this.addParameterChangeFeedback('stimulation');
@@ -1368,7 +3541,7 @@ class RealisticNeuron {
             // Update stimulation intensity based on frequency
             this.stimulationIntensity = Math.min(frequency / 10, 2); // Cap at 2x intensity
 
-            console.log(`Stimulation frequency updated to ${frequency} Hz, interval: ${interval}ms`);
+            console.log(`Stimulation frequency updated to ${frequency} Hz`);
         } else {
             // Stop continuous stimulation
             this.stopContinuousStimulation();
@@ -1390,9 +3563,6 @@ class RealisticNeuron {
         // Calcium affects synaptic transmission probability and strength
         this.calciumFactor = caFactor;
 
-        // Update neurotransmitter release probability based on calcium
-        this.neurotransmitterReleaseProbability = Math.min(0.9, 0.3 * caFactor);
-
         // Update synaptic strength (higher Ca²⁺ = stronger synaptic responses)
         this.synapticStrength = Math.min(2.0, caFactor);
 
@@ -1407,92 +3577,23 @@ class RealisticNeuron {
         console.log(`Calcium concentration updated to ${this.Ca_ext} mM, synaptic strength: ${this.synapticStrength.toFixed(2)}`);
     }
 
-    startContinuousStimulationWithFrequency(interval, frequency) {
-        // Start continuous stimulation with frequency-dependent patterns
+    // The slider drives every excitatory synapse with independent Poisson spike trains
+    startContinuousStimulationWithFrequency(frequency) {
         this.continuousStimulation = true;
+        this.model.synapses.setRate('excitatory', frequency);
 
-        // Determine stimulation pattern based on frequency
-        let pattern;
-        if (frequency <= 1) {
-            pattern = 'single'; // Single spikes
-        } else if (frequency <= 5) {
-            pattern = 'burst'; // Burst firing
-        } else if (frequency <= 10) {
-            pattern = 'tonic'; // Tonic firing
-        } else {
-            pattern = 'high-frequency'; // High-frequency firing
-        }
-
-        this.stimulationPattern = pattern;
-
-        // Start the stimulation interval
-        this.stimulationInterval = setInterval(() => {
-            if (!this.animationState.apActive) { // Don't trigger if already firing
-                this.triggerPatternedStimulation(pattern, frequency);
-            }
-        }, interval);
-
-        console.log(`Continuous stimulation started: ${pattern} pattern at ${frequency} Hz`);
+        console.log(`Excitatory synaptic input at ${frequency} Hz per synapse`);
     }
 
     stopContinuousStimulation() {
-        // Stop continuous stimulation
         this.continuousStimulation = false;
+        this.model.synapses.setRate('excitatory', 0);
 
-        if (this.stimulationInterval) {
-            clearInterval(this.stimulationInterval);
-            this.stimulationInterval = null;
-        }
-
-        this.stimulationPattern = null;
         this.stimulationIntensity = 0;
 
         console.log('Continuous stimulation stopped');
     }
 
-    triggerPatternedStimulation(pattern, frequency) {
-        // Trigger stimulation based on pattern
-        switch (pattern) {
-            case 'single':
-                this.I_stim = 8;
-                this.triggerSinglePulse();
-                break;
-            case 'burst':
-                // Burst pattern: 3-5 spikes in rapid succession
-                this.triggerBurstPattern();
-                break;
-            case 'tonic':
-                // Tonic pattern: regular single spikes
-                this.I_stim = Math.min(12, 6 + frequency); // Higher intensity
-                this.triggerSinglePulse();
-                break;
-            case 'high-frequency':
-                // High-frequency pattern: intense single spikes
-                this.I_stim = Math.min(15, 8 + frequency * 0.5);
-                this.triggerSinglePulse();
-                break;
-        }
-    }
-
-    triggerBurstPattern() {
-        // Trigger a burst of 3-5 action potentials
-        const burstCount = 3 + Math.floor(Math.random() * 3); // 3-5 spikes
-        let currentBurst = 0;
-
-        const triggerNext = () => {
-            if (currentBurst < burstCount) {
-                this.I_stim = 10; // Higher intensity for burst
-                this.triggerSinglePulse();
-                currentBurst++;
-
-                // Schedule next spike in burst (50-100ms interval)
-                setTimeout(triggerNext, 50 + Math.random() * 50);
-            }
-        };
-
-        triggerNext();
-    }
-
     updateOngoingAnimationsForTemperature() {
         // Update ongoing animations when temperature changes
         const tempFactor = this.temperatureFactor || 1;
@@ -1590,19 +3691,6 @@ class RealisticNeuron {
                 });
             }
         }
-
-        // Update calcium dynamics intensity
-        if (this.animationState.calciumActive) {
-            const calciumInflux = this.elementManager.getElement('calciumInflux');
-            if (calciumInflux && calciumInflux.length) {
-                calciumInflux.forEach(influx => {
-                    if (influx.style.opacity === '1') {
-                        const strokeWidth = 3 + (caStrength - 1) * 2; // 2px max additional width
-                        influx.style.strokeWidth = strokeWidth.toString();
-                    }
-                });
-            }
-        }
     }
 
     addParameterChangeFeedback(parameter) {
@@ -1665,20 +3753,7 @@ class RealisticNeuron {
     }
 
     showCalciumFeedback() {
-        // Calcium feedback - brief calcium spark
-        const calciumWave = this.elementManager.getElement('calciumWave');
-        if (calciumWave) {
-            calciumWave.style.opacity = '0.8';
-            calciumWave.style.strokeWidth = '4';
-            calciumWave.style.transform = 'scale(1.2)';
-            calciumWave.style.transformOrigin = 'center';
-
-            setTimeout(() => {
-                calciumWave.style.opacity = '0';
-                calciumWave.style.strokeWidth = '1';
-                calciumWave.style.transform = 'scale(1)';
-            }, 800);
-        }
+        // The calcium wave itself follows [Ca]i, see updateCalciumVisualization()
 
         // Show calcium indicator on synaptic boutons
         const boutons = this.elementManager.getElement('synapticBoutons');
@@ -1694,13 +3769,72 @@ class RealisticNeuron {
         }
     }
 
-    // Hodgkin-Huxley equations remain unchanged
-    alpha_m(V) { return 0.1 * (V + 40) / (1 - Math.exp(-(V + 40) / 10)); }
-    beta_m(V) { return 4 * Math.exp(-(V + 65) / 18); }
-    alpha_h(V) { return 0.07 * Math.exp(-(V + 65) / 20); }
-    beta_h(V) { return 1 / (1 + Math.exp(-(V + 35) / 10)); }
-    alpha_n(V) { return 0.01 * (V + 55) / (1 - Math.exp(-(V + 55) / 10)); }
-    beta_n(V) { return 0.125 * Math.exp(-(V + 65) / 80); }
+    // Influx rings track the Ca2+ current, the somatic wave tracks free [Ca]i above rest
+    updateCalciumVisualization() {
+        const influxLevel = Math.max(0, Math.min(1, -this.model.currents.I_Ca / 2));
+        const caLevel = Math.max(0, Math.min(1, (this.model.Ca_i - this.model.Ca_rest) / 0.4));
+
+        this.elementManager.setElementStyle('calciumDynamics', {
+            opacity: influxLevel > 0.01 || caLevel > 0.01 ? '1' : '0'
+        });
+
+        const calciumInflux = this.elementManager.getElement('calciumInflux');
+        if (calciumInflux && calciumInflux.length) {
+            calciumInflux.forEach(influx => {
+                influx.style.opacity = influxLevel.toFixed(2);
+                influx.style.strokeWidth = (2 + 3 * influxLevel).toString();
+                influx.style.filter = influxLevel > 0.5 ? 'url(#glow)' : 'none';
+            });
+        }
+
+        const calciumWave = this.elementManager.getElement('calciumWave');
+        if (calciumWave) {
+            calciumWave.style.opacity = caLevel.toFixed(2);
+            calciumWave.style.strokeWidth = (1 + 4 * caLevel).toString();
+            calciumWave.style.transform = `scale(${1 + 0.5 * caLevel})`;
+            calciumWave.style.transformOrigin = 'center';
+        }
+    }
+
+    // Membrane potential to colour, blue at -90 mV through green to red at +30 mV
+    voltageColor(V) {
+        const level = Math.max(0, Math.min(1, (V + 90) / 120));
+        return `hsl(${(240 * (1 - level)).toFixed(0)}, 85%, ${(45 + 15 * level).toFixed(0)}%)`;
+    }
+
+    // Colour every drawn segment by the voltage of its cable compartment
+    updateCompartmentColors() {
+        const cable = this.model.cable;
+        if (!cable) return;
+
+        if (!this.compartmentElements) {
+            this.compartmentElements = cable.sections.map(section =>
+                Array.from(document.querySelectorAll(`.neuron-svg ${section.selector}`)));
+        }
+
+        this.compartmentElements.forEach((elements, i) => {
+            const color = this.voltageColor(cable.V[i]);
+            elements.forEach(element => {
+                // Paths are drawn by their stroke, shapes by their fill
+                if (element.tagName.toLowerCase() === 'path') {
+                    element.style.stroke = color;
+                } else {
+                    element.style.fill = color;
+                }
+            });
+        });
+    }
+
+    // Back to the gradients of the markup
+    clearCompartmentColors() {
+        if (this.compartmentElements) {
+            this.compartmentElements.forEach(elements => elements.forEach(element => {
+                element.style.stroke = '';
+                element.style.fill = '';
+            }));
+        }
+        this.compartmentElements = null;
+    }
 
     updateIonChannelGates() {
         // Update ion channel states based on membrane potential
@@ -1776,77 +3910,12 @@ class RealisticNeuron {
         }
     }
 
-    updateMembranePotential() {
-        // Hodgkin-Huxley equations implementation
-        const dt = this.timeStep;
-
-        // Calculate rate constants with temperature scaling
-        const tempFactor = Math.pow(2.5, (this.temperature - 37) / 10);
-
-        // Update gating variables using Euler integration
-        const alpha_m = this.alpha_m(this.V) * tempFactor;
-        const beta_m = this.beta_m(this.V) * tempFactor;
-        const alpha_h = this.alpha_h(this.V) * tempFactor;
-        const beta_h = this.beta_h(this.V) * tempFactor;
-        const alpha_n = this.alpha_n(this.V) * tempFactor;
-        const beta_n = this.beta_n(this.V) * tempFactor;
-
-        // Update m, h, n gates
-        this.m += dt * (alpha_m * (1 - this.m) - beta_m * this.m);
-        this.h += dt * (alpha_h * (1 - this.h) - beta_h * this.h);
-        this.n += dt * (alpha_n * (1 - this.n) - beta_n * this.n);
-
-        // Calculate ionic currents
-        const g_Na = 120 * Math.pow(this.m, 3) * this.h; // Sodium conductance
-        const g_K = 36 * Math.pow(this.n, 4); // Potassium conductance
-        const g_L = 0.3; // Leak conductance
-
-        const I_Na = g_Na * (this.V - 55); // Sodium current
-        const I_K = g_K * (this.V + 72); // Potassium current
-        const I_L = g_L * (this.V + 49.387); // Leak current
-
-        // Total membrane current
-        const I_total = this.I_stim - I_Na - I_K - I_L;
-
-        // Update membrane potential
-        this.V += dt * I_total / 1.0; // Capacitance = 1 μF/cm²
-
-        // Check for spike
-        if (this.V > 0 && this.lastSpikeTime < this.time - 5) {
-            this.lastSpikeTime = this.time;
-            this.spikeTimes.push(this.time);
-
-            // Keep only recent spikes (last 1 second)
-            this.spikeTimes = this.spikeTimes.filter(spikeTime =>
-                this.time - spikeTime <= 1000
-            );
-        }
-
-        // Update firing rate (spikes per second)
-        this.firingRate = this.spikeTimes.length;
-
-        // Update time
-        this.time += dt;
-
-        // Apply stimulation effects
-        this.applyParameterEffects();
-    }
-
     applyParameterEffects() {
         // Apply parameter effects to the simulation
-        // Temperature effects are already handled in updateMembranePotential()
-
-        // Stimulation intensity affects action potential threshold
-        if (this.stimulationIntensity > 1) {
-            // Higher stimulation makes neuron more excitable
-            this.I_stim *= this.stimulationIntensity;
-        }
+        // Temperature effects are already handled by the model's rate scaling,
+        // stimulation currents by the active stimulus protocol
 
-        // Calcium concentration affects synaptic transmission
-        if (this.calciumFactor > 1) {
-            // Higher calcium increases neurotransmitter release probability
-            this.neurotransmitterReleaseProbability = Math.min(0.9, 0.3 * this.calciumFactor);
-        }
+        // Calcium-dependent release is modelled at the boutons, see PresynapticBoutons
 
         // Synaptic strength affects postsynaptic responses
         if (this.synapticStrength > 1) {
@@ -1856,6 +3925,9 @@ class RealisticNeuron {
     }
 
     updateMembraneVisualization() {
+        // The cable model colours every segment itself, see updateCompartmentColors()
+        if (this.model.cable) return;
+
         // Update soma color based on membrane potential
         const soma = this.elementManager.getElement('soma');
         if (soma) {
@@ -1902,13 +3974,8 @@ class RealisticNeuron {
     }
 
     step() {
-        // Advance simulation by one time step
-        this.updateMembranePotential();
-        this.updateChannelVisualization();
-        this.updateDisplays();
-
-        // Update ion channel states for visualization
-        this.updateIonChannelGates();
+        // Advance simulation by one time step (rendered only when paused, see SimulationClock)
+        this.clock.singleStep();
     }
 
     updateParameterEffects() {
@@ -1928,6 +3995,21 @@ class RealisticNeuron {
             firingRateDisplay.textContent = this.firingRate.toString();
         }
 
+        // Update recorded sample count
+        const recorderCount = this.elementManager.getElement('recorderCount');
+        if (recorderCount && this.recorder) {
+            recorderCount.textContent = this.recorder.sampleCount.toString();
+        }
+
+        this.updateDrugStatus();
+        this.updateReversalReadouts();
+
+        // Update model time display
+        const simTimeDisplay = this.elementManager.getElement('simTimeDisplay');
+        if (simTimeDisplay) {
+            simTimeDisplay.textContent = this.time.toFixed(1);
+        }
+
         // Update membrane visualization based on voltage
         this.updateMembraneVisualization();
     }
@@ -1937,22 +4019,30 @@ class RealisticNeuron {
         if (this.isRunning) return;
 
         this.isRunning = true;
+        this.clock.resetWallTime();
 
-        const simulationLoop = () => {
+        const simulationLoop = (wallTime) => {
             if (!this.isRunning) return;
 
-            this.step();
+            // Run as many model substeps as the elapsed wall time allows
+            this.clock.tick(wallTime);
+            if (this.networkEnabled) this.networkClock.tick(wallTime);
 
             // Schedule next frame
             this.animationId = requestAnimationFrame(simulationLoop);
         };
 
         // Start the simulation loop
-        simulationLoop();
+        this.animationId = requestAnimationFrame(simulationLoop);
     }
 
     stopSimulation() {
-        // ... unchanged implementation
+        this.isRunning = false;
+
+        if (this.animationId !== null) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
     }
 }
 
@@ -0,0 +1,341 @@
+// Canvas oscilloscope plotting the live output of a NeuronModel.
+// Samples come from the model's 'step' events, draw() is called once per rendered frame.
+class Oscilloscope {
+    constructor(canvas, model, options = {}) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.model = model;
+
+        const config = Object.assign({}, Oscilloscope.defaults, options);
+
+        // Display settings
+        this.timeBase = config.timeBase; // ms per division
+        this.voltageScale = config.voltageScale; // mV per division
+        this.voltageOffset = config.voltageOffset; // mV at the center line
+        this.currentScale = config.currentScale; // μA/cm² per division
+        this.divisions = { x: 10, y: 8 };
+        this.traces = { V: true, m: true, h: true, n: true, I_stim: true };
+
+        // Trigger settings: 'roll' scrolls continuously, 'spike' holds sweeps aligned to threshold crossings
+        this.triggerMode = config.triggerMode;
+        this.triggerThreshold = config.triggerThreshold;
+        this.preTriggerFraction = 0.1;
+
+        this.frozen = false;
+        this.cursors = [];
+
+        this.clear();
+        this.unsubscribe = model.on('step', (state) => this.addSample(state));
+        model.on('reset', () => this.clear());
+    }
+
+    static get defaults() {
+        return {
+            timeBase: 2,
+            voltageScale: 20,
+            voltageOffset: -20,
+            currentScale: 5,
+            triggerMode: 'roll',
+            triggerThreshold: 0
+        };
+    }
+
+    static get colors() {
+        return {
+            grid: 'rgba(255, 255, 255, 0.08)',
+            axis: 'rgba(255, 255, 255, 0.25)',
+            threshold: 'rgba(255, 255, 255, 0.35)',
+            cursor: '#ffffff',
+            V: '#00d4ff',
+            m: '#ff6b6b',
+            h: '#00b894',
+            n: '#fdcb6e',
+            I_stim: '#a29bfe'
+        };
+    }
+
+    // Width of the visible window in ms
+    get windowDuration() {
+        return this.timeBase * this.divisions.x;
+    }
+
+    clear() {
+        this.samples = [];
+        this.sweep = null; // Samples of the sweep being captured in trigger mode
+        this.heldSweep = null; // Last completed sweep
+        this.triggerTime = null;
+        this.cursors = [];
+    }
+
+    setTimeBase(msPerDivision) {
+        this.timeBase = msPerDivision;
+        this.clear();
+    }
+
+    setVoltageScale(mVPerDivision) {
+        this.voltageScale = mVPerDivision;
+    }
+
+    setTriggerMode(mode) {
+        if (mode !== 'roll' && mode !== 'spike') {
+            throw new Error(`Unknown trigger mode '${mode}'`);
+        }
+        this.triggerMode = mode;
+        this.clear();
+    }
+
+    setTriggerThreshold(threshold) {
+        this.triggerThreshold = threshold;
+    }
+
+    setTraceVisible(name, visible) {
+        if (!(name in this.traces)) return;
+        this.traces[name] = visible;
+    }
+
+    toggleFreeze() {
+        this.frozen = !this.frozen;
+        if (!this.frozen) {
+            this.cursors = [];
+        }
+        return this.frozen;
+    }
+
+    addSample(state) {
+        if (this.frozen) return;
+
+        const sample = {
+            time: state.time,
+            V: state.V,
+            m: state.m,
+            h: state.h,
+            n: state.n,
+            I_stim: state.I_stim
+        };
+
+        const previous = this.samples[this.samples.length - 1];
+        this.samples.push(sample);
+
+        // Keep one window of history, trimming in chunks to avoid shifting on every sample
+        const oldest = sample.time - this.windowDuration;
+        if (this.samples.length > 1024 && this.samples[512].time < oldest) {
+            const firstKept = this.samples.findIndex(s => s.time >= oldest);
+            this.samples.splice(0, Math.max(firstKept - 1, 0));
+        }
+
+        if (this.triggerMode === 'spike') {
+            this.updateTrigger(previous, sample);
+        }
+    }
+
+    updateTrigger(previous, sample) {
+        if (this.sweep) {
+            this.sweep.push(sample);
+            if (sample.time - this.triggerTime >= this.windowDuration * (1 - this.preTriggerFraction)) {
+                this.heldSweep = { samples: this.sweep, triggerTime: this.triggerTime };
+                this.sweep = null;
+            }
+            return;
+        }
+
+        // Arm on an upward crossing of the trigger threshold
+        if (previous && previous.V < this.triggerThreshold && sample.V >= this.triggerThreshold) {
+            this.triggerTime = sample.time;
+            const preTrigger = this.triggerTime - this.windowDuration * this.preTriggerFraction;
+            this.sweep = this.samples.filter(s => s.time >= preTrigger);
+        }
+    }
+
+    // Samples and start time of what is currently on screen
+    getVisibleWindow() {
+        if (this.triggerMode === 'spike') {
+            const active = this.sweep
+                ? { samples: this.sweep, triggerTime: this.triggerTime }
+                : this.heldSweep;
+            if (!active) return { samples: [], start: 0 };
+
+            return {
+                samples: active.samples,
+                start: active.triggerTime - this.windowDuration * this.preTriggerFraction
+            };
+        }
+
+        const last = this.samples[this.samples.length - 1];
+        const end = last ? Math.max(last.time, this.windowDuration) : this.windowDuration;
+        const start = end - this.windowDuration;
+        return { samples: this.samples.filter(s => s.time >= start), start };
+    }
+
+    // Coordinate conversions
+    timeToX(time, start) {
+        return (time - start) / this.windowDuration * this.canvas.width;
+    }
+
+    xToTime(x, start) {
+        return start + x / this.canvas.width * this.windowDuration;
+    }
+
+    voltageToY(V) {
+        const range = this.voltageScale * this.divisions.y;
+        return this.canvas.height / 2 - (V - this.voltageOffset) / range * this.canvas.height;
+    }
+
+    gateToY(value) {
+        return this.canvas.height * (1 - value);
+    }
+
+    currentToY(I) {
+        // Zero current sits one division above the bottom edge
+        const divisionHeight = this.canvas.height / this.divisions.y;
+        return this.canvas.height - divisionHeight - I / this.currentScale * divisionHeight;
+    }
+
+    draw() {
+        const ctx = this.context;
+        if (!ctx) return;
+
+        const { width, height } = this.canvas;
+        ctx.clearRect(0, 0, width, height);
+
+        this.drawGrid();
+
+        const { samples, start } = this.getVisibleWindow();
+        if (samples.length > 1) {
+            if (this.traces.I_stim) this.drawTrace(samples, start, 'I_stim', I => this.currentToY(I));
+            ['m', 'h', 'n'].forEach(gate => {
+                if (this.traces[gate]) this.drawTrace(samples, start, gate, value => this.gateToY(value));
+            });
+            if (this.traces.V) this.drawTrace(samples, start, 'V', V => this.voltageToY(V));
+        }
+
+        if (this.triggerMode === 'spike') {
+            this.drawThreshold();
+        }
+
+        this.drawCursors(start);
+    }
+
+    drawGrid() {
+        const ctx = this.context;
+        const { width, height } = this.canvas;
+        const colors = Oscilloscope.colors;
+
+        ctx.lineWidth = 1;
+        ctx.strokeStyle = colors.grid;
+        ctx.beginPath();
+        for (let i = 1; i < this.divisions.x; i++) {
+            const x = i * width / this.divisions.x;
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, height);
+        }
+        for (let i = 1; i < this.divisions.y; i++) {
+            const y = i * height / this.divisions.y;
+            ctx.moveTo(0, y);
+            ctx.lineTo(width, y);
+        }
+        ctx.stroke();
+
+        // Center axes
+        ctx.strokeStyle = colors.axis;
+        ctx.beginPath();
+        ctx.moveTo(0, height / 2);
+        ctx.lineTo(width, height / 2);
+        ctx.stroke();
+    }
+
+    drawTrace(samples, start, key, toY) {
+        const ctx = this.context;
+
+        ctx.strokeStyle = Oscilloscope.colors[key];
+        ctx.lineWidth = key === 'V' ? 2 : 1;
+        ctx.beginPath();
+        samples.forEach((sample, index) => {
+            const x = this.timeToX(sample.time, start);
+            const y = toY(sample[key]);
+            if (index === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+        ctx.stroke();
+    }
+
+    drawThreshold() {
+        const ctx = this.context;
+        const y = this.voltageToY(this.triggerThreshold);
+
+        ctx.strokeStyle = Oscilloscope.colors.threshold;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(0, y);
+        ctx.lineTo(this.canvas.width, y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+
+    drawCursors(start) {
+        const ctx = this.context;
+
+        ctx.strokeStyle = Oscilloscope.colors.cursor;
+        ctx.lineWidth = 1;
+        this.cursors.forEach(cursor => {
+            const x = this.timeToX(cursor.time, start);
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, this.canvas.height);
+            ctx.stroke();
+        });
+    }
+
+    // Place a cursor at a canvas x position (only while frozen), alternating between two cursors
+    placeCursor(x) {
+        if (!this.frozen) return null;
+
+        const { samples, start } = this.getVisibleWindow();
+        if (!samples.length) return null;
+
+        const time = this.xToTime(x, start);
+        const nearest = samples.reduce((best, sample) =>
+            Math.abs(sample.time - time) < Math.abs(best.time - time) ? sample : best
+        );
+
+        if (this.cursors.length >= 2) {
+            this.cursors = [];
+        }
+        this.cursors.push({ time: nearest.time, V: nearest.V });
+        return nearest;
+    }
+
+    // Cursor readings plus amplitude and half-width of the largest AP in the visible window
+    measure() {
+        const { samples } = this.getVisibleWindow();
+        const result = { cursors: this.cursors.slice() };
+
+        if (this.cursors.length === 2) {
+            const [a, b] = this.cursors;
+            result.deltaTime = b.time - a.time;
+            result.deltaV = b.V - a.V;
+        }
+
+        if (samples.length < 2) return result;
+
+        const peak = samples.reduce((best, s) => (s.V > best.V ? s : best));
+        const beforePeak = samples.filter(s => s.time <= peak.time);
+        const baseline = beforePeak.reduce((low, s) => Math.min(low, s.V), Infinity);
+        const amplitude = peak.V - baseline;
+        const halfLevel = baseline + amplitude / 2;
+
+        // Half-width: contiguous time around the peak spent above half amplitude
+        const peakIndex = samples.indexOf(peak);
+        let first = peakIndex;
+        let last = peakIndex;
+        while (first > 0 && samples[first - 1].V >= halfLevel) first--;
+        while (last < samples.length - 1 && samples[last + 1].V >= halfLevel) last++;
+
+        result.peak = peak.V;
+        result.amplitude = amplitude;
+        result.halfWidth = samples[last].time - samples[first].time;
+        return result;
+    }
+}
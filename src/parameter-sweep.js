@@ -0,0 +1,275 @@
+// Batch parameter sweeps over one or two axes, run headless on private model instances like the
+// F–I curve. Every grid point rests the cell without current, then switches on its I_stim (and the
+// optional stimulus protocol) and records V for the measurement window, so latencies count from
+// that onset. The metrics come from a SpikeAnalyzer on the recorded trace.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({},
+            require('./neuron-model.js'),
+            require('./pharmacology.js'),
+            require('./spike-analysis.js')
+        ));
+    } else {
+        root.MiniNeuron = Object.assign(root.MiniNeuron || {}, factory(root.MiniNeuron));
+    }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+    const { NeuronModel, PARAMETERS, DRUG_LIBRARY, SpikeAnalyzer } = deps;
+
+    const setOption = (name) => (options, value) => {
+        options[name] = value;
+    };
+
+    const setRate = (group) => (options, value) => {
+        options.synapticInput = Object.assign({}, options.synapticInput);
+        options.synapticInput.rates = Object.assign({}, options.synapticInput.rates, { [group]: value });
+    };
+
+    // Bath concentration at steady state, the sweep does not wait for wash-in
+    const setDrug = (name) => (options, value) => {
+        const drugs = (options.drugs || []).filter(drug => drug.name !== name);
+        const definition = (options.drugs || []).find(drug => drug.name === name) || DRUG_LIBRARY[name];
+        drugs.push(Object.assign({}, definition, { concentration: value, effective: value }));
+        options.drugs = drugs;
+    };
+
+    // Sweepable parameters with a suggested range; any other model parameter and 'drug:<name>'
+    // for a library drug or a drug of the model options work as well (see sweepParameter)
+    const SWEEP_PARAMETERS = {
+        temperature: { label: 'Temperature', unit: '°C', range: [20, 42], apply: setOption('temperature') },
+        Ca_ext: { label: 'Ca²⁺ₒ', unit: 'mM', range: [0.5, 4], apply: setOption('Ca_ext') },
+        I_stim: { label: 'I_stim', unit: 'μA/cm²', range: [0, 20], apply: setOption('I_stim') },
+        g_Na: { label: 'g_Na', unit: 'mS/cm²', range: [60, 180], apply: setOption('g_Na') },
+        g_K: { label: 'g_K', unit: 'mS/cm²', range: [18, 54], apply: setOption('g_K') },
+        g_L: { label: 'g_L', unit: 'mS/cm²', range: [0.1, 0.6], apply: setOption('g_L') },
+        g_SK: { label: 'g_SK', unit: 'mS/cm²', range: [0, 2], apply: setOption('g_SK') },
+        P_Ca: { label: 'P_Ca', unit: 'mS/cm² per mM', range: [0, 0.06], apply: setOption('P_Ca') },
+        K_o: { label: 'K⁺ₒ', unit: 'mM', range: [2.5, 12], apply: setOption('K_o') },
+        stimulation: { label: 'Stimulation', unit: 'Hz', range: [0, 80], apply: setRate('excitatory') },
+        inhibitoryRate: { label: 'Inhibitory rate', unit: 'Hz', range: [0, 40], apply: setRate('inhibitory') },
+        'drug:TTX': { label: 'TTX', unit: 'μM', range: [0, 0.05], apply: setDrug('TTX') },
+        'drug:TEA': { label: 'TEA', unit: 'μM', range: [0, 20000], apply: setDrug('TEA') }
+    };
+
+    // Metrics read from a SpikeAnalyzer result, null where the point did not fire
+    const averageOf = (key) => (analysis) => {
+        const values = analysis.spikes.map(spike => spike[key]).filter(value => value !== null);
+        return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+    };
+
+    const SWEEP_METRICS = {
+        rate: { label: 'Firing rate', unit: 'Hz', value: analysis => analysis.meanRate },
+        // To the peak: a strong step passes the dV/dt threshold at its onset, long before the spike
+        latency: {
+            label: 'First-spike latency',
+            unit: 'ms',
+            value: (analysis, start) => analysis.spikes.length ? analysis.spikes[0].peakTime - start : null
+        },
+        amplitude: { label: 'AP amplitude', unit: 'mV', value: averageOf('amplitude') },
+        halfWidth: { label: 'AP half-width', unit: 'ms', value: averageOf('halfWidth') },
+        cv: { label: 'ISI CV', unit: '', value: analysis => analysis.cv }
+    };
+
+    // drugs are those of the model options, their definitions take precedence over the library
+    function sweepParameter(name, drugs) {
+        if (SWEEP_PARAMETERS[name]) return SWEEP_PARAMETERS[name];
+        if (PARAMETERS.includes(name)) {
+            return { label: name, unit: '', apply: setOption(name) };
+        }
+        if (name.startsWith('drug:')) {
+            const drug = name.slice(5);
+            if (!DRUG_LIBRARY[drug] && !(drugs || []).some(definition => definition.name === drug)) {
+                throw new Error(`Unknown drug '${drug}'`);
+            }
+            return { label: drug, unit: 'μM', apply: setDrug(drug) };
+        }
+        throw new Error(`Unknown sweep parameter '${name}'`);
+    }
+
+    // { parameter, values } or { parameter, from, to, steps } with steps values from..to inclusive
+    function axisValues(axis) {
+        if (Array.isArray(axis.values)) {
+            if (!axis.values.length || axis.values.some(value => !Number.isFinite(value))) {
+                throw new Error(`Invalid values for '${axis.parameter}': ${axis.values}`);
+            }
+            return axis.values.slice();
+        }
+
+        const { from, to, steps } = axis;
+        if (!Number.isFinite(from) || !Number.isFinite(to)) {
+            throw new Error(`Invalid range for '${axis.parameter}': ${from} … ${to}`);
+        }
+        if (!Number.isInteger(steps) || steps < 1) {
+            throw new Error(`Invalid step count for '${axis.parameter}': ${steps}`);
+        }
+        if (steps === 1) return [from];
+        return Array.from({ length: steps }, (_, i) => Math.round((from + (to - from) * i / (steps - 1)) * 1e9) / 1e9);
+    }
+
+    class ParameterSweep {
+        constructor(options = {}) {
+            const config = Object.assign({}, ParameterSweep.defaults, options);
+
+            // Passed to every NeuronModel instance, e.g. model.toOptions() of the live model
+            this.modelOptions = config.modelOptions;
+
+            if (!Array.isArray(config.axes) || config.axes.length < 1 || config.axes.length > 2) {
+                throw new Error('A sweep needs one or two axes');
+            }
+            this.axes = config.axes.map(axis => {
+                const parameter = sweepParameter(axis.parameter, this.modelOptions.drugs);
+                return {
+                    parameter: axis.parameter,
+                    label: parameter.label,
+                    unit: parameter.unit,
+                    values: axisValues(axis)
+                };
+            });
+            if (this.axes.length === 2 && this.axes[0].parameter === this.axes[1].parameter) {
+                throw new Error(`Both axes sweep '${this.axes[0].parameter}'`);
+            }
+
+            // Durations in ms
+            this.settleDuration = config.settleDuration; // Unrecorded rest before the protocol
+            this.measureDuration = config.measureDuration; // Recorded and analyzed
+
+            // Stimulus protocol definition started with the measurement, null keeps I_stim constant
+            this.protocol = config.protocol;
+
+            // SpikeAnalyzer options, e.g. dVdtThreshold
+            this.analyzerOptions = config.analyzerOptions;
+
+            if (!(this.measureDuration > 0) || !(this.settleDuration >= 0)) {
+                throw new Error('Sweep durations must be positive');
+            }
+        }
+
+        static get defaults() {
+            return {
+                axes: [],
+                settleDuration: 200,
+                measureDuration: 500,
+                modelOptions: {},
+                protocol: null,
+                analyzerOptions: {}
+            };
+        }
+
+        // Number of runPoint calls of a full run
+        get pointCount() {
+            return this.axes.reduce((count, axis) => count * axis.values.length, 1);
+        }
+
+        // Model options with the point's values applied, the base options are left untouched
+        optionsAt(values) {
+            const options = JSON.parse(JSON.stringify(this.modelOptions));
+            this.axes.forEach((axis, i) => sweepParameter(axis.parameter, this.modelOptions.drugs).apply(options, values[i]));
+            return options;
+        }
+
+        runPoint(values) {
+            const options = this.optionsAt(values);
+            const model = new NeuronModel(Object.assign({}, options, { I_stim: 0 }));
+            model.run(this.settleDuration);
+
+            const start = model.time;
+            const time = [];
+            const V = [];
+            const unsubscribe = model.on('step', state => {
+                time.push(state.time);
+                V.push(state.V);
+            });
+            if (options.I_stim) model.setParameter('I_stim', options.I_stim);
+            if (this.protocol) model.setProtocol(this.protocol);
+            model.run(this.measureDuration);
+            unsubscribe();
+
+            const analysis = new SpikeAnalyzer(this.analyzerOptions).analyze({ time, V });
+            const metrics = {};
+            Object.entries(SWEEP_METRICS).forEach(([name, metric]) => {
+                metrics[name] = metric.value(analysis, start);
+            });
+            return { values, spikes: analysis.spikes.length, metrics };
+        }
+
+        // Yields after every point, x varies fastest
+        *steps() {
+            const [xAxis, yAxis] = this.axes;
+            const rows = yAxis ? yAxis.values : [null];
+            const points = [];
+            for (const y of rows) {
+                for (const x of xAxis.values) {
+                    const values = yAxis ? [x, y] : [x];
+                    points.push(this.runPoint(values));
+                    yield { values };
+                }
+            }
+            return { axes: this.axes, points };
+        }
+
+        run() {
+            const steps = this.steps();
+            let next = steps.next();
+            while (!next.done) next = steps.next();
+            return next.value;
+        }
+
+        // Same as run(), handing control back to the event loop between points.
+        // onProgress receives { values, done, total }.
+        async runAsync(onProgress = () => {}) {
+            const steps = this.steps();
+            const total = this.pointCount;
+            let done = 0;
+            let next = steps.next();
+            while (!next.done) {
+                done++;
+                onProgress(Object.assign({ done, total }, next.value));
+                await new Promise(resolve => setTimeout(resolve, 0));
+                next = steps.next();
+            }
+            return next.value;
+        }
+
+        // Rows along the second axis (one row for 1-D sweeps), columns along the first
+        grid(result, metric) {
+            if (!SWEEP_METRICS[metric]) {
+                throw new Error(`Unknown sweep metric '${metric}'`);
+            }
+            const columns = result.axes[0].values.length;
+            const rows = [];
+            for (let i = 0; i < result.points.length; i += columns) {
+                rows.push(result.points.slice(i, i + columns).map(point => point.metrics[metric]));
+            }
+            return rows;
+        }
+
+        // One row per point, one column per axis and metric
+        exportCSV(result) {
+            const metricNames = Object.keys(SWEEP_METRICS);
+            const header = result.axes.map(axis => axis.unit ? `${axis.parameter} (${axis.unit})` : axis.parameter)
+                .concat(metricNames.map(name => SWEEP_METRICS[name].unit ? `${name} (${SWEEP_METRICS[name].unit})` : name));
+            const lines = [header.join(',')];
+            result.points.forEach(point => {
+                lines.push(point.values.concat(metricNames.map(name => point.metrics[name] === null ? '' : point.metrics[name])).join(','));
+            });
+            return lines.join('\n') + '\n';
+        }
+
+        exportJSON(result) {
+            return {
+                schema: 'minineuron.sweep/v1',
+                settings: {
+                    settleDuration: this.settleDuration,
+                    measureDuration: this.measureDuration,
+                    protocol: this.protocol,
+                    analyzerOptions: this.analyzerOptions,
+                    modelOptions: this.modelOptions
+                },
+                metrics: Object.fromEntries(Object.entries(SWEEP_METRICS).map(([name, metric]) => [name, { label: metric.label, unit: metric.unit }])),
+                axes: result.axes,
+                points: result.points
+            };
+        }
+    }
+
+    return { ParameterSweep, SWEEP_PARAMETERS, SWEEP_METRICS };
+});
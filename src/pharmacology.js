@@ -0,0 +1,170 @@
+// Channel blockers acting on the model conductances. Each drug follows a Hill concentration-response
+// curve for its target and reaches the tissue with first-order wash-in / wash-out kinetics, so a
+// bath application takes effect gradually in model time.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./event-emitter.js'));
+    } else {
+        root.MiniNeuron = Object.assign(root.MiniNeuron || {}, factory(root.MiniNeuron));
+    }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+    const { EventEmitter } = deps;
+
+    // Conductances a drug can block
+    const DRUG_TARGETS = ['Na', 'K', 'Ca'];
+
+    // Concentrations in μM, time constants in ms of model time (compressed, real wash-in takes minutes)
+    const DRUG_LIBRARY = {
+        TTX: { name: 'TTX', target: 'Na', IC50: 0.01, hill: 1, tauOn: 300, tauOff: 3000 },
+        TEA: { name: 'TEA', target: 'K', IC50: 5000, hill: 1, tauOn: 200, tauOff: 400 },
+        '4-AP': { name: '4-AP', target: 'K', IC50: 2000, hill: 1.2, maxBlock: 0.8, tauOn: 400, tauOff: 1500 },
+        Cd: { name: 'Cd', target: 'Ca', IC50: 20, hill: 1, tauOn: 150, tauOff: 600 }
+    };
+
+    function requirePositive(definition, key, fallback) {
+        const value = definition[key] === undefined ? fallback : definition[key];
+        if (typeof value !== 'number' || !(value > 0) || !Number.isFinite(value)) {
+            throw new Error(`Drug '${definition.name}' needs a positive '${key}'`);
+        }
+        return value;
+    }
+
+    class Pharmacology extends EventEmitter {
+        constructor() {
+            super();
+
+            this.drugs = {};
+            Object.values(DRUG_LIBRARY).forEach(definition => this.defineDrug(definition));
+        }
+
+        // Add or replace a drug, concentrations of an existing drug with the same name are kept
+        defineDrug(definition) {
+            if (!definition || typeof definition.name !== 'string' || !definition.name.trim()) {
+                throw new Error('A drug needs a name');
+            }
+            if (!DRUG_TARGETS.includes(definition.target)) {
+                throw new Error(`Unknown drug target '${definition.target}'`);
+            }
+
+            const name = definition.name.trim();
+            const maxBlock = definition.maxBlock === undefined ? 1 : definition.maxBlock;
+            if (typeof maxBlock !== 'number' || !(maxBlock > 0 && maxBlock <= 1)) {
+                throw new Error(`Drug '${name}' needs a 'maxBlock' in (0, 1]`);
+            }
+
+            const existing = this.drugs[name];
+            this.drugs[name] = {
+                name,
+                target: definition.target,
+                IC50: requirePositive(definition, 'IC50'),
+                hill: requirePositive(definition, 'hill', 1),
+                maxBlock,
+                tauOn: requirePositive(definition, 'tauOn', 300),
+                tauOff: requirePositive(definition, 'tauOff', 1000),
+                custom: !DRUG_LIBRARY[name],
+                concentration: existing ? existing.concentration : 0, // Bath concentration (μM)
+                effective: existing ? existing.effective : 0 // Concentration reached at the channels (μM)
+            };
+
+            this.emit('drugdefine', { name, target: definition.target });
+            return this.drugs[name];
+        }
+
+        getDrug(name) {
+            const drug = this.drugs[name];
+            if (!drug) {
+                throw new Error(`Unknown drug '${name}'`);
+            }
+            return drug;
+        }
+
+        // Set the bath concentration, the effective concentration follows with tauOn / tauOff
+        apply(name, concentration) {
+            const drug = this.getDrug(name);
+            if (typeof concentration !== 'number' || !(concentration >= 0) || !Number.isFinite(concentration)) {
+                throw new Error(`Invalid concentration for '${name}': ${concentration}`);
+            }
+
+            const previous = drug.concentration;
+            drug.concentration = concentration;
+            this.emit('drugchange', { name, concentration, previous });
+        }
+
+        washout(name) {
+            this.apply(name, 0);
+        }
+
+        washoutAll() {
+            Object.keys(this.drugs).forEach(name => {
+                if (this.drugs[name].concentration > 0) this.washout(name);
+            });
+        }
+
+        // Relax effective concentrations towards the bath over dt ms
+        advance(dt) {
+            Object.values(this.drugs).forEach(drug => {
+                const difference = drug.concentration - drug.effective;
+                if (difference === 0) return;
+
+                const tau = difference > 0 ? drug.tauOn : drug.tauOff;
+                drug.effective += difference * (1 - Math.exp(-dt / tau));
+
+                // Snap once the remainder is negligible compared to the IC50
+                if (Math.abs(drug.concentration - drug.effective) < drug.IC50 * 1e-6) {
+                    drug.effective = drug.concentration;
+                }
+            });
+        }
+
+        // Hill block at the effective concentration, 0 (none) to maxBlock
+        blockFraction(name) {
+            const drug = this.getDrug(name);
+            if (drug.effective <= 0) return 0;
+
+            const ratio = Math.pow(drug.effective / drug.IC50, drug.hill);
+            return drug.maxBlock * ratio / (1 + ratio);
+        }
+
+        // Multiplier on each target conductance, drugs on the same target act independently
+        conductanceScales() {
+            const scales = { Na: 1, K: 1, Ca: 1 };
+            Object.keys(this.drugs).forEach(name => {
+                const block = this.blockFraction(name);
+                if (block > 0) {
+                    scales[this.drugs[name].target] *= 1 - block;
+                }
+            });
+            return scales;
+        }
+
+        getState() {
+            return Object.keys(this.drugs).map(name => {
+                const drug = this.drugs[name];
+                return {
+                    name,
+                    target: drug.target,
+                    concentration: drug.concentration,
+                    effective: drug.effective,
+                    block: this.blockFraction(name)
+                };
+            });
+        }
+
+        // Custom definitions and every drug present, enough to rebuild the current state
+        toJSON() {
+            return Object.values(this.drugs)
+                .filter(drug => drug.custom || drug.concentration > 0 || drug.effective > 0)
+                .map(drug => Object.assign({}, drug));
+        }
+
+        restore(drugs) {
+            drugs.forEach(entry => {
+                const drug = this.defineDrug(entry);
+                drug.concentration = entry.concentration || 0;
+                drug.effective = entry.effective === undefined ? drug.concentration : entry.effective;
+            });
+        }
+    }
+
+    return { Pharmacology, DRUG_LIBRARY, DRUG_TARGETS };
+});
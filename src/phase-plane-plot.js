@@ -0,0 +1,197 @@
+// Draws a PhasePlane analysis: direction field, both nullclines, fixed points by stability and the
+// trajectory up to the current state. Canvas clicks map back to plane coordinates with planeAt().
+class PhasePlanePlot {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.padding = 30;
+        this.showField = true;
+        this.analysis = null;
+    }
+
+    static get colors() {
+        return {
+            axis: 'rgba(255, 255, 255, 0.3)',
+            label: '#b0b0b0',
+            field: 'rgba(255, 255, 255, 0.18)',
+            xNullcline: '#00d4ff',
+            yNullcline: '#fdcb6e',
+            trajectory: '#ff6b6b',
+            stable: '#55efc4',
+            unstable: '#ff7675'
+        };
+    }
+
+    toCanvas(x, y) {
+        const [x0, x1] = this.analysis.xRange;
+        const [y0, y1] = this.analysis.yRange;
+        const width = this.canvas.width - 2 * this.padding;
+        const height = this.canvas.height - 2 * this.padding;
+        return [
+            this.padding + (x - x0) / (x1 - x0) * width,
+            this.canvas.height - this.padding - (y - y0) / (y1 - y0) * height
+        ];
+    }
+
+    // Plane coordinates under a mouse event, null outside the axes or before the first draw
+    planeAt(event) {
+        if (!this.analysis) return null;
+        const rect = this.canvas.getBoundingClientRect();
+        const px = (event.clientX - rect.left) / Math.max(rect.width, 1) * this.canvas.width;
+        const py = (event.clientY - rect.top) / Math.max(rect.height, 1) * this.canvas.height;
+        const fx = (px - this.padding) / (this.canvas.width - 2 * this.padding);
+        const fy = (this.canvas.height - this.padding - py) / (this.canvas.height - 2 * this.padding);
+        if (fx < 0 || fx > 1 || fy < 0 || fy > 1) return null;
+
+        const [x0, x1] = this.analysis.xRange;
+        const [y0, y1] = this.analysis.yRange;
+        return { x: x0 + fx * (x1 - x0), y: y0 + fy * (y1 - y0) };
+    }
+
+    draw(analysis, trajectory) {
+        const ctx = this.context;
+        if (!ctx) return;
+
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.analysis = analysis;
+        if (!analysis) return;
+
+        const [x0, x1] = analysis.xRange;
+        const [y0, y1] = analysis.yRange;
+        this.drawAxes(`${analysis.labels[1]} vs ${analysis.labels[0]}`,
+            `${x0.toFixed(1)} … ${x1.toFixed(1)}, ${y0.toFixed(2)} … ${y1.toFixed(2)}`);
+
+        if (this.showField) this.drawField(analysis);
+        this.drawSegments(analysis.nullclines.x, PhasePlanePlot.colors.xNullcline);
+        this.drawSegments(analysis.nullclines.y, PhasePlanePlot.colors.yNullcline);
+        this.drawTrajectory(trajectory);
+        analysis.fixedPoints.forEach(point => this.drawFixedPoint(point));
+    }
+
+    // Arrows of equal length along the normalized flow, the plane's axes have unrelated units
+    drawField(analysis) {
+        const ctx = this.context;
+        const [x0, x1] = analysis.xRange;
+        const [y0, y1] = analysis.yRange;
+        const columns = 24;
+        const rows = 12;
+        const length = 8;
+
+        ctx.strokeStyle = PhasePlanePlot.colors.field;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let j = 0; j <= rows; j++) {
+            for (let i = 0; i <= columns; i++) {
+                const x = x0 + (x1 - x0) * i / columns;
+                const y = y0 + (y1 - y0) * j / rows;
+                const [dx, dy] = analysis.field(x, y);
+                const u = dx / (x1 - x0);
+                const v = dy / (y1 - y0);
+                const norm = Math.hypot(u, v);
+                if (!(norm > 0) || !Number.isFinite(norm)) continue;
+
+                const [cx, cy] = this.toCanvas(x, y);
+                const ex = cx + u / norm * length;
+                const ey = cy - v / norm * length;
+                ctx.moveTo(cx, cy);
+                ctx.lineTo(ex, ey);
+                ctx.moveTo(ex, ey);
+                ctx.arc(ex, ey, 0.8, 0, 2 * Math.PI);
+            }
+        }
+        ctx.stroke();
+    }
+
+    drawSegments(segments, color) {
+        const ctx = this.context;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        segments.forEach(([xa, ya, xb, yb]) => {
+            const [ax, ay] = this.toCanvas(xa, ya);
+            const [bx, by] = this.toCanvas(xb, yb);
+            ctx.moveTo(ax, ay);
+            ctx.lineTo(bx, by);
+        });
+        ctx.stroke();
+    }
+
+    drawTrajectory(trajectory) {
+        if (!trajectory || !trajectory.length) return;
+        const ctx = this.context;
+        const color = PhasePlanePlot.colors.trajectory;
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(this.padding, this.padding, this.canvas.width - 2 * this.padding, this.canvas.height - 2 * this.padding);
+        ctx.clip();
+
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        trajectory.forEach(([x, y], i) => {
+            const [cx, cy] = this.toCanvas(x, y);
+            if (i === 0) {
+                ctx.moveTo(cx, cy);
+            } else {
+                ctx.lineTo(cx, cy);
+            }
+        });
+        ctx.stroke();
+
+        const [cx, cy] = this.toCanvas(...trajectory[trajectory.length - 1]);
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.arc(cx, cy, 4, 0, 2 * Math.PI);
+        ctx.fill();
+        ctx.restore();
+    }
+
+    // Stable points filled, unstable ones open, saddles as squares
+    drawFixedPoint(point) {
+        const ctx = this.context;
+        const colors = PhasePlanePlot.colors;
+        const color = point.stable ? colors.stable : colors.unstable;
+        const [cx, cy] = this.toCanvas(point.x, point.y);
+
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        if (point.stability === 'saddle') {
+            ctx.rect(cx - 5, cy - 5, 10, 10);
+        } else {
+            ctx.arc(cx, cy, 5, 0, 2 * Math.PI);
+        }
+        if (point.stable) {
+            ctx.fill();
+        } else {
+            ctx.stroke();
+        }
+
+        ctx.font = '11px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.fillText(point.stability, cx + 8, cy - 8);
+    }
+
+    drawAxes(title, rangeLabel) {
+        const ctx = this.context;
+        const colors = PhasePlanePlot.colors;
+        const bottom = this.canvas.height - this.padding;
+
+        ctx.strokeStyle = colors.axis;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(this.padding, this.padding);
+        ctx.lineTo(this.padding, bottom);
+        ctx.lineTo(this.canvas.width - this.padding, bottom);
+        ctx.stroke();
+
+        ctx.fillStyle = colors.label;
+        ctx.font = '12px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.fillText(title, this.padding, 18);
+        ctx.textAlign = 'right';
+        ctx.fillText(rangeLabel, this.canvas.width - this.padding, this.canvas.height - 10);
+    }
+}
@@ -0,0 +1,336 @@
+// Phase plane of the live model: V against its recovery variable, with both nullclines, the fixed
+// points and their stability, and the recent trajectory. Hodgkin-Huxley is reduced to (V, n) with
+// m at its steady state and h = 0.89 - 1.1 n (Krinsky & Kokoz 1973), so the 4-D trajectory only
+// approximately follows the 2-D nullclines. The 2-D reduced models are shown in their own variables.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./neuron-model.js'));
+    } else {
+        root.MiniNeuron = Object.assign(root.MiniNeuron || {}, factory(root.MiniNeuron));
+    }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+    const { HODGKIN_HUXLEY } = deps;
+
+    const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+    // Smallest and largest value of f over count samples of [from, to]
+    function extent(f, from, to, count = 50) {
+        let min = Infinity;
+        let max = -Infinity;
+        for (let i = 0; i <= count; i++) {
+            const value = f(from + (to - from) * i / count);
+            if (value < min) min = value;
+            if (value > max) max = value;
+        }
+        return [min, max];
+    }
+
+    const withMargin = ([min, max], fraction = 0.1) => {
+        const margin = Math.max(max - min, 1e-6) * fraction;
+        return [min - margin, max + margin];
+    };
+
+    // 2-D systems per cell model: axis labels and ranges, the vector field and access to the live state
+    const PLANE_SYSTEMS = {
+        [HODGKIN_HUXLEY]: model => {
+            const steady = (alpha, beta) => V => alpha.call(model, V) / (alpha.call(model, V) + beta.call(model, V));
+            const m_inf = steady(model.alpha_m, model.beta_m);
+            const s_inf = steady(model.alpha_s, model.beta_s);
+            const h_of = n => clamp(0.89 - 1.1 * n, 0, 1);
+            // Calcium at rest keeps the nullclines still between spikes
+            const full = (V, n) => [V, m_inf(V), h_of(n), n, s_inf(V), model.Ca_rest];
+
+            return {
+                labels: ['V (mV)', 'n'],
+                xRange: [-90, 50],
+                yRange: [0, 1],
+                field: (V, n) => {
+                    const d = model.derivatives(full(V, n), model.time);
+                    return [d[0], d[3]];
+                },
+                state: () => [model.V, model.n],
+                setState: (V, n) => model.setStateVector(full(V, n))
+            };
+        },
+
+        izhikevich: model => {
+            const { b } = model.cell.config;
+            const xRange = [-90, 40];
+            const uNullcline = V => 0.04 * V * V + 5 * V + 140 + model.I_stim;
+            const [uMin] = extent(uNullcline, xRange[0], xRange[1]);
+            return reducedSystem(model, ['V (mV)', 'u'], xRange, [
+                Math.min(uMin, b * xRange[0]) - 5,
+                Math.max(b * xRange[1], uNullcline(xRange[0])) + 5
+            ]);
+        },
+
+        adex: model => {
+            const { g_L, E_L, V_T, deltaT, a, threshold } = model.cell.config;
+            const xRange = [E_L - 15, threshold];
+            const wNullcline = V => -g_L * (V - E_L) + g_L * deltaT * Math.exp((V - V_T) / deltaT) + model.I_stim;
+            const [wMin] = extent(wNullcline, xRange[0], xRange[1]);
+            return reducedSystem(model, ['V (mV)', 'w (μA/cm²)'], xRange, withMargin([
+                Math.min(wMin, a * (xRange[0] - E_L)),
+                Math.max(wNullcline(xRange[0]), a * (xRange[1] - E_L))
+            ]));
+        },
+
+        fhn: model => {
+            const shift = model.cell.config.currentScale * model.I_stim;
+            return reducedSystem(model, ['v', 'w'], [-2.5, 2.5], [Math.min(-1.5, shift - 1.5), Math.max(2, shift + 1.5)]);
+        }
+    };
+
+    function reducedSystem(model, labels, xRange, yRange) {
+        return {
+            labels,
+            xRange,
+            yRange,
+            field: (x, y) => model.derivatives([x, y], model.time),
+            state: () => model.cellState.slice(0, 2),
+            setState: (x, y) => model.setStateVector([x, y])
+        };
+    }
+
+    // Line segments [x1, y1, x2, y2] where the sampled values change sign (marching squares)
+    function contour(values, xs, ys) {
+        const segments = [];
+        const crossing = (x1, y1, v1, x2, y2, v2) => {
+            const t = v1 / (v1 - v2);
+            return [x1 + t * (x2 - x1), y1 + t * (y2 - y1)];
+        };
+
+        for (let j = 0; j < ys.length - 1; j++) {
+            for (let i = 0; i < xs.length - 1; i++) {
+                const corners = [
+                    [xs[i], ys[j], values[j][i]],
+                    [xs[i + 1], ys[j], values[j][i + 1]],
+                    [xs[i + 1], ys[j + 1], values[j + 1][i + 1]],
+                    [xs[i], ys[j + 1], values[j + 1][i]]
+                ];
+                const points = [];
+                for (let k = 0; k < 4; k++) {
+                    const [x1, y1, v1] = corners[k];
+                    const [x2, y2, v2] = corners[(k + 1) % 4];
+                    if ((v1 < 0) !== (v2 < 0) && Number.isFinite(v1) && Number.isFinite(v2)) {
+                        points.push(crossing(x1, y1, v1, x2, y2, v2));
+                    }
+                }
+                for (let k = 0; k + 1 < points.length; k += 2) {
+                    segments.push([points[k][0], points[k][1], points[k + 1][0], points[k + 1][1]]);
+                }
+            }
+        }
+        return segments;
+    }
+
+    // Linearization at a fixed point: eigenvalues from trace and determinant of the Jacobian
+    function classify(jacobian) {
+        const [[a, b], [c, d]] = jacobian;
+        const trace = a + d;
+        const determinant = a * d - b * c;
+        const discriminant = trace * trace - 4 * determinant;
+        const scale = Math.abs(a) + Math.abs(d) + 1e-12;
+
+        let eigenvalues;
+        if (discriminant >= 0) {
+            const root = Math.sqrt(discriminant);
+            eigenvalues = [{ re: (trace + root) / 2, im: 0 }, { re: (trace - root) / 2, im: 0 }];
+        } else {
+            const im = Math.sqrt(-discriminant) / 2;
+            eigenvalues = [{ re: trace / 2, im }, { re: trace / 2, im: -im }];
+        }
+
+        let stability;
+        if (determinant < 0) {
+            stability = 'saddle';
+        } else if (Math.abs(trace) < 1e-9 * scale) {
+            stability = 'center';
+        } else if (discriminant >= 0) {
+            stability = trace < 0 ? 'stable node' : 'unstable node';
+        } else {
+            stability = trace < 0 ? 'stable focus' : 'unstable focus';
+        }
+
+        return { trace, determinant, eigenvalues, stability, stable: determinant > 0 && trace < 0 };
+    }
+
+    class PhasePlane {
+        constructor(model, options = {}) {
+            const config = Object.assign({}, PhasePlane.defaults, options);
+
+            this.model = model;
+            this.resolution = config.resolution; // Grid cells along x, y follows the aspect of the ranges
+            this.trajectoryLength = config.trajectoryLength; // Model steps kept
+            this.trajectory = [];
+            this.cachedSystem = undefined; // Built on first use, see system
+
+            const invalidate = () => {
+                this.cachedSystem = undefined;
+            };
+            this.subscriptions = [
+                model.on('step', () => this.record()),
+                model.on('reset', () => this.clearTrajectory()),
+                model.on('cellmodelchange', () => {
+                    invalidate();
+                    this.clearTrajectory();
+                }),
+                model.on('parameterchange', invalidate),
+                model.on('morphologychange', invalidate),
+                model.on('clampmodechange', invalidate)
+            ];
+        }
+
+        static get defaults() {
+            return {
+                resolution: 60,
+                trajectoryLength: 4000
+            };
+        }
+
+        // The 2-D system of the current cell model, null when it has none (see unavailableReason).
+        // Kept until the model changes, record() reads it on every step.
+        get system() {
+            if (this.cachedSystem === undefined) {
+                this.cachedSystem = this.unavailableReason ? null : PLANE_SYSTEMS[this.model.cellModelName](this.model);
+            }
+            return this.cachedSystem;
+        }
+
+        get unavailableReason() {
+            const model = this.model;
+            if (model.cable) return 'The phase plane needs a single compartment';
+            if (model.clampMode === 'voltage') return 'The phase plane needs current clamp';
+            return PLANE_SYSTEMS[model.cellModelName] ? null : `No phase plane for '${model.cellModelName}'`;
+        }
+
+        record() {
+            const system = this.system;
+            if (!system) return;
+            this.trajectory.push(system.state());
+            if (this.trajectory.length > this.trajectoryLength) {
+                this.trajectory.shift();
+            }
+        }
+
+        clearTrajectory() {
+            this.trajectory = [];
+        }
+
+        // Start the trajectory at (x, y) in the plane's own units
+        setInitialCondition(x, y) {
+            const system = this.system;
+            if (!system) {
+                throw new Error(this.unavailableReason);
+            }
+            if (!Number.isFinite(x) || !Number.isFinite(y)) {
+                throw new Error(`Invalid initial condition: ${x}, ${y}`);
+            }
+            system.setState(x, y);
+            this.trajectory = [system.state()];
+        }
+
+        jacobian(system, x, y) {
+            const hx = (system.xRange[1] - system.xRange[0]) * 1e-6;
+            const hy = (system.yRange[1] - system.yRange[0]) * 1e-6;
+            const fx1 = system.field(x + hx, y);
+            const fx0 = system.field(x - hx, y);
+            const fy1 = system.field(x, y + hy);
+            const fy0 = system.field(x, y - hy);
+            return [
+                [(fx1[0] - fx0[0]) / (2 * hx), (fy1[0] - fy0[0]) / (2 * hy)],
+                [(fx1[1] - fx0[1]) / (2 * hx), (fy1[1] - fy0[1]) / (2 * hy)]
+            ];
+        }
+
+        // Newton's method from a guess, null when it leaves the plane or does not converge
+        refine(system, x, y) {
+            for (let i = 0; i < 50; i++) {
+                const [f, g] = system.field(x, y);
+                const [[a, b], [c, d]] = this.jacobian(system, x, y);
+                const determinant = a * d - b * c;
+                if (!Number.isFinite(determinant) || Math.abs(determinant) < 1e-14) return null;
+
+                const dx = (d * f - b * g) / determinant;
+                const dy = (a * g - c * f) / determinant;
+                x -= dx;
+                y -= dy;
+                if (x < system.xRange[0] || x > system.xRange[1] || y < system.yRange[0] || y > system.yRange[1]) {
+                    return null;
+                }
+                if (Math.abs(dx) < 1e-9 * (system.xRange[1] - system.xRange[0]) &&
+                    Math.abs(dy) < 1e-9 * (system.yRange[1] - system.yRange[0])) {
+                    return [x, y];
+                }
+            }
+            return null;
+        }
+
+        // Nullclines and fixed points for the current parameters, null without a 2-D system
+        compute() {
+            // A running protocol moves I_stim, and with it the axis ranges, without a parameterchange
+            this.cachedSystem = undefined;
+            const system = this.system;
+            if (!system) return null;
+
+            const [x0, x1] = system.xRange;
+            const [y0, y1] = system.yRange;
+            const columns = this.resolution;
+            const rows = Math.max(10, Math.round(columns * 0.75));
+            const xs = Array.from({ length: columns + 1 }, (_, i) => x0 + (x1 - x0) * i / columns);
+            const ys = Array.from({ length: rows + 1 }, (_, j) => y0 + (y1 - y0) * j / rows);
+
+            const dx = [];
+            const dy = [];
+            ys.forEach(y => {
+                const rowX = [];
+                const rowY = [];
+                xs.forEach(x => {
+                    const [f, g] = system.field(x, y);
+                    rowX.push(f);
+                    rowY.push(g);
+                });
+                dx.push(rowX);
+                dy.push(rowY);
+            });
+
+            // Fixed points start from every grid cell both nullclines pass through
+            const fixedPoints = [];
+            const cellWidth = (x1 - x0) / columns;
+            const cellHeight = (y1 - y0) / rows;
+            const changesSign = (values, i, j) => {
+                const corners = [values[j][i], values[j][i + 1], values[j + 1][i], values[j + 1][i + 1]];
+                return corners.some(v => v < 0) && corners.some(v => v >= 0);
+            };
+            for (let j = 0; j < rows; j++) {
+                for (let i = 0; i < columns; i++) {
+                    if (!changesSign(dx, i, j) || !changesSign(dy, i, j)) continue;
+
+                    const point = this.refine(system, xs[i] + cellWidth / 2, ys[j] + cellHeight / 2);
+                    if (!point) continue;
+                    const duplicate = fixedPoints.some(other =>
+                        Math.abs(other.x - point[0]) < cellWidth && Math.abs(other.y - point[1]) < cellHeight);
+                    if (duplicate) continue;
+
+                    fixedPoints.push(Object.assign({ x: point[0], y: point[1] }, classify(this.jacobian(system, point[0], point[1]))));
+                }
+            }
+
+            return {
+                labels: system.labels,
+                xRange: system.xRange,
+                yRange: system.yRange,
+                nullclines: { x: contour(dx, xs, ys), y: contour(dy, xs, ys) },
+                fixedPoints,
+                field: system.field
+            };
+        }
+
+        detach() {
+            this.subscriptions.forEach(unsubscribe => unsubscribe());
+            this.subscriptions = [];
+        }
+    }
+
+    return { PhasePlane, PLANE_SYSTEMS };
+});
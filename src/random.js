@@ -0,0 +1,52 @@
+// Seedable pseudo-random numbers so stochastic stimuli are reproducible between runs.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.MiniNeuron = Object.assign(root.MiniNeuron || {}, factory());
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    class SeededRandom {
+        constructor(seed = Date.now()) {
+            this.seed = seed >>> 0;
+            this.state = this.seed;
+            this.spareGaussian = null;
+        }
+
+        // Uniform in [0, 1), mulberry32
+        next() {
+            this.state = (this.state + 0x6D2B79F5) >>> 0;
+            let t = this.state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        }
+
+        // Standard normal via Box-Muller, caching the second value
+        gaussian() {
+            if (this.spareGaussian !== null) {
+                const value = this.spareGaussian;
+                this.spareGaussian = null;
+                return value;
+            }
+
+            const u = 1 - this.next(); // (0, 1], keeps log finite
+            const v = this.next();
+            const radius = Math.sqrt(-2 * Math.log(u));
+            this.spareGaussian = radius * Math.sin(2 * Math.PI * v);
+            return radius * Math.cos(2 * Math.PI * v);
+        }
+
+        // Exponentially distributed value with the given mean
+        exponential(mean) {
+            return -mean * Math.log(1 - this.next());
+        }
+
+        reset() {
+            this.state = this.seed;
+            this.spareGaussian = null;
+        }
+    }
+
+    return { SeededRandom };
+});
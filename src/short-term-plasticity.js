@@ -0,0 +1,167 @@
+// Short-term plasticity at the output boutons after Tsodyks & Markram (1997): every bouton keeps
+// a pool of releasable vesicles that a spike depletes and that recovers with tauD, and a residual
+// calcium trace that raises the release probability of the next spike and decays with tauF.
+// The baseline release probability follows [Ca²⁺]o with the fourth-power cooperativity of
+// Dodge & Rahamimoff (1967).
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./event-emitter.js'));
+    } else {
+        root.MiniNeuron = Object.assign(root.MiniNeuron || {}, factory(root.MiniNeuron));
+    }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+    const { EventEmitter } = deps;
+
+    // Synapse classes of Markram, Wang & Tsodyks (1998) and Gupta et al. (2000):
+    // U is the release probability at 2 mM [Ca²⁺]o, tauD and tauF in ms
+    const BOUTON_TYPES = {
+        depressing: { label: 'Depressing', U: 0.5, tauD: 800, tauF: 20 },
+        facilitating: { label: 'Facilitating', U: 0.1, tauD: 100, tauF: 1000 },
+        'pseudo-linear': { label: 'Pseudo-linear', U: 0.25, tauD: 300, tauF: 300 }
+    };
+
+    // One of each class on the three terminals, section names a section of DEFAULT_MORPHOLOGY
+    const DEFAULT_BOUTONS = [
+        { name: 'bouton-1', type: 'depressing', section: 'bouton-1', selector: '.synaptic-bouton-1' },
+        { name: 'bouton-2', type: 'facilitating', section: 'bouton-2', selector: '.synaptic-bouton-2' },
+        { name: 'bouton-3', type: 'pseudo-linear', section: 'bouton-3', selector: '.synaptic-bouton-3' }
+    ];
+
+    // Half-saturating [Ca²⁺]o (mM) and cooperativity of release
+    const CALCIUM_KD = 1.5;
+    const CALCIUM_COOPERATIVITY = 4;
+    const REFERENCE_CALCIUM = 2;
+
+    function calciumSaturation(Ca_ext) {
+        const c = Math.pow(Math.max(0, Ca_ext), CALCIUM_COOPERATIVITY);
+        return c / (c + Math.pow(CALCIUM_KD, CALCIUM_COOPERATIVITY));
+    }
+
+    // Baseline release probability at [Ca²⁺]o for a bouton with U at the reference 2 mM
+    function baselineRelease(U, Ca_ext) {
+        return Math.min(1, U * calciumSaturation(Ca_ext) / calciumSaturation(REFERENCE_CALCIUM));
+    }
+
+    class PresynapticBoutons extends EventEmitter {
+        constructor(options = {}) {
+            super();
+            const config = Object.assign({}, PresynapticBoutons.defaults, options);
+
+            this.boutons = [];
+            config.boutons.forEach(definition => this.addBouton(definition));
+        }
+
+        static get defaults() {
+            return {
+                boutons: DEFAULT_BOUTONS
+            };
+        }
+
+        addBouton(definition) {
+            if (!definition || typeof definition.name !== 'string' || !definition.name) {
+                throw new Error('A bouton needs a name');
+            }
+            if (this.boutons.some(bouton => bouton.name === definition.name)) {
+                throw new Error(`Duplicate bouton '${definition.name}'`);
+            }
+            const type = definition.type ? BOUTON_TYPES[definition.type] : null;
+            if (definition.type && !type) {
+                throw new Error(`Unknown bouton type '${definition.type}'`);
+            }
+
+            const parameters = Object.assign({}, type, definition);
+            ['U', 'tauD', 'tauF'].forEach(name => {
+                const value = parameters[name];
+                if (typeof value !== 'number' || !Number.isFinite(value) || !(value > 0)) {
+                    throw new Error(`Invalid ${name} for bouton '${definition.name}': ${value}`);
+                }
+            });
+            if (parameters.U > 1) {
+                throw new Error(`Release probability U of bouton '${definition.name}' exceeds 1`);
+            }
+
+            const bouton = {
+                name: definition.name,
+                type: definition.type || null,
+                section: definition.section || null,
+                selector: definition.selector || null,
+                U: parameters.U,
+                tauD: parameters.tauD,
+                tauF: parameters.tauF
+            };
+            this.resetBouton(bouton);
+            this.boutons.push(bouton);
+            return bouton;
+        }
+
+        resetBouton(bouton) {
+            bouton.available = 1; // Fraction of the releasable pool, right after the last spike
+            bouton.residual = 0; // Release probability left by residual calcium, right after the last spike
+            bouton.lastSpike = -Infinity;
+            bouton.probability = 0; // Release probability of the last spike
+            bouton.released = 0; // Fraction of the full pool released by the last spike
+        }
+
+        reset() {
+            this.boutons.forEach(bouton => this.resetBouton(bouton));
+        }
+
+        // Pool fraction recovered by the given time
+        availableAt(bouton, time) {
+            const elapsed = time - bouton.lastSpike;
+            return 1 - (1 - bouton.available) * Math.exp(-elapsed / bouton.tauD);
+        }
+
+        // Release probability a spike arriving at the given time would see
+        releaseProbabilityAt(bouton, time, Ca_ext) {
+            const U = baselineRelease(bouton.U, Ca_ext);
+            const residual = bouton.residual * Math.exp(-(time - bouton.lastSpike) / bouton.tauF);
+            return U + (1 - U) * residual;
+        }
+
+        // A presynaptic spike invading the bouton: u·x of the pool is released
+        release(bouton, time, Ca_ext) {
+            const available = this.availableAt(bouton, time);
+            const probability = this.releaseProbabilityAt(bouton, time, Ca_ext);
+            const released = probability * available;
+
+            bouton.available = available - released;
+            bouton.residual = probability;
+            bouton.lastSpike = time;
+            bouton.probability = probability;
+            bouton.released = released;
+
+            this.emit('release', { name: bouton.name, time, probability, released, available: bouton.available });
+            return released;
+        }
+
+        // Somatic spike of a single compartment, it reaches every bouton
+        spike(time, Ca_ext) {
+            this.boutons.forEach(bouton => this.release(bouton, time, Ca_ext));
+        }
+
+        // Spikes arriving at the bouton sections of a CableModel, a blocked axon releases nothing
+        detectArrivals(cable, Ca_ext) {
+            this.boutons.forEach(bouton => {
+                const index = cable.indexOf[bouton.section];
+                if (index === undefined) return;
+                const arrival = cable.arrivalTime[index];
+                if (arrival > bouton.lastSpike) {
+                    this.release(bouton, arrival, Ca_ext);
+                }
+            });
+        }
+
+        getState(time) {
+            return this.boutons.map(bouton => ({
+                name: bouton.name,
+                available: this.availableAt(bouton, time),
+                probability: bouton.probability,
+                released: bouton.released,
+                lastSpike: bouton.lastSpike
+            }));
+        }
+    }
+
+    return { PresynapticBoutons, BOUTON_TYPES, DEFAULT_BOUTONS, baselineRelease };
+});
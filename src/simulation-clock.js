@@ -0,0 +1,106 @@
+// Fixed-timestep accumulator that locks model time to wall-clock time.
+// Each tick converts elapsed wall time (scaled by the speed multiplier) into N model substeps.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./event-emitter.js'));
+    } else {
+        root.MiniNeuron = Object.assign(root.MiniNeuron || {}, factory(root.MiniNeuron));
+    }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+    const { EventEmitter } = deps;
+
+    class SimulationClock extends EventEmitter {
+        constructor(model, options = {}) {
+            super();
+
+            const config = Object.assign({}, SimulationClock.defaults, options);
+
+            this.model = model;
+            this.speed = config.speed; // Model ms per wall-clock ms (1 = real time)
+            this.maxSubsteps = config.maxSubsteps; // Upper bound of model steps per tick
+            this.maxFrameTime = config.maxFrameTime; // Longest wall-clock gap honoured, in ms
+
+            this.paused = false;
+            this.accumulator = 0;
+            this.lastWallTime = null;
+        }
+
+        static get defaults() {
+            return {
+                speed: 0.01,
+                maxSubsteps: 2000,
+                maxFrameTime: 100
+            };
+        }
+
+        setSpeed(speed) {
+            if (typeof speed !== 'number' || !(speed > 0)) {
+                throw new Error(`Invalid simulation speed: ${speed}`);
+            }
+            this.speed = speed;
+            this.emit('speedchange', { speed });
+        }
+
+        pause() {
+            if (this.paused) return;
+            this.paused = true;
+            this.accumulator = 0;
+            this.emit('pause', { time: this.model.time });
+        }
+
+        resume() {
+            if (!this.paused) return;
+            this.paused = false;
+            // Do not count the time spent paused
+            this.lastWallTime = null;
+            this.emit('resume', { time: this.model.time });
+        }
+
+        // Advance exactly one model time step, only meaningful while paused
+        singleStep() {
+            if (!this.paused) return 0;
+            this.model.step();
+            this.emit('frame', { steps: 1, time: this.model.time });
+            return 1;
+        }
+
+        // Forget the wall-clock reference, e.g. after the render loop was stopped
+        resetWallTime() {
+            this.lastWallTime = null;
+            this.accumulator = 0;
+        }
+
+        // Called once per rendered frame with a wall-clock timestamp in ms, returns the substeps run
+        tick(wallTime) {
+            if (this.lastWallTime === null || this.paused) {
+                this.lastWallTime = wallTime;
+                return 0;
+            }
+
+            // Clamp long gaps (background tabs, breakpoints) instead of catching up on them
+            const elapsed = Math.min(Math.max(wallTime - this.lastWallTime, 0), this.maxFrameTime);
+            this.lastWallTime = wallTime;
+
+            const dt = this.model.timeStep;
+            this.accumulator += elapsed * this.speed;
+
+            let steps = Math.floor(this.accumulator / dt);
+            if (steps > this.maxSubsteps) {
+                // The CPU cannot keep up, drop the backlog rather than spiralling
+                steps = this.maxSubsteps;
+                this.accumulator = 0;
+            } else {
+                this.accumulator -= steps * dt;
+            }
+
+            for (let i = 0; i < steps; i++) {
+                this.model.step();
+            }
+
+            this.emit('frame', { steps, time: this.model.time });
+            return steps;
+        }
+    }
+
+    return { SimulationClock };
+});
@@ -0,0 +1,210 @@
+// Typed event bus of a running simulation and the plugin registry that attaches to it.
+// The bus turns the model's own events into a small documented vocabulary, so analysis panels,
+// sound, loggers or bridges can observe the simulation without reaching into the renderer.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./event-emitter.js'));
+    } else {
+        root.MiniNeuron = Object.assign(root.MiniNeuron || {}, factory(root.MiniNeuron));
+    }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+    const { EventEmitter } = deps;
+
+    // Payload fields of every event type, checked on emit. Payloads also carry their type.
+    //   spike             time (ms), V (mV) at detection
+    //   threshold-cross   time, V, threshold (mV), direction 'up' | 'down'
+    //   phase-change      phase, previous, time; animation phases of the page
+    //   parameter-change  name, value, previous, time; drugs are named 'drug:<name>'
+    //   stimulus-start    source 'protocol' | 'synaptic', name, time
+    //   stimulus-stop     source, name, time
+    const SIMULATION_EVENTS = {
+        spike: ['time', 'V'],
+        'threshold-cross': ['time', 'V', 'threshold', 'direction'],
+        'phase-change': ['phase', 'previous', 'time'],
+        'parameter-change': ['name', 'value', 'previous', 'time'],
+        'stimulus-start': ['source', 'name', 'time'],
+        'stimulus-stop': ['source', 'name', 'time']
+    };
+
+    // EventEmitter restricted to a fixed set of event types with required payload fields
+    class TypedEventEmitter extends EventEmitter {
+        constructor(types) {
+            super();
+            this.types = types;
+        }
+
+        assertType(event) {
+            if (!Object.prototype.hasOwnProperty.call(this.types, event)) {
+                throw new Error(`Unknown event type '${event}'`);
+            }
+        }
+
+        on(event, listener) {
+            this.assertType(event);
+            if (typeof listener !== 'function') {
+                throw new Error(`Listener for '${event}' must be a function`);
+            }
+            return super.on(event, listener);
+        }
+
+        emit(event, payload = {}) {
+            this.assertType(event);
+            const missing = this.types[event].filter(field => !(field in payload));
+            if (missing.length) {
+                throw new Error(`Event '${event}' is missing ${missing.join(', ')}`);
+            }
+            // Frozen so one listener cannot change what the next one sees
+            super.emit(event, Object.freeze(Object.assign({ type: event }, payload)));
+        }
+    }
+
+    class SimulationBus extends TypedEventEmitter {
+        constructor(model, options = {}) {
+            super(SIMULATION_EVENTS);
+            const config = Object.assign({}, SimulationBus.defaults, options);
+
+            this.model = model;
+            this.threshold = config.threshold; // mV, crossed in either direction
+            this.previousV = null;
+
+            this.subscriptions = [
+                model.on('spike', ({ time, V }) => this.emit('spike', { time, V })),
+                model.on('step', ({ time, V }) => this.detectCrossing(time, V)),
+                model.on('reset', () => {
+                    this.previousV = null;
+                }),
+                model.on('parameterchange', ({ name, value, previous }) => {
+                    this.emit('parameter-change', { name, value, previous, time: model.time });
+                }),
+                model.on('drugchange', ({ name, concentration, previous }) => {
+                    this.emit('parameter-change', { name: `drug:${name}`, value: concentration, previous, time: model.time });
+                }),
+                model.on('protocolstart', ({ name, time }) => {
+                    this.emit('stimulus-start', { source: 'protocol', name, time });
+                }),
+                model.on('protocolend', ({ name, time }) => {
+                    this.emit('stimulus-stop', { source: 'protocol', name, time });
+                }),
+                model.synapses.on('ratechange', ({ group, rate, previous }) => {
+                    const time = model.time;
+                    if (previous === 0 && rate > 0) {
+                        this.emit('stimulus-start', { source: 'synaptic', name: group, time });
+                    } else if (previous > 0 && rate === 0) {
+                        this.emit('stimulus-stop', { source: 'synaptic', name: group, time });
+                    }
+                })
+            ];
+        }
+
+        static get defaults() {
+            return {
+                threshold: -55
+            };
+        }
+
+        setThreshold(threshold) {
+            if (typeof threshold !== 'number' || !Number.isFinite(threshold)) {
+                throw new Error(`Invalid threshold: ${threshold}`);
+            }
+            this.threshold = threshold;
+            this.previousV = null;
+        }
+
+        detectCrossing(time, V) {
+            const previous = this.previousV;
+            this.previousV = V;
+            if (previous === null) return;
+
+            if (previous < this.threshold && V >= this.threshold) {
+                this.emit('threshold-cross', { time, V, threshold: this.threshold, direction: 'up' });
+            } else if (previous >= this.threshold && V < this.threshold) {
+                this.emit('threshold-cross', { time, V, threshold: this.threshold, direction: 'down' });
+            }
+        }
+
+        detach() {
+            this.subscriptions.forEach(unsubscribe => unsubscribe());
+            this.subscriptions = [];
+        }
+    }
+
+    // Plugins are { name, install(context) } objects, install may return a cleanup function.
+    // Registered plugins are installed into every attached context, whichever comes first.
+    class PluginRegistry {
+        constructor() {
+            this.plugins = new Map();
+            this.contexts = [];
+        }
+
+        register(plugin) {
+            if (!plugin || typeof plugin.name !== 'string' || !plugin.name) {
+                throw new Error('A plugin needs a name');
+            }
+            if (typeof plugin.install !== 'function') {
+                throw new Error(`Plugin '${plugin.name}' has no install function`);
+            }
+            if (this.plugins.has(plugin.name)) {
+                throw new Error(`Plugin '${plugin.name}' is already registered`);
+            }
+
+            const entry = { plugin, cleanups: new Map() };
+            this.plugins.set(plugin.name, entry);
+            this.contexts.forEach(context => this.install(entry, context));
+            return () => this.unregister(plugin.name);
+        }
+
+        unregister(name) {
+            const entry = this.plugins.get(name);
+            if (!entry) return;
+
+            entry.cleanups.forEach((cleanup, context) => this.uninstall(entry, context));
+            this.plugins.delete(name);
+        }
+
+        // context: whatever the host offers plugins, e.g. { events, model, clock, app }
+        attach(context) {
+            this.contexts.push(context);
+            this.plugins.forEach(entry => this.install(entry, context));
+
+            return () => {
+                this.plugins.forEach(entry => this.uninstall(entry, context));
+                this.contexts = this.contexts.filter(candidate => candidate !== context);
+            };
+        }
+
+        install(entry, context) {
+            try {
+                const cleanup = entry.plugin.install(context);
+                entry.cleanups.set(context, typeof cleanup === 'function' ? cleanup : null);
+            } catch (error) {
+                console.error(`Failed to install plugin '${entry.plugin.name}':`, error);
+            }
+        }
+
+        uninstall(entry, context) {
+            if (!entry.cleanups.has(context)) return;
+
+            const cleanup = entry.cleanups.get(context);
+            entry.cleanups.delete(context);
+            if (!cleanup) return;
+            try {
+                cleanup();
+            } catch (error) {
+                console.error(`Failed to remove plugin '${entry.plugin.name}':`, error);
+            }
+        }
+
+        get names() {
+            return Array.from(this.plugins.keys());
+        }
+    }
+
+    // Shared registry of the page, see registerPlugin()
+    const plugins = new PluginRegistry();
+
+    function registerPlugin(plugin) {
+        return plugins.register(plugin);
+    }
+
+    return { TypedEventEmitter, SimulationBus, PluginRegistry, SIMULATION_EVENTS, plugins, registerPlugin };
+});
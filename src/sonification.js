@@ -0,0 +1,207 @@
+// Audio-monitor sound of a neuron, rendered offline: a click per spike and an optional tone
+// whose pitch follows the membrane potential. Every compartment has a gain in the mix, the
+// tone follows the gain-weighted mean potential. The live page plays the same sound through
+// Web Audio, see audio-monitor.js; here it is computed sample by sample for WAV export.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./neuron-model.js'));
+    } else {
+        root.MiniNeuron = Object.assign(root.MiniNeuron || {}, factory(root.MiniNeuron));
+    }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+    const { NeuronModel } = deps;
+
+    const SONIFICATION_DEFAULTS = {
+        volume: 0.8,
+        muted: false,
+        clickVolume: 1,
+        clickDuration: 1, // ms, one period of a biphasic click
+        tone: false,
+        toneVolume: 0.2,
+        toneVoltages: [-90, 40], // mV mapped onto toneFrequencies
+        toneFrequencies: [150, 1500], // Hz, interpolated on a log scale
+        mix: { soma: 1 } // Gain per compartment, missing compartments are silent
+    };
+
+    // Pitch of the tone for a membrane potential
+    function toneFrequency(V, settings = SONIFICATION_DEFAULTS) {
+        const [V0, V1] = settings.toneVoltages;
+        const [f0, f1] = settings.toneFrequencies;
+        const fraction = Math.min(1, Math.max(0, (V - V0) / (V1 - V0)));
+        return f0 * Math.pow(f1 / f0, fraction);
+    }
+
+    // Gain-weighted mean potential of the mixed compartments, NaN when nothing is mixed in
+    function mixedPotential(voltages, mix) {
+        let sum = 0;
+        let weight = 0;
+        Object.entries(mix).forEach(([name, gain]) => {
+            if (gain > 0 && voltages[name] !== undefined) {
+                sum += gain * voltages[name];
+                weight += gain;
+            }
+        });
+        return weight > 0 ? sum / weight : NaN;
+    }
+
+    // Records membrane potentials and spikes of a model's compartments while it runs.
+    // The soma is section 0 of a cable model or the single compartment itself; spikes in other
+    // sections are the cable's arrival times, the same ones that trigger release at the boutons.
+    class SonificationCapture {
+        constructor(model, compartments = ['soma']) {
+            this.model = model;
+            this.compartments = compartments.filter(name =>
+                name === 'soma' || (model.cable && model.cable.indexOf[name] !== undefined));
+            this.start = model.time;
+            this.time = [];
+            this.V = {};
+            this.spikes = {};
+            this.compartments.forEach(name => {
+                this.V[name] = [];
+                this.spikes[name] = [];
+            });
+
+            this.subscriptions = [
+                model.on('step', ({ time }) => this.addSample(time)),
+                model.on('spike', ({ time }) => {
+                    if (this.spikes.soma) this.spikes.soma.push(time);
+                })
+            ];
+        }
+
+        potential(name) {
+            const cable = this.model.cable;
+            return name === 'soma' || !cable ? this.model.V : cable.V[cable.indexOf[name]];
+        }
+
+        addSample(time) {
+            const cable = this.model.cable;
+            this.time.push(time);
+            this.compartments.forEach(name => {
+                this.V[name].push(this.potential(name));
+                if (name === 'soma') return;
+
+                const arrival = cable.arrivalTime[cable.indexOf[name]];
+                const spikes = this.spikes[name];
+                if (arrival >= this.start && !(arrival <= spikes[spikes.length - 1])) {
+                    spikes.push(arrival);
+                }
+            });
+        }
+
+        stop() {
+            this.subscriptions.forEach(unsubscribe => unsubscribe());
+            this.subscriptions = [];
+        }
+    }
+
+    class Sonifier {
+        constructor(options = {}) {
+            this.settings = Object.assign({}, SONIFICATION_DEFAULTS, options);
+            this.sampleRate = options.sampleRate || Sonifier.defaults.sampleRate;
+        }
+
+        static get defaults() {
+            return { sampleRate: 44100 };
+        }
+
+        // Mono samples in [-1, 1], one second of sound per second of model time
+        render(capture) {
+            const { time } = capture;
+            const duration = time.length ? time[time.length - 1] - capture.start : 0;
+            const count = Math.max(0, Math.round(duration / 1000 * this.sampleRate));
+            const samples = new Float32Array(count);
+            const s = this.settings;
+            if (!count || s.muted) return samples;
+
+            const mix = s.mix;
+            const msPerSample = 1000 / this.sampleRate;
+
+            if (s.tone) {
+                let index = 0;
+                let phase = 0;
+                const voltages = {};
+                for (let i = 0; i < count; i++) {
+                    const t = capture.start + i * msPerSample;
+                    while (index < time.length - 1 && time[index + 1] <= t) index++;
+                    capture.compartments.forEach(name => {
+                        voltages[name] = capture.V[name][index];
+                    });
+                    const V = mixedPotential(voltages, mix);
+                    if (Number.isNaN(V)) continue;
+                    phase += 2 * Math.PI * toneFrequency(V, s) / this.sampleRate;
+                    samples[i] += s.toneVolume * Math.sin(phase);
+                }
+            }
+
+            // Biphasic clicks like an extracellular spike on a rig's audio monitor
+            const clickSamples = Math.max(2, Math.round(s.clickDuration / msPerSample));
+            capture.compartments.forEach(name => {
+                const gain = mix[name] || 0;
+                if (!(gain > 0)) return;
+                capture.spikes[name].forEach(spikeTime => {
+                    const first = Math.round((spikeTime - capture.start) / msPerSample);
+                    for (let j = 0; j < clickSamples && first + j < count; j++) {
+                        if (first + j < 0) continue;
+                        samples[first + j] += gain * s.clickVolume * Math.sin(2 * Math.PI * j / clickSamples);
+                    }
+                });
+            });
+
+            for (let i = 0; i < count; i++) {
+                samples[i] = Math.max(-1, Math.min(1, samples[i] * s.volume));
+            }
+            return samples;
+        }
+    }
+
+    // 16-bit PCM mono WAV file
+    function encodeWAV(samples, sampleRate) {
+        const buffer = new ArrayBuffer(44 + samples.length * 2);
+        const view = new DataView(buffer);
+        const writeString = (offset, text) => {
+            for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+        };
+
+        writeString(0, 'RIFF');
+        view.setUint32(4, 36 + samples.length * 2, true);
+        writeString(8, 'WAVE');
+        writeString(12, 'fmt ');
+        view.setUint32(16, 16, true); // Size of the fmt chunk
+        view.setUint16(20, 1, true); // PCM
+        view.setUint16(22, 1, true); // Mono
+        view.setUint32(24, sampleRate, true);
+        view.setUint32(28, sampleRate * 2, true); // Byte rate
+        view.setUint16(32, 2, true); // Block align
+        view.setUint16(34, 16, true); // Bits per sample
+        writeString(36, 'data');
+        view.setUint32(40, samples.length * 2, true);
+
+        samples.forEach((sample, i) => {
+            view.setInt16(44 + i * 2, Math.round(Math.max(-1, Math.min(1, sample)) * 32767), true);
+        });
+        return buffer;
+    }
+
+    // Runs a fresh model with the given options for duration ms and returns the WAV file. protocol:
+    // { definition, elapsed } of model.activeProtocol(), continued from where it is.
+    function renderWAV(modelOptions, duration, options = {}, protocol = null) {
+        const sonifier = new Sonifier(options);
+        const model = new NeuronModel(modelOptions);
+        if (protocol) model.setProtocol(protocol.definition, protocol.elapsed);
+        const capture = new SonificationCapture(model, Object.keys(sonifier.settings.mix));
+        model.run(duration);
+        capture.stop();
+        return encodeWAV(sonifier.render(capture), sonifier.sampleRate);
+    }
+
+    return {
+        Sonifier,
+        SonificationCapture,
+        SONIFICATION_DEFAULTS,
+        toneFrequency,
+        mixedPotential,
+        encodeWAV,
+        renderWAV
+    };
+});
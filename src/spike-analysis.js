@@ -0,0 +1,304 @@
+// Spike features and spike-train statistics computed from a recorded trace (see trace-recorder.js).
+// A spike starts where dV/dt first exceeds dVdtThreshold and counts when the peak is at least
+// minAmplitude above that threshold. Integrate-and-fire cells draw no spike, their resets count
+// instead, without a half-width. Features are interpolated between samples, so they are only as
+// good as the sampling interval: 0.1 ms or finer for half-widths.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.MiniNeuron = Object.assign(root.MiniNeuron || {}, factory());
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const lerp = (a, b, f) => a + (b - a) * f;
+
+    // Central differences, one-sided at both ends
+    function derivative(time, values) {
+        const n = values.length;
+        const slope = new Array(n).fill(0);
+        for (let i = 0; i < n; i++) {
+            const a = Math.max(0, i - 1);
+            const b = Math.min(n - 1, i + 1);
+            if (time[b] > time[a]) slope[i] = (values[b] - values[a]) / (time[b] - time[a]);
+        }
+        return slope;
+    }
+
+    // Times where a recorded current steps away from zero, used when no protocol events are known
+    function stimulusOnsets(time, current, tolerance = 1e-9) {
+        const onsets = [];
+        for (let i = 1; i < current.length; i++) {
+            if (Math.abs(current[i - 1]) <= tolerance && Math.abs(current[i]) > tolerance) {
+                onsets.push(time[i]);
+            }
+        }
+        return onsets;
+    }
+
+    function mean(values) {
+        return values.reduce((sum, value) => sum + value, 0) / values.length;
+    }
+
+    // Sample standard deviation, null below two values
+    function standardDeviation(values) {
+        if (values.length < 2) return null;
+        const average = mean(values);
+        return Math.sqrt(values.reduce((sum, value) => sum + (value - average) * (value - average), 0) / (values.length - 1));
+    }
+
+    class SpikeAnalyzer {
+        constructor(options = {}) {
+            const config = Object.assign({}, SpikeAnalyzer.defaults, options);
+
+            this.dVdtThreshold = config.dVdtThreshold; // mV/ms
+            this.minAmplitude = config.minAmplitude; // mV from threshold to peak
+            this.maxSpikeWidth = config.maxSpikeWidth; // ms after threshold searched for the peak
+            this.resetDrop = config.resetDrop; // mV fall within one sample taken as a reset
+            this.ahpWindow = config.ahpWindow; // ms after the last spike searched for its AHP
+            this.isiBinWidth = config.isiBinWidth; // ms
+            this.psthBinWidth = config.psthBinWidth; // ms
+            this.psthWindow = config.psthWindow; // [before, after] in ms around each event, before negative
+
+            if (!(this.dVdtThreshold > 0)) {
+                throw new Error(`Invalid dV/dt threshold: ${this.dVdtThreshold}`);
+            }
+            if (!(this.isiBinWidth > 0) || !(this.psthBinWidth > 0)) {
+                throw new Error('Histogram bin widths must be positive');
+            }
+            if (!Array.isArray(this.psthWindow) || !(this.psthWindow[1] > this.psthWindow[0])) {
+                throw new Error(`Invalid PSTH window: ${this.psthWindow}`);
+            }
+        }
+
+        static get defaults() {
+            return {
+                dVdtThreshold: 10,
+                minAmplitude: 20,
+                maxSpikeWidth: 10,
+                resetDrop: 10,
+                ahpWindow: 100,
+                isiBinWidth: 5,
+                psthBinWidth: 5,
+                psthWindow: [-20, 200]
+            };
+        }
+
+        // Threshold, peak, amplitude and half-width of every spike, plus the sample indices they span
+        detectSpikes(time, V) {
+            const slope = derivative(time, V);
+            const upstrokes = this.detectUpstrokes(time, V, slope);
+            const spikes = upstrokes.concat(this.detectResets(time, V, slope, upstrokes));
+            return spikes.sort((a, b) => a.startIndex - b.startIndex);
+        }
+
+        detectUpstrokes(time, V, slope) {
+            const n = V.length;
+            const spikes = [];
+
+            // A trace that starts on an upstroke has its threshold on the first sample
+            let i = 0;
+            while (i < n) {
+                if (!(slope[i] >= this.dVdtThreshold && (i === 0 || slope[i - 1] < this.dVdtThreshold))) {
+                    i++;
+                    continue;
+                }
+
+                const f = i > 0 ? (this.dVdtThreshold - slope[i - 1]) / (slope[i] - slope[i - 1]) : 1;
+                const thresholdTime = i > 0 ? lerp(time[i - 1], time[i], f) : time[0];
+                const threshold = i > 0 ? lerp(V[i - 1], V[i], f) : V[0];
+
+                // The spike ends when V falls back below threshold or the search window runs out
+                let peak = i;
+                let end = i;
+                while (end < n - 1 && time[end] - thresholdTime <= this.maxSpikeWidth) {
+                    if (V[end] > V[peak]) peak = end;
+                    if (end > peak && V[end] < threshold) break;
+                    end++;
+                }
+
+                const amplitude = V[peak] - threshold;
+                if (amplitude < this.minAmplitude) {
+                    i++;
+                    continue;
+                }
+
+                const half = threshold + amplitude / 2;
+                let up = peak;
+                while (up > 0 && V[up - 1] >= half) up--;
+                let down = peak;
+                while (down < n - 1 && V[down + 1] >= half) down++;
+                const crossing = (a, b) => lerp(time[a], time[b], (half - V[a]) / (V[b] - V[a]));
+                const rise = up > 0 ? crossing(up - 1, up) : time[0];
+
+                spikes.push({
+                    thresholdTime,
+                    threshold,
+                    peakTime: time[peak],
+                    peak: V[peak],
+                    amplitude,
+                    halfWidth: down < n - 1 ? crossing(down, down + 1) - rise : null,
+                    startIndex: i,
+                    endIndex: end
+                });
+                i = end + 1;
+            }
+            return spikes;
+        }
+
+        // Resets outside any upstroke: the peak is the last sample before the fall, the threshold
+        // the last dV/dt crossing before it or, without one, the peak itself. The fall must start
+        // at a peak, so a coarsely sampled downstroke of a drawn spike does not count once per sample.
+        detectResets(time, V, slope, upstrokes) {
+            const insideUpstroke = new Uint8Array(V.length);
+            upstrokes.forEach(spike => insideUpstroke.fill(1, spike.startIndex, spike.endIndex + 1));
+            const spikes = [];
+
+            for (let j = 0; j < V.length - 1; j++) {
+                if (V[j] - V[j + 1] <= this.resetDrop || insideUpstroke[j]) continue;
+                if (j > 0 && V[j] < V[j - 1]) continue;
+
+                let start = j;
+                for (let k = j; k > 0 && time[j] - time[k] <= this.maxSpikeWidth; k--) {
+                    if (slope[k] >= this.dVdtThreshold && slope[k - 1] < this.dVdtThreshold) {
+                        start = k;
+                        break;
+                    }
+                }
+                const f = start < j ? (this.dVdtThreshold - slope[start - 1]) / (slope[start] - slope[start - 1]) : 1;
+                const threshold = start < j ? lerp(V[start - 1], V[start], f) : V[j];
+
+                spikes.push({
+                    thresholdTime: start < j ? lerp(time[start - 1], time[start], f) : time[j],
+                    threshold,
+                    peakTime: time[j],
+                    peak: V[j],
+                    amplitude: V[j] - threshold,
+                    halfWidth: null,
+                    startIndex: start,
+                    endIndex: j + 1
+                });
+            }
+            return spikes;
+        }
+
+        // AHP trough between a spike and the next one: depth below threshold in mV
+        measureAHP(spikes, time, V) {
+            spikes.forEach((spike, k) => {
+                const next = spikes[k + 1];
+                const last = next ? next.startIndex : V.length;
+                let trough = -1;
+                for (let j = spike.endIndex; j < last; j++) {
+                    if (!next && time[j] - spike.peakTime > this.ahpWindow) break;
+                    if (trough < 0 || V[j] < V[trough]) trough = j;
+                }
+
+                spike.ahpTime = trough < 0 ? null : time[trough];
+                spike.ahpMinimum = trough < 0 ? null : V[trough];
+                spike.ahpDepth = trough < 0 ? null : spike.threshold - V[trough];
+            });
+        }
+
+        // Latency from the last event before each peak to the threshold crossing. A pulse strong
+        // enough to exceed dVdtThreshold by itself puts the threshold at its onset, latency 0.
+        measureLatency(spikes, events) {
+            let e = -1;
+            spikes.forEach(spike => {
+                while (e + 1 < events.length && events[e + 1] <= spike.peakTime) e++;
+                spike.event = e < 0 ? null : events[e];
+                spike.latency = e < 0 ? null : Math.max(0, spike.thresholdTime - events[e]);
+            });
+        }
+
+        isiHistogram(isis) {
+            const bins = Math.max(1, Math.ceil(Math.max(0, ...isis) / this.isiBinWidth + 1e-9));
+            const counts = new Array(bins).fill(0);
+            isis.forEach(isi => {
+                counts[Math.min(bins - 1, Math.floor(isi / this.isiBinWidth))]++;
+            });
+            return { start: 0, binWidth: this.isiBinWidth, counts };
+        }
+
+        // Events whose whole window lies inside the recording, give or take tolerance, are the
+        // trials. Rates in Hz.
+        psth(spikeTimes, events, from, to, tolerance = 0) {
+            const [before, after] = this.psthWindow;
+            const bins = Math.max(1, Math.round((after - before) / this.psthBinWidth));
+            const counts = new Array(bins).fill(0);
+            const trials = events.filter(event => event + before >= from - tolerance && event + after <= to + tolerance);
+
+            trials.forEach(event => {
+                spikeTimes.forEach(time => {
+                    const offset = time - event;
+                    if (offset >= before && offset < after) {
+                        counts[Math.min(bins - 1, Math.floor((offset - before) / this.psthBinWidth))]++;
+                    }
+                });
+            });
+
+            const scale = trials.length ? 1000 / (trials.length * this.psthBinWidth) : 0;
+            return {
+                start: before,
+                binWidth: this.psthBinWidth,
+                counts,
+                rates: counts.map(count => count * scale),
+                trials: trials.length
+            };
+        }
+
+        // data holds time and V columns (I_stim is used for events when none are given)
+        analyze(data, events = null) {
+            const { time, V } = data;
+            if (!time || !V || time.length !== V.length) {
+                throw new Error('Spike analysis needs time and V columns of equal length');
+            }
+            if (time.length < 3) {
+                throw new Error('Spike analysis needs at least three samples');
+            }
+
+            const alignTo = (events || (data.I_stim ? stimulusOnsets(time, data.I_stim) : [])).slice().sort((a, b) => a - b);
+            const spikes = this.detectSpikes(time, V);
+            this.measureAHP(spikes, time, V);
+            this.measureLatency(spikes, alignTo);
+
+            const spikeTimes = spikes.map(spike => spike.thresholdTime);
+            const isis = spikeTimes.slice(1).map((t, k) => t - spikeTimes[k]);
+            const duration = time[time.length - 1] - time[0];
+            const sd = standardDeviation(isis);
+
+            // Mean normalized change of consecutive ISIs, positive when firing slows down
+            let adaptationIndex = null;
+            if (isis.length >= 2) {
+                adaptationIndex = mean(isis.slice(1).map((isi, k) => (isi - isis[k]) / (isi + isis[k])));
+            }
+
+            return {
+                duration,
+                spikes,
+                isis,
+                meanRate: duration > 0 ? spikes.length / duration * 1000 : 0,
+                cv: sd === null ? null : sd / mean(isis),
+                adaptationIndex,
+                isiHistogram: this.isiHistogram(isis),
+                events: alignTo,
+                // Recordings start on the step after an event at the same time, allow one sample
+                psth: this.psth(spikeTimes, alignTo, time[0], time[time.length - 1], duration / (time.length - 1))
+            };
+        }
+
+        // One row per spike
+        exportCSV(result) {
+            const columns = ['thresholdTime', 'threshold', 'peakTime', 'peak', 'amplitude', 'halfWidth', 'ahpDepth', 'ahpMinimum', 'latency'];
+            const header = [
+                'threshold time (ms)', 'threshold (mV)', 'peak time (ms)', 'peak (mV)', 'amplitude (mV)',
+                'half-width (ms)', 'AHP depth (mV)', 'AHP minimum (mV)', 'latency (ms)'
+            ];
+            const lines = [header.join(',')];
+            result.spikes.forEach(spike => {
+                lines.push(columns.map(column => spike[column] === null ? '' : spike[column]).join(','));
+            });
+            return lines.join('\n') + '\n';
+        }
+    }
+
+    return { SpikeAnalyzer, stimulusOnsets };
+});
@@ -0,0 +1,79 @@
+// Draws one histogram of a SpikeAnalyzer result as bars, the ISI histogram or the PSTH. Bins are
+// { start, binWidth, counts } in ms, values picks the plotted array (counts, or rates for PSTHs).
+class SpikeHistogramPlot {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.padding = 30;
+    }
+
+    static get colors() {
+        return {
+            axis: 'rgba(255, 255, 255, 0.3)',
+            label: '#b0b0b0',
+            bar: 'rgba(0, 212, 255, 0.7)',
+            event: '#fdcb6e'
+        };
+    }
+
+    draw(histogram, { title, values = 'counts', unit = '' } = {}) {
+        const ctx = this.context;
+        if (!ctx) return;
+
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        if (!histogram) return;
+
+        const heights = histogram[values];
+        const maxValue = Math.max(1e-9, ...heights);
+        const start = histogram.start;
+        const end = start + heights.length * histogram.binWidth;
+        const bottom = this.canvas.height - this.padding;
+        const width = this.canvas.width - 2 * this.padding;
+
+        const toX = t => this.padding + (t - start) / (end - start) * width;
+        const toY = value => bottom - value / maxValue * (bottom - this.padding);
+
+        this.drawAxes(bottom, `${title} (max ${maxValue.toFixed(values === 'counts' ? 0 : 1)}${unit ? ' ' + unit : ''})`,
+            `${start} … ${end} ms`);
+
+        ctx.fillStyle = SpikeHistogramPlot.colors.bar;
+        heights.forEach((value, i) => {
+            if (!(value > 0)) return;
+            const left = toX(start + i * histogram.binWidth);
+            const right = toX(start + (i + 1) * histogram.binWidth);
+            ctx.fillRect(left, toY(value), Math.max(1, right - left - 1), bottom - toY(value));
+        });
+
+        // Event time of an aligned histogram
+        if (start < 0 && end > 0) {
+            ctx.strokeStyle = SpikeHistogramPlot.colors.event;
+            ctx.lineWidth = 1;
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            ctx.moveTo(toX(0), this.padding);
+            ctx.lineTo(toX(0), bottom);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+    }
+
+    drawAxes(bottom, title, rangeLabel) {
+        const ctx = this.context;
+        const colors = SpikeHistogramPlot.colors;
+
+        ctx.strokeStyle = colors.axis;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(this.padding, this.padding);
+        ctx.lineTo(this.padding, bottom);
+        ctx.lineTo(this.canvas.width - this.padding, bottom);
+        ctx.stroke();
+
+        ctx.fillStyle = colors.label;
+        ctx.font = '12px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.fillText(title, this.padding, 18);
+        ctx.textAlign = 'right';
+        ctx.fillText(rangeLabel, this.canvas.width - this.padding, this.canvas.height - 10);
+    }
+}
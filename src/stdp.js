@@ -0,0 +1,233 @@
+// Spike-timing-dependent plasticity of the synaptic weights of a SynapticInput. Pre- and
+// postsynaptic spikes leave exponentially decaying traces, a postsynaptic spike potentiates by
+// the presynaptic traces and a presynaptic spike depresses by the postsynaptic ones.
+// 'pair' is the additive rule of Song, Miller & Abbott (2000), 'triplet' the all-to-all
+// minimal triplet rule of Pfister & Gerstner (2006) fitted to visual cortex, which depresses at low
+// pairing frequencies and potentiates at high ones.
+// Weights persist across resets, only explicit resetWeights() or restore() changes them.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./event-emitter.js'));
+    } else {
+        root.MiniNeuron = Object.assign(root.MiniNeuron || {}, factory(root.MiniNeuron));
+    }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+    const { EventEmitter } = deps;
+
+    // Amplitudes are weight changes per spike pairing in units of wMax, time constants in ms.
+    // tauX and tauY belong to the slow presynaptic and postsynaptic traces of the triplet rule.
+    const STDP_RULES = {
+        pair: {
+            label: 'Pair-based',
+            tauPlus: 20, tauMinus: 20, tauX: 1, tauY: 1,
+            A2plus: 0.005, A3plus: 0, A2minus: 0.00525, A3minus: 0
+        },
+        triplet: {
+            label: 'Triplet',
+            tauPlus: 16.8, tauMinus: 33.7, tauX: 101, tauY: 114,
+            A2plus: 0, A3plus: 6.5e-3, A2minus: 7.1e-3, A3minus: 0
+        }
+    };
+
+    class SpikeTimingPlasticity extends EventEmitter {
+        constructor(synapticInput, options = {}) {
+            super();
+            const config = Object.assign({}, SpikeTimingPlasticity.defaults, options);
+
+            this.input = synapticInput;
+            this.enabled = config.enabled;
+            this.group = config.group; // Only synapses of this group learn
+            this.learningRate = config.learningRate; // Multiplies every amplitude, speeds up demos
+            this.wMin = config.wMin;
+            this.wMax = config.wMax;
+            this.historyInterval = config.historyInterval; // ms of model time between history samples
+            this.historyLength = config.historyLength; // Samples kept
+            this.setRule(config.rule);
+
+            this.traces = new Map();
+            this.reset();
+
+            this.input.on('synapticevent', ({ name, time }) => {
+                const synapse = this.input.synapses.find(candidate => candidate.name === name);
+                if (synapse) this.presynaptic(synapse, time);
+            });
+        }
+
+        static get defaults() {
+            return {
+                enabled: false,
+                rule: 'pair',
+                group: 'excitatory',
+                learningRate: 1,
+                wMin: 0,
+                wMax: 2,
+                historyInterval: 50,
+                historyLength: 2000
+            };
+        }
+
+        get learningSynapses() {
+            return this.input.synapses.filter(synapse => synapse.group === this.group);
+        }
+
+        setRule(name) {
+            if (!STDP_RULES[name]) {
+                throw new Error(`Unknown STDP rule '${name}'`);
+            }
+            this.ruleName = name;
+            this.rule = STDP_RULES[name];
+        }
+
+        setEnabled(enabled) {
+            this.enabled = Boolean(enabled);
+        }
+
+        setLearningRate(rate) {
+            if (typeof rate !== 'number' || !Number.isFinite(rate) || rate < 0) {
+                throw new Error(`Invalid learning rate: ${rate}`);
+            }
+            this.learningRate = rate;
+        }
+
+        // Clears the spike traces and the history, the weights stay
+        reset() {
+            this.traces.clear();
+            this.post = { fast: 0, slow: 0, time: -Infinity };
+            this.history = [];
+            this.nextSampleTime = 0;
+            this.sampleHistory(0, true);
+        }
+
+        resetWeights() {
+            this.learningSynapses.forEach(synapse => this.setWeight(synapse, 1, null));
+            this.sampleHistory(this.input.time, true);
+        }
+
+        // Fast and slow presynaptic traces of a synapse, created on first use
+        presynapticTrace(synapse) {
+            let trace = this.traces.get(synapse);
+            if (!trace) {
+                trace = { fast: 0, slow: 0, time: -Infinity };
+                this.traces.set(synapse, trace);
+            }
+            return trace;
+        }
+
+        // Traces decay exponentially and are brought up to date lazily
+        decay(trace, time, tauFast, tauSlow) {
+            const elapsed = time - trace.time;
+            if (elapsed > 0) {
+                trace.fast *= Math.exp(-elapsed / tauFast);
+                trace.slow *= Math.exp(-elapsed / tauSlow);
+            }
+            trace.time = time;
+        }
+
+        setWeight(synapse, weight, time) {
+            const previous = synapse.weight;
+            synapse.weight = Math.min(this.wMax, Math.max(this.wMin, weight));
+            if (synapse.weight !== previous) {
+                this.emit('weightchange', { name: synapse.name, weight: synapse.weight, previous, time });
+            }
+        }
+
+        presynaptic(synapse, time) {
+            if (!this.enabled || synapse.group !== this.group) return;
+
+            const { tauPlus, tauMinus, tauX, tauY, A2minus, A3minus } = this.rule;
+            const trace = this.presynapticTrace(synapse);
+            this.decay(trace, time, tauPlus, tauX);
+            this.decay(this.post, time, tauMinus, tauY);
+
+            // Depression by the preceding postsynaptic spikes, the triplet term reads the slow trace before the update
+            const depression = this.post.fast * (A2minus + A3minus * trace.slow);
+            this.setWeight(synapse, synapse.weight - this.learningRate * this.wMax * depression, time);
+
+            trace.fast += 1;
+            trace.slow += 1;
+            this.sampleHistory(time);
+        }
+
+        postsynaptic(time) {
+            if (!this.enabled) return;
+
+            const { tauPlus, tauMinus, tauX, tauY, A2plus, A3plus } = this.rule;
+            this.decay(this.post, time, tauMinus, tauY);
+
+            // Potentiation of every synapse by its preceding presynaptic spikes
+            this.learningSynapses.forEach(synapse => {
+                const trace = this.presynapticTrace(synapse);
+                this.decay(trace, time, tauPlus, tauX);
+                const potentiation = trace.fast * (A2plus + A3plus * this.post.slow);
+                this.setWeight(synapse, synapse.weight + this.learningRate * this.wMax * potentiation, time);
+            });
+
+            this.post.fast += 1;
+            this.post.slow += 1;
+            this.sampleHistory(time);
+        }
+
+        // Weights at most every historyInterval, the oldest samples are dropped
+        sampleHistory(time, force = false) {
+            if (!force && time < this.nextSampleTime) return;
+
+            this.history.push({ time, weights: this.learningSynapses.map(synapse => synapse.weight) });
+            if (this.history.length > this.historyLength) {
+                this.history.shift();
+            }
+            this.nextSampleTime = time + this.historyInterval;
+        }
+
+        getWeights() {
+            const weights = {};
+            this.learningSynapses.forEach(synapse => {
+                weights[synapse.name] = synapse.weight;
+            });
+            return weights;
+        }
+
+        setWeights(weights) {
+            if (!weights || typeof weights !== 'object') {
+                throw new Error('Weights must be an object of synapse names');
+            }
+            Object.entries(weights).forEach(([name, weight]) => {
+                const synapse = this.input.synapses.find(candidate => candidate.name === name);
+                if (!synapse) {
+                    throw new Error(`Unknown synapse '${name}'`);
+                }
+                if (typeof weight !== 'number' || !Number.isFinite(weight)) {
+                    throw new Error(`Invalid weight for '${name}': ${weight}`);
+                }
+            });
+            Object.entries(weights).forEach(([name, weight]) => {
+                this.setWeight(this.input.synapses.find(candidate => candidate.name === name), weight, null);
+            });
+            this.sampleHistory(this.input.time, true);
+        }
+
+        toJSON() {
+            return {
+                schema: 'minineuron.weights/v1',
+                rule: this.ruleName,
+                learningRate: this.learningRate,
+                wMin: this.wMin,
+                wMax: this.wMax,
+                weights: this.getWeights()
+            };
+        }
+
+        // Weights saved by toJSON(), the rule and bounds come along
+        restore(saved) {
+            if (!saved || saved.schema !== 'minineuron.weights/v1') {
+                throw new Error('Not a saved weight file');
+            }
+            if (saved.rule) this.setRule(saved.rule);
+            if (saved.learningRate !== undefined) this.setLearningRate(saved.learningRate);
+            if (saved.wMin !== undefined) this.wMin = saved.wMin;
+            if (saved.wMax !== undefined) this.wMax = saved.wMax;
+            this.setWeights(saved.weights);
+        }
+    }
+
+    return { SpikeTimingPlasticity, STDP_RULES };
+});
@@ -0,0 +1,269 @@
+// Declarative stimulus protocols evaluated in model time.
+// A protocol is a JSON object whose components are summed:
+//   {
+//     "name": "20 Hz train on a ramp",
+//     "loop": false,
+//     "components": [
+//       { "type": "ramp", "start": 0, "duration": 200, "from": 0, "to": 5 },
+//       { "type": "train", "start": 50, "duration": 100, "frequency": 20, "pulseWidth": 1, "amplitude": 20 }
+//     ]
+//   }
+// Times are in ms, frequencies in Hz and currents in μA/cm².
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./random.js'));
+    } else {
+        root.MiniNeuron = Object.assign(root.MiniNeuron || {}, factory(root.MiniNeuron));
+    }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+    const { SeededRandom } = deps;
+
+    function requireNumber(definition, key, fallback) {
+        const value = definition[key] === undefined ? fallback : definition[key];
+        if (typeof value !== 'number' || Number.isNaN(value)) {
+            throw new Error(`Stimulus component '${definition.type}' needs a numeric '${key}'`);
+        }
+        return value;
+    }
+
+    // Shared timing: active on [start, start + duration), duration defaults to forever
+    class StimulusComponent {
+        constructor(definition) {
+            this.definition = definition;
+            this.start = requireNumber(definition, 'start', 0);
+            this.duration = requireNumber(definition, 'duration', Infinity);
+        }
+
+        get end() {
+            return this.start + this.duration;
+        }
+
+        // Onset times in [0, until) that analyses can align to
+        eventTimes(until) {
+            return this.start < until ? [this.start] : [];
+        }
+
+        currentAt(t) {
+            if (t < this.start || t >= this.end) return 0;
+            return this.value(t - this.start);
+        }
+
+        reset() {}
+    }
+
+    class StepComponent extends StimulusComponent {
+        constructor(definition) {
+            super(definition);
+            this.amplitude = requireNumber(definition, 'amplitude');
+        }
+
+        value() {
+            return this.amplitude;
+        }
+    }
+
+    class RampComponent extends StimulusComponent {
+        constructor(definition) {
+            super(definition);
+            this.from = requireNumber(definition, 'from', 0);
+            this.to = requireNumber(definition, 'to');
+            if (!Number.isFinite(this.duration)) {
+                throw new Error("Stimulus component 'ramp' needs a finite 'duration'");
+            }
+        }
+
+        value(t) {
+            return this.from + (this.to - this.from) * t / this.duration;
+        }
+    }
+
+    class SineComponent extends StimulusComponent {
+        constructor(definition) {
+            super(definition);
+            this.amplitude = requireNumber(definition, 'amplitude');
+            this.frequency = requireNumber(definition, 'frequency');
+            this.phase = requireNumber(definition, 'phase', 0); // radians
+            this.offset = requireNumber(definition, 'offset', 0);
+        }
+
+        value(t) {
+            return this.offset + this.amplitude * Math.sin(2 * Math.PI * this.frequency * t / 1000 + this.phase);
+        }
+    }
+
+    class TrainComponent extends StimulusComponent {
+        constructor(definition) {
+            super(definition);
+            this.amplitude = requireNumber(definition, 'amplitude');
+            this.frequency = requireNumber(definition, 'frequency');
+            this.pulseWidth = requireNumber(definition, 'pulseWidth', 1);
+            this.count = requireNumber(definition, 'count', Infinity);
+            if (!(this.frequency > 0)) {
+                throw new Error("Stimulus component 'train' needs a positive 'frequency'");
+            }
+        }
+
+        get period() {
+            return 1000 / this.frequency;
+        }
+
+        get end() {
+            return Math.min(this.start + this.duration, this.start + this.count * this.period);
+        }
+
+        eventTimes(until) {
+            const times = [];
+            for (let k = 0; k < this.count; k++) {
+                const onset = this.start + k * this.period;
+                if (onset >= until || onset >= this.end) break;
+                times.push(onset);
+            }
+            return times;
+        }
+
+        value(t) {
+            const pulse = Math.floor(t / this.period);
+            if (pulse >= this.count) return 0;
+            return t - pulse * this.period < this.pulseWidth ? this.amplitude : 0;
+        }
+    }
+
+    // Ornstein-Uhlenbeck current noise, advanced with its exact discrete update. A looping protocol
+    // continues the process into the next period instead of replaying it, reset() starts it over.
+    class NoiseComponent extends StimulusComponent {
+        constructor(definition) {
+            super(definition);
+            this.mean = requireNumber(definition, 'mean', 0);
+            this.sigma = requireNumber(definition, 'sigma');
+            this.tau = requireNumber(definition, 'tau', 5);
+            this.random = new SeededRandom(requireNumber(definition, 'seed', 1));
+            this.reset();
+        }
+
+        reset() {
+            this.random.reset();
+            this.x = this.mean;
+            this.lastTime = null;
+        }
+
+        value(t) {
+            // Time went backwards on a loop wrap: hold the value for this sample and go on from there
+            if (this.lastTime !== null && t > this.lastTime) {
+                const decay = Math.exp(-(t - this.lastTime) / this.tau);
+                this.x = this.mean + (this.x - this.mean) * decay +
+                    this.sigma * Math.sqrt(1 - decay * decay) * this.random.gaussian();
+            }
+            this.lastTime = t;
+            return this.x;
+        }
+    }
+
+    // Arbitrary waveform given as evenly spaced samples, linearly interpolated
+    class WaveformComponent extends StimulusComponent {
+        constructor(definition) {
+            super(definition);
+            this.samples = definition.samples;
+            this.sampleInterval = requireNumber(definition, 'sampleInterval');
+            this.scale = requireNumber(definition, 'scale', 1);
+            if (!Array.isArray(this.samples) || this.samples.length === 0) {
+                throw new Error("Stimulus component 'waveform' needs a non-empty 'samples' array");
+            }
+            if (definition.duration === undefined) {
+                this.duration = this.samples.length * this.sampleInterval;
+            }
+        }
+
+        value(t) {
+            const position = t / this.sampleInterval;
+            const index = Math.floor(position);
+            if (index >= this.samples.length - 1) {
+                return this.scale * this.samples[this.samples.length - 1];
+            }
+            const fraction = position - index;
+            return this.scale * (this.samples[index] + (this.samples[index + 1] - this.samples[index]) * fraction);
+        }
+    }
+
+    const COMPONENT_TYPES = {
+        step: StepComponent,
+        ramp: RampComponent,
+        sine: SineComponent,
+        train: TrainComponent,
+        noise: NoiseComponent,
+        waveform: WaveformComponent
+    };
+
+    class StimulusProtocol {
+        constructor(definition) {
+            if (!definition || !Array.isArray(definition.components)) {
+                throw new Error('Stimulus protocol needs a components array');
+            }
+
+            this.definition = definition;
+            this.name = definition.name || 'Untitled protocol';
+            this.loop = Boolean(definition.loop);
+            this.components = definition.components.map(component => {
+                const Component = COMPONENT_TYPES[component.type];
+                if (!Component) {
+                    throw new Error(`Unknown stimulus component type '${component.type}'`);
+                }
+                return new Component(component);
+            });
+
+            // Looping period defaults to the end of the last component
+            this.duration = definition.period !== undefined
+                ? definition.period
+                : this.components.reduce((end, component) => Math.max(end, component.end), 0);
+
+            if (this.loop && !(Number.isFinite(this.duration) && this.duration > 0)) {
+                throw new Error('A looping protocol needs a finite period or finite components');
+            }
+        }
+
+        static fromJSON(text) {
+            return new StimulusProtocol(JSON.parse(text));
+        }
+
+        toJSON() {
+            return this.definition;
+        }
+
+        // Protocol time folded into one period when looping
+        localTime(t) {
+            return this.loop ? t % this.duration : t;
+        }
+
+        isFinished(t) {
+            return !this.loop && t >= this.duration;
+        }
+
+        // Total injected current at protocol time t
+        currentAt(t) {
+            if (this.isFinished(t)) return 0;
+
+            const local = this.localTime(t);
+            return this.components.reduce((sum, component) => sum + component.currentAt(local), 0);
+        }
+
+        // Component and pulse onsets in [0, until), repeated for every loop period
+        eventTimes(until) {
+            const periods = this.loop ? Math.ceil(until / this.duration) : 1;
+            const times = [];
+            for (let k = 0; k < periods; k++) {
+                const offset = k * this.duration;
+                this.components.forEach(component => {
+                    component.eventTimes(Math.min(until - offset, this.duration)).forEach(time => {
+                        times.push(offset + time);
+                    });
+                });
+            }
+            return times.sort((a, b) => a - b);
+        }
+
+        reset() {
+            this.components.forEach(component => component.reset());
+        }
+    }
+
+    return { StimulusProtocol, COMPONENT_TYPES };
+});
@@ -0,0 +1,151 @@
+// Draws one metric of a ParameterSweep result: a heatmap with a colour bar for 2-D sweeps, a line
+// for 1-D sweeps. Points without a value (no spikes for latency or amplitude) stay grey.
+class SweepHeatmapPlot {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.padding = 30;
+        this.colorBarWidth = 14;
+    }
+
+    static get colors() {
+        return {
+            axis: 'rgba(255, 255, 255, 0.3)',
+            label: '#b0b0b0',
+            line: '#00d4ff',
+            missing: 'rgba(255, 255, 255, 0.08)'
+        };
+    }
+
+    // Low values blue, high values red, as the F–I curves of cold and warm cells
+    valueColor(fraction) {
+        const hue = 220 - 220 * Math.min(1, Math.max(0, fraction));
+        return `hsl(${hue}, 80%, 55%)`;
+    }
+
+    draw(result, grid, metric) {
+        const ctx = this.context;
+        if (!ctx || !result) return;
+
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+        const values = [].concat(...grid).filter(value => value !== null);
+        const min = values.length ? Math.min(...values) : 0;
+        const max = values.length ? Math.max(...values) : 1;
+        const range = {
+            min,
+            max: max > min ? max : min + 1
+        };
+        const unit = metric.unit ? ` ${metric.unit}` : '';
+        const axisLabel = axis => `${axis.label} ${axis.values[0]} … ${axis.values[axis.values.length - 1]}${axis.unit ? ' ' + axis.unit : ''}`;
+
+        if (result.axes.length === 1) {
+            this.drawLine(result.axes[0], grid[0], range);
+            this.drawAxes(`${metric.label} (${min.toFixed(1)} … ${max.toFixed(1)}${unit})`, axisLabel(result.axes[0]));
+        } else {
+            this.drawHeatmap(grid, range);
+            this.drawColorBar(range);
+            this.drawAxes(`${metric.label} (${min.toFixed(1)} … ${max.toFixed(1)}${unit}) by ${axisLabel(result.axes[1])}`,
+                axisLabel(result.axes[0]));
+        }
+    }
+
+    plotArea() {
+        return {
+            left: this.padding,
+            top: this.padding,
+            right: this.canvas.width - this.padding - this.colorBarWidth - 10,
+            bottom: this.canvas.height - this.padding
+        };
+    }
+
+    // First row at the bottom, so the second axis grows upwards
+    drawHeatmap(grid, range) {
+        const ctx = this.context;
+        const area = this.plotArea();
+        const rows = grid.length;
+        const columns = grid[0].length;
+        const cellWidth = (area.right - area.left) / columns;
+        const cellHeight = (area.bottom - area.top) / rows;
+
+        grid.forEach((row, j) => {
+            row.forEach((value, i) => {
+                ctx.fillStyle = value === null
+                    ? SweepHeatmapPlot.colors.missing
+                    : this.valueColor((value - range.min) / (range.max - range.min));
+                ctx.fillRect(area.left + i * cellWidth, area.bottom - (j + 1) * cellHeight, Math.ceil(cellWidth), Math.ceil(cellHeight));
+            });
+        });
+    }
+
+    drawColorBar(range) {
+        const ctx = this.context;
+        const area = this.plotArea();
+        const x = this.canvas.width - this.padding - this.colorBarWidth;
+        const steps = 32;
+        const height = (area.bottom - area.top) / steps;
+
+        for (let k = 0; k < steps; k++) {
+            ctx.fillStyle = this.valueColor((k + 0.5) / steps);
+            ctx.fillRect(x, area.bottom - (k + 1) * height, this.colorBarWidth, Math.ceil(height));
+        }
+    }
+
+    drawLine(axis, row, range) {
+        const ctx = this.context;
+        const area = this.plotArea();
+        const first = axis.values[0];
+        const last = axis.values[axis.values.length - 1];
+        const toX = value => area.left + (value - first) / (last - first || 1) * (area.right - area.left);
+        const toY = value => area.bottom - (value - range.min) / (range.max - range.min) * (area.bottom - area.top);
+
+        ctx.strokeStyle = SweepHeatmapPlot.colors.line;
+        ctx.fillStyle = SweepHeatmapPlot.colors.line;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        let drawing = false;
+        row.forEach((value, i) => {
+            if (value === null) {
+                drawing = false;
+                return;
+            }
+            const x = toX(axis.values[i]);
+            const y = toY(value);
+            if (drawing) {
+                ctx.lineTo(x, y);
+            } else {
+                ctx.moveTo(x, y);
+            }
+            drawing = true;
+        });
+        ctx.stroke();
+
+        row.forEach((value, i) => {
+            if (value === null) return;
+            ctx.beginPath();
+            ctx.arc(toX(axis.values[i]), toY(value), 2.5, 0, 2 * Math.PI);
+            ctx.fill();
+        });
+    }
+
+    drawAxes(title, rangeLabel) {
+        const ctx = this.context;
+        const colors = SweepHeatmapPlot.colors;
+        const area = this.plotArea();
+
+        ctx.strokeStyle = colors.axis;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(area.left, area.top);
+        ctx.lineTo(area.left, area.bottom);
+        ctx.lineTo(area.right, area.bottom);
+        ctx.stroke();
+
+        ctx.fillStyle = colors.label;
+        ctx.font = '12px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.fillText(title, this.padding, 18);
+        ctx.textAlign = 'right';
+        ctx.fillText(rangeLabel, this.canvas.width - this.padding, this.canvas.height - 10);
+    }
+}
@@ -0,0 +1,296 @@
+// Conductance-based synapses driven by Poisson presynaptic spike trains. Every synapse sits on a
+// cable section (a spine or a dendritic shaft) and carries one or more receptor types with
+// dual-exponential kinetics; NMDA receptors add the Mg²⁺ block of Jahr & Stevens (1990).
+// The single-compartment model lumps all synapses onto its membrane, the cable model receives
+// them as conductances in the sections they sit on.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({}, require('./event-emitter.js'), require('./random.js')));
+    } else {
+        root.MiniNeuron = Object.assign(root.MiniNeuron || {}, factory(root.MiniNeuron));
+    }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+    const { EventEmitter, SeededRandom } = deps;
+
+    // Time constants in ms, peak conductance gmax in nS per synapse. Reversals are in mV or name
+    // one of the model's reversal potentials, so GABA-A follows E_Cl and GABA-B follows E_K.
+    const RECEPTORS = {
+        AMPA: { label: 'AMPA', tauRise: 0.2, tauDecay: 2, E: 0, gmax: 2, excitatory: true },
+        NMDA: { label: 'NMDA', tauRise: 2, tauDecay: 80, E: 0, gmax: 1, excitatory: true, magnesiumBlock: true },
+        GABA_A: { label: 'GABA-A', tauRise: 0.5, tauDecay: 8, E: 'E_Cl', gmax: 2, excitatory: false },
+        GABA_B: { label: 'GABA-B', tauRise: 40, tauDecay: 150, E: 'E_K', gmax: 0.5, excitatory: false }
+    };
+
+    // Glutamatergic inputs on the spines, GABAergic inputs on the soma and the dendritic shafts.
+    // section names a section of DEFAULT_MORPHOLOGY, selector the drawn element.
+    const DEFAULT_SYNAPSES = [
+        { name: 'spine-1', section: 'apical', selector: '.spine-1', receptors: ['AMPA', 'NMDA'] },
+        { name: 'spine-2', section: 'apical', selector: '.spine-2', receptors: ['AMPA', 'NMDA'] },
+        { name: 'spine-3', section: 'apical', selector: '.spine-3', receptors: ['AMPA', 'NMDA'] },
+        { name: 'spine-4', section: 'apical', selector: '.spine-4', receptors: ['AMPA', 'NMDA'] },
+        { name: 'spine-5', section: 'apical', selector: '.spine-5', receptors: ['AMPA', 'NMDA'] },
+        { name: 'spine-6', section: 'basal-1', selector: '.spine-6', receptors: ['AMPA', 'NMDA'] },
+        { name: 'spine-7', section: 'basal-1', selector: '.spine-7', receptors: ['AMPA', 'NMDA'] },
+        { name: 'spine-8', section: 'basal-2', selector: '.spine-8', receptors: ['AMPA', 'NMDA'] },
+        { name: 'spine-9', section: 'basal-2', selector: '.spine-9', receptors: ['AMPA', 'NMDA'] },
+        { name: 'perisomatic', section: 'soma', selector: '.inhibitory-synapse-1', receptors: ['GABA_A'] },
+        { name: 'apical-shaft', section: 'apical', selector: '.inhibitory-synapse-2', receptors: ['GABA_A', 'GABA_B'] },
+        { name: 'basal-shaft', section: 'basal-2', selector: '.inhibitory-synapse-3', receptors: ['GABA_A', 'GABA_B'] }
+    ];
+
+    // Presynaptic populations, each synapse belongs to one by the sign of its receptors
+    const SYNAPSE_GROUPS = ['excitatory', 'inhibitory'];
+
+    // Peak of exp(-t/tauDecay) - exp(-t/tauRise), scales one presynaptic spike to a peak of gmax
+    function peakFactor(tauRise, tauDecay) {
+        const peakTime = tauRise * tauDecay / (tauDecay - tauRise) * Math.log(tauDecay / tauRise);
+        return 1 / (Math.exp(-peakTime / tauDecay) - Math.exp(-peakTime / tauRise));
+    }
+
+    // Fraction of NMDA receptors free of Mg²⁺ at V (mV) and [Mg²⁺]o (mM)
+    function magnesiumUnblock(V, Mg) {
+        return 1 / (1 + Mg / 3.57 * Math.exp(-0.062 * V));
+    }
+
+    class SynapticInput extends EventEmitter {
+        constructor(options = {}) {
+            super();
+            const config = Object.assign({}, SynapticInput.defaults, options);
+
+            this.area = config.area; // Membrane area (cm²) of the single-compartment model
+            this.random = new SeededRandom(config.seed);
+            this.rates = { excitatory: 0, inhibitory: 0 }; // Presynaptic rate per synapse (Hz)
+            this.time = 0;
+
+            this.receptors = {};
+            Object.entries(RECEPTORS).forEach(([type, receptor]) => {
+                this.receptors[type] = Object.assign({ peakFactor: peakFactor(receptor.tauRise, receptor.tauDecay) }, receptor);
+            });
+            Object.entries(config.conductances).forEach(([type, gmax]) => this.setReceptorConductance(type, gmax));
+
+            this.synapses = [];
+            config.synapses.forEach(definition => this.addSynapse(definition));
+            Object.entries(config.rates).forEach(([group, rate]) => this.setRate(group, rate));
+        }
+
+        static get defaults() {
+            return {
+                synapses: DEFAULT_SYNAPSES,
+                area: 1.6e-4, // Whole membrane of DEFAULT_MORPHOLOGY, the cable model sees the same input
+                seed: 1,
+                rates: {}, // Presynaptic rate (Hz) per group
+                conductances: {} // Peak conductance (nS) per receptor type, overriding RECEPTORS
+            };
+        }
+
+        addSynapse(definition) {
+            if (!definition || typeof definition.name !== 'string' || !definition.name) {
+                throw new Error('A synapse needs a name');
+            }
+            if (this.synapses.some(synapse => synapse.name === definition.name)) {
+                throw new Error(`Duplicate synapse '${definition.name}'`);
+            }
+            const receptors = definition.receptors || [];
+            if (!receptors.length || receptors.some(type => !this.receptors[type])) {
+                throw new Error(`Synapse '${definition.name}' has unknown receptors: ${receptors.join(', ')}`);
+            }
+            const excitatory = this.receptors[receptors[0]].excitatory;
+            if (receptors.some(type => this.receptors[type].excitatory !== excitatory)) {
+                throw new Error(`Synapse '${definition.name}' mixes excitatory and inhibitory receptors`);
+            }
+
+            const synapse = {
+                name: definition.name,
+                section: definition.section || null,
+                selector: definition.selector || null,
+                receptors: receptors.slice(),
+                weight: definition.weight === undefined ? 1 : definition.weight,
+                group: excitatory ? 'excitatory' : 'inhibitory',
+                poisson: definition.poisson !== false, // False for synapses driven only by queueSpike()
+                queue: [], // Queued presynaptic spikes as { time, strength }, sorted by time
+                // Rise and decay components of every receptor's conductance, in units of gmax
+                rise: receptors.map(() => 0),
+                decay: receptors.map(() => 0),
+                active: false, // False once the conductances have decayed to nothing
+                nextSpike: Infinity,
+                lastSpike: -Infinity
+            };
+            this.scheduleNext(synapse, this.time);
+            this.synapses.push(synapse);
+            return synapse;
+        }
+
+        removeSynapse(name) {
+            const index = this.synapses.findIndex(synapse => synapse.name === name);
+            if (index < 0) {
+                throw new Error(`Unknown synapse '${name}'`);
+            }
+            this.synapses.splice(index, 1);
+        }
+
+        // A presynaptic spike arriving at a given time, e.g. from another neuron of a Network.
+        // strength scales this one spike on top of the synapse's weight.
+        queueSpike(name, time, strength = 1) {
+            const synapse = this.synapses.find(candidate => candidate.name === name);
+            if (!synapse) {
+                throw new Error(`Unknown synapse '${name}'`);
+            }
+            if (typeof time !== 'number' || !Number.isFinite(time)) {
+                throw new Error(`Invalid spike time: ${time}`);
+            }
+
+            let index = synapse.queue.length;
+            while (index > 0 && synapse.queue[index - 1].time > time) index--;
+            synapse.queue.splice(index, 0, { time, strength });
+        }
+
+        // Presynaptic rate (Hz) of every synapse in a group
+        setRate(group, rate) {
+            if (!SYNAPSE_GROUPS.includes(group)) {
+                throw new Error(`Unknown synapse group '${group}'`);
+            }
+            if (typeof rate !== 'number' || !(rate >= 0) || !Number.isFinite(rate)) {
+                throw new Error(`Invalid presynaptic rate: ${rate}`);
+            }
+
+            const previous = this.rates[group];
+            this.rates[group] = rate;
+            this.synapses.forEach(synapse => {
+                if (synapse.group === group) this.scheduleNext(synapse, this.time);
+            });
+            this.emit('ratechange', { group, rate, previous });
+        }
+
+        setReceptorConductance(type, gmax) {
+            if (!this.receptors[type]) {
+                throw new Error(`Unknown receptor '${type}'`);
+            }
+            if (typeof gmax !== 'number' || !(gmax >= 0) || !Number.isFinite(gmax)) {
+                throw new Error(`Invalid conductance for '${type}': ${gmax}`);
+            }
+            this.receptors[type].gmax = gmax;
+        }
+
+        // Poisson process: exponential intervals from the given time on, memoryless on rate changes
+        scheduleNext(synapse, time) {
+            const rate = synapse.poisson ? this.rates[synapse.group] : 0;
+            synapse.nextSpike = rate > 0 ? time + this.random.exponential(1000 / rate) : Infinity;
+        }
+
+        reset() {
+            this.time = 0;
+            this.random.reset();
+            this.synapses.forEach(synapse => {
+                synapse.rise.fill(0);
+                synapse.decay.fill(0);
+                synapse.active = false;
+                synapse.lastSpike = -Infinity;
+                synapse.queue = [];
+                this.scheduleNext(synapse, 0);
+            });
+        }
+
+        // Decay all conductances over dt and deliver the presynaptic spikes falling into the step
+        advance(dt, time) {
+            const end = time + dt;
+            this.synapses.forEach(synapse => {
+                if (synapse.active) {
+                    synapse.receptors.forEach((type, i) => {
+                        const receptor = this.receptors[type];
+                        synapse.rise[i] *= Math.exp(-dt / receptor.tauRise);
+                        synapse.decay[i] *= Math.exp(-dt / receptor.tauDecay);
+                    });
+                    if (synapse.decay.every(value => value < 1e-6)) {
+                        synapse.rise.fill(0);
+                        synapse.decay.fill(0);
+                        synapse.active = false;
+                    }
+                }
+
+                while (synapse.nextSpike <= end) {
+                    const spikeTime = synapse.nextSpike;
+                    this.scheduleNext(synapse, spikeTime);
+                    this.deliver(synapse, spikeTime, end, 1);
+                }
+                while (synapse.queue.length && synapse.queue[0].time <= end) {
+                    const { time: spikeTime, strength } = synapse.queue.shift();
+                    this.deliver(synapse, Math.min(spikeTime, end), end, strength);
+                }
+            });
+            this.time = end;
+        }
+
+        deliver(synapse, spikeTime, end, strength) {
+            synapse.receptors.forEach((type, i) => {
+                // Decayed from the spike time to the end of the step
+                const receptor = this.receptors[type];
+                const amount = strength * synapse.weight * receptor.peakFactor;
+                synapse.rise[i] += amount * Math.exp(-(end - spikeTime) / receptor.tauRise);
+                synapse.decay[i] += amount * Math.exp(-(end - spikeTime) / receptor.tauDecay);
+            });
+            synapse.active = true;
+            synapse.lastSpike = spikeTime;
+            this.emit('synapticevent', { name: synapse.name, group: synapse.group, time: spikeTime });
+        }
+
+        reversal(receptor, host) {
+            return typeof receptor.E === 'string' ? host.reversals[receptor.E] : receptor.E;
+        }
+
+        // Conductance (nS) of one receptor of a synapse at V, including the Mg²⁺ block
+        receptorConductance(synapse, i, V, host) {
+            const receptor = this.receptors[synapse.receptors[i]];
+            const g = receptor.gmax * (synapse.decay[i] - synapse.rise[i]);
+            return receptor.magnesiumBlock ? g * magnesiumUnblock(V, host.Mg_o) : g;
+        }
+
+        // Summed conductance (nS) of a synapse without the Mg²⁺ block, for display
+        conductance(synapse) {
+            return synapse.receptors.reduce((sum, type, i) =>
+                sum + this.receptors[type].gmax * (synapse.decay[i] - synapse.rise[i]), 0);
+        }
+
+        // Current (nA, positive outward) of a synapse at V
+        current(synapse, V, host) {
+            if (!synapse.active) return 0;
+            return synapse.receptors.reduce((sum, type, i) =>
+                sum + this.receptorConductance(synapse, i, V, host) * (V - this.reversal(this.receptors[type], host)) * 1e-3, 0);
+        }
+
+        // Every synapse onto the single compartment, as a current density (μA/cm²)
+        somaticCurrent(V, host) {
+            let current = 0;
+            for (const synapse of this.synapses) {
+                current += this.current(synapse, V, host);
+            }
+            return current * 1e-3 / this.area;
+        }
+
+        // Conductances (μS) and their driving terms (nA) into the sections of a CableModel,
+        // synapses on sections the morphology lacks act on the root
+        loadCable(cable, host) {
+            cable.synapticConductance.fill(0);
+            cable.synapticDrive.fill(0);
+            this.synapses.forEach(synapse => {
+                if (!synapse.active) return;
+                const index = cable.indexOf[synapse.section] === undefined ? 0 : cable.indexOf[synapse.section];
+                synapse.receptors.forEach((type, i) => {
+                    const g = this.receptorConductance(synapse, i, cable.V[index], host) * 1e-3;
+                    cable.synapticConductance[index] += g;
+                    cable.synapticDrive[index] += g * this.reversal(this.receptors[type], host);
+                });
+            });
+        }
+
+        getState() {
+            return this.synapses.map(synapse => ({
+                name: synapse.name,
+                group: synapse.group,
+                conductance: this.conductance(synapse),
+                lastSpike: synapse.lastSpike
+            }));
+        }
+    }
+
+    return { SynapticInput, RECEPTORS, DEFAULT_SYNAPSES, SYNAPSE_GROUPS, magnesiumUnblock };
+});
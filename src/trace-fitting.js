@@ -0,0 +1,481 @@
+// Fits Hodgkin-Huxley parameters to a target voltage trace, e.g. a recording loaded from CSV. Every
+// evaluation runs a private model like the F–I curve: it rests without current, then switches on
+// its I_stim (and the optional stimulus protocol) at the first target sample and records for the
+// target's duration. A Nelder-Mead simplex searches the parameters scaled to [0, 1] of their
+// ranges, logarithmically for conductances and rate factors. Reversal potentials are fitted through
+// the inner concentrations, so a fitted set is an ordinary experiment state.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(Object.assign({}, require('./neuron-model.js'), require('./spike-analysis.js')));
+    } else {
+        root.MiniNeuron = Object.assign(root.MiniNeuron || {}, factory(root.MiniNeuron));
+    }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+    const { NeuronModel, LEAK_FRACTIONS, HODGKIN_HUXLEY, SpikeAnalyzer } = deps;
+
+    const setParameter = (name) => (model, value) => model.setParameter(name, value);
+
+    // Fitted parameters, applied in this order: E_L last, as its chloride depends on E_Na and E_K
+    const FIT_PARAMETERS = {
+        g_Na: { label: 'g_Na', unit: 'mS/cm²', range: [10, 360], log: true, value: model => model.g_Na, apply: setParameter('g_Na') },
+        g_K: { label: 'g_K', unit: 'mS/cm²', range: [5, 100], log: true, value: model => model.g_K, apply: setParameter('g_K') },
+        g_L: { label: 'g_L', unit: 'mS/cm²', range: [0.02, 2], log: true, value: model => model.g_L, apply: setParameter('g_L') },
+        phi_m: { label: 'φ_m', unit: '', range: [0.2, 5], log: true, value: model => model.phi_m, apply: setParameter('phi_m') },
+        phi_h: { label: 'φ_h', unit: '', range: [0.2, 5], log: true, value: model => model.phi_h, apply: setParameter('phi_h') },
+        phi_n: { label: 'φ_n', unit: '', range: [0.2, 5], log: true, value: model => model.phi_n, apply: setParameter('phi_n') },
+        E_Na: {
+            label: 'E_Na',
+            unit: 'mV',
+            range: [30, 90],
+            log: false,
+            value: model => model.reversals.E_Na,
+            apply: (model, value) => model.setParameter('Na_i', model.Na_o * Math.exp(-value / model.thermalVoltage))
+        },
+        E_K: {
+            label: 'E_K',
+            unit: 'mV',
+            range: [-110, -60],
+            log: false,
+            value: model => model.reversals.E_K,
+            apply: (model, value) => model.setParameter('K_i', model.K_o * Math.exp(-value / model.thermalVoltage))
+        },
+        E_L: {
+            label: 'E_L',
+            unit: 'mV',
+            range: [-85, -40],
+            log: false,
+            value: model => model.reversals.E_L,
+            apply: (model, value) => {
+                const { E_Na, E_K } = model.reversals;
+                const E_Cl = (value - LEAK_FRACTIONS.K * E_K - LEAK_FRACTIONS.Na * E_Na) / LEAK_FRACTIONS.Cl;
+                model.setParameter('Cl_i', model.Cl_o * Math.exp(E_Cl / model.thermalVoltage));
+            }
+        }
+    };
+
+    // Feature differences that count as one unit of the feature cost
+    const FEATURE_SCALES = {
+        rate: 5, // Hz
+        meanV: 2, // mV
+        latency: 5, // ms from the first sample
+        threshold: 3, // mV
+        peak: 5, // mV
+        halfWidth: 0.2, // ms
+        ahpDepth: 3 // mV
+    };
+
+    // Cost of a spike feature the target has and the fit lacks, or the other way round
+    const MISSING_FEATURE_COST = 10;
+
+    const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+    function spikeMean(spikes, key) {
+        const values = spikes.map(spike => spike[key]).filter(value => value !== null && value !== undefined);
+        return values.length ? mean(values) : null;
+    }
+
+    // Features of a trace for the feature cost, spike features are null without spikes
+    function traceFeatures(trace, analyzer) {
+        const analysis = analyzer.analyze(trace);
+        const spikes = analysis.spikes;
+        return {
+            rate: analysis.meanRate,
+            meanV: mean(trace.V),
+            latency: spikes.length ? spikes[0].thresholdTime - trace.time[0] : null,
+            threshold: spikeMean(spikes, 'threshold'),
+            peak: spikeMean(spikes, 'peak'),
+            halfWidth: spikeMean(spikes, 'halfWidth'),
+            ahpDepth: spikeMean(spikes, 'ahpDepth')
+        };
+    }
+
+    // V of a trace at the given times, linear between samples and held beyond its ends
+    function resample(trace, times) {
+        const values = new Array(times.length);
+        let j = 0;
+        times.forEach((t, i) => {
+            while (j < trace.time.length - 2 && trace.time[j + 1] < t) j++;
+            const t0 = trace.time[j];
+            const t1 = trace.time[j + 1];
+            const f = t1 > t0 ? Math.min(1, Math.max(0, (t - t0) / (t1 - t0))) : 0;
+            values[i] = trace.V[j] + (trace.V[j + 1] - trace.V[j]) * f;
+        });
+        return values;
+    }
+
+    // Costs of a simulated trace, both traces with time from 0 ms. prepare() turns the target into
+    // the reference that evaluate() compares every simulated trace with.
+    const FIT_COSTS = {
+        trace: {
+            label: 'Trace RMS',
+            unit: 'mV',
+            prepare: target => target,
+            evaluate: (target, trace) => {
+                const V = resample(trace, target.time);
+                return Math.sqrt(mean(V.map((value, i) => (value - target.V[i]) * (value - target.V[i]))));
+            }
+        },
+        features: {
+            label: 'Feature distance',
+            unit: '',
+            prepare: (target, analyzer) => traceFeatures(target, analyzer),
+            evaluate: (expected, trace, analyzer) => {
+                const fitted = traceFeatures(trace, analyzer);
+                const terms = Object.entries(FEATURE_SCALES).map(([name, scale]) => {
+                    if (expected[name] === null && fitted[name] === null) return null;
+                    if (expected[name] === null || fitted[name] === null) return MISSING_FEATURE_COST;
+                    return (fitted[name] - expected[name]) / scale;
+                }).filter(term => term !== null);
+                return Math.sqrt(mean(terms.map(term => term * term)));
+            }
+        }
+    };
+
+    // Unit and scale factor to ms or mV from a column header such as 'time (s)' or 'V (mV)'
+    function headerScale(header, unitScales) {
+        const match = /\(([^)]*)\)/.exec(header);
+        const unit = match ? match[1].trim() : '';
+        return unit in unitScales ? unitScales[unit] : 1;
+    }
+
+    // { time, V } in ms and mV from CSV text. The time and V columns are found by their header,
+    // e.g. the recorder's 'time (ms),V (mV)', in s or V when the header says so; without a header
+    // the first two columns are time and V. Time starts at 0 ms.
+    function parseTraceCSV(text) {
+        const rows = String(text).split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'))
+            .map(line => line.split(/[,;\t]/).map(cell => cell.trim()));
+        if (!rows.length) {
+            throw new Error('The trace file is empty');
+        }
+
+        let timeColumn = 0;
+        let voltageColumn = 1;
+        let timeScale = 1;
+        let voltageScale = 1;
+        if (rows[0].some(cell => cell !== '' && !Number.isFinite(Number(cell)))) {
+            const header = rows.shift();
+            timeColumn = header.findIndex(cell => /^(t|time)\b/i.test(cell));
+            voltageColumn = header.findIndex(cell => /^(v|vm|voltage)\b/i.test(cell));
+            if (timeColumn < 0 || voltageColumn < 0) {
+                throw new Error(`No time and voltage columns in '${header.join(',')}'`);
+            }
+            timeScale = headerScale(header[timeColumn], { s: 1000, ms: 1, 'μs': 0.001, us: 0.001 });
+            voltageScale = headerScale(header[voltageColumn], { V: 1000, mV: 1, 'μV': 0.001, uV: 0.001 });
+        }
+
+        const time = [];
+        const V = [];
+        rows.forEach((row, i) => {
+            const t = Number(row[timeColumn]) * timeScale;
+            const v = Number(row[voltageColumn]) * voltageScale;
+            if (row[timeColumn] === undefined || row[voltageColumn] === undefined || !Number.isFinite(t) || !Number.isFinite(v)) {
+                throw new Error(`Invalid trace sample on data row ${i + 1}: ${row.join(',')}`);
+            }
+            if (time.length && !(t > time[time.length - 1])) {
+                throw new Error(`Trace time must increase, data row ${i + 1}: ${t} ms`);
+            }
+            time.push(t);
+            V.push(v);
+        });
+        if (time.length < 3) {
+            throw new Error('A target trace needs at least three samples');
+        }
+
+        const start = time[0];
+        return { time: time.map(t => t - start), V };
+    }
+
+    class TraceFit {
+        constructor(target, options = {}) {
+            const config = Object.assign({}, TraceFit.defaults, options);
+
+            const time = Array.from((target && target.time) || []);
+            const V = Array.from((target && target.V) || []);
+            if (time.length !== V.length || time.length < 3) {
+                throw new Error('A target trace needs time and V columns of at least three samples');
+            }
+            this.target = { time: time.map(t => t - time[0]), V };
+            this.duration = this.target.time[this.target.time.length - 1];
+
+            if (!Array.isArray(config.parameters) || !config.parameters.length) {
+                throw new Error('A fit needs at least one parameter');
+            }
+            config.parameters.forEach(name => {
+                if (!FIT_PARAMETERS[name]) {
+                    throw new Error(`Unknown fit parameter '${name}'`);
+                }
+            });
+            // Fitted parameter names in application order
+            this.parameters = Object.keys(FIT_PARAMETERS).filter(name => config.parameters.includes(name));
+
+            if (!FIT_COSTS[config.cost]) {
+                throw new Error(`Unknown fit cost '${config.cost}'`);
+            }
+            this.cost = config.cost;
+
+            this.maxEvaluations = config.maxEvaluations; // Model runs
+            this.tolerance = config.tolerance; // Simplex size, fraction of the parameter ranges
+            this.initialStep = config.initialStep; // Initial simplex size, fraction of the ranges
+            this.settleDuration = config.settleDuration; // ms of unrecorded rest before the target starts
+
+            // Passed to every NeuronModel instance, e.g. model.toOptions() of the live model
+            this.modelOptions = config.modelOptions;
+
+            // Stimulus protocol definition started with the target, null keeps I_stim constant
+            this.protocol = config.protocol;
+
+            // SpikeAnalyzer options of the feature cost
+            this.analyzerOptions = config.analyzerOptions;
+
+            if (!(this.maxEvaluations >= 1) || !(this.tolerance > 0) || !(this.initialStep > 0) || !(this.settleDuration >= 0)) {
+                throw new Error('Invalid fit settings');
+            }
+            if ((this.modelOptions.cellModel || HODGKIN_HUXLEY) !== HODGKIN_HUXLEY || this.modelOptions.morphology) {
+                throw new Error('Trace fitting needs the single-compartment Hodgkin-Huxley model');
+            }
+
+            this.reference = null;
+            this.stopped = false;
+        }
+
+        static get defaults() {
+            return {
+                parameters: ['g_Na', 'g_K', 'g_L'],
+                cost: 'trace',
+                maxEvaluations: 200,
+                tolerance: 0.01,
+                initialStep: 0.25,
+                settleDuration: 100,
+                modelOptions: {},
+                protocol: null,
+                analyzerOptions: {}
+            };
+        }
+
+        // Parameter value for a position in [0, 1] of its range and back
+        fromUnit(name, u) {
+            const [low, high] = FIT_PARAMETERS[name].range;
+            const f = Math.min(1, Math.max(0, u));
+            return FIT_PARAMETERS[name].log ? low * Math.pow(high / low, f) : low + (high - low) * f;
+        }
+
+        toUnit(name, value) {
+            const [low, high] = FIT_PARAMETERS[name].range;
+            const u = FIT_PARAMETERS[name].log ? Math.log(value / low) / Math.log(high / low) : (value - low) / (high - low);
+            return Math.min(1, Math.max(0, u));
+        }
+
+        // Starting values from the model options, clamped into the ranges
+        initialValues() {
+            const model = new NeuronModel(this.modelOptions);
+            return Object.fromEntries(this.parameters.map(name => [name, this.fromUnit(name, this.toUnit(name, FIT_PARAMETERS[name].value(model)))]));
+        }
+
+        // Set fitted values ({ name: value }) on a model. Fitting E_Na or E_K alone keeps E_L.
+        applyTo(model, values) {
+            const E_L = model.reversals.E_L;
+            this.parameters.forEach(name => FIT_PARAMETERS[name].apply(model, values[name]));
+            if (!this.parameters.includes('E_L') && (this.parameters.includes('E_Na') || this.parameters.includes('E_K'))) {
+                FIT_PARAMETERS.E_L.apply(model, E_L);
+            }
+        }
+
+        // A new model with the fitted values, e.g. for captureState
+        modelAt(values) {
+            const model = new NeuronModel(this.modelOptions);
+            this.applyTo(model, values);
+            model.reset();
+            return model;
+        }
+
+        // V from the target's first sample on, with the time from 0 ms
+        simulate(values) {
+            const model = this.modelAt(values);
+            const I_stim = model.I_stim;
+            model.setParameter('I_stim', 0);
+            model.run(this.settleDuration);
+
+            const start = model.time;
+            const time = [0];
+            const V = [model.V];
+            const unsubscribe = model.on('step', state => {
+                time.push(state.time - start);
+                V.push(state.V);
+            });
+            if (I_stim) model.setParameter('I_stim', I_stim);
+            if (this.protocol) model.setProtocol(this.protocol);
+            model.run(this.duration);
+            unsubscribe();
+            return { time, V };
+        }
+
+        evaluate(values) {
+            const cost = FIT_COSTS[this.cost];
+            const analyzer = new SpikeAnalyzer(this.analyzerOptions);
+            if (!this.reference) this.reference = cost.prepare(this.target, analyzer);
+
+            const trace = this.simulate(values);
+            const value = cost.evaluate(this.reference, trace, analyzer);
+            return { cost: Number.isFinite(value) ? value : Infinity, trace };
+        }
+
+        // Ends a running fit after the current evaluation, the result holds the best point so far
+        stop() {
+            this.stopped = true;
+        }
+
+        // Nelder-Mead on the unit cube, yields after every evaluation
+        *steps() {
+            const dimension = this.parameters.length;
+            const valuesAt = u => Object.fromEntries(this.parameters.map((name, i) => [name, this.fromUnit(name, u[i])]));
+            const history = [];
+            let best = null;
+            let evaluations = 0;
+            this.stopped = false;
+
+            const evaluate = u => {
+                const point = u.map(x => Math.min(1, Math.max(0, x)));
+                const values = valuesAt(point);
+                const { cost, trace } = this.evaluate(values);
+                evaluations++;
+                if (!best || cost < best.cost) best = { cost, point, values, trace };
+                history.push({ evaluation: evaluations, cost, best: best.cost });
+                return { point, cost };
+            };
+            const progress = () => ({
+                evaluation: evaluations,
+                cost: history[history.length - 1].cost,
+                best: best.cost,
+                values: best.values,
+                trace: best.trace
+            });
+            const finished = () => this.stopped || evaluations >= this.maxEvaluations;
+
+            // A simplex that collapsed onto a point restarts around the best point so far, the fit
+            // converges once a restart no longer improves the cost by a fraction tolerance
+            const initial = this.initialValues();
+            let start = this.parameters.map(name => this.toUnit(name, initial[name]));
+            let converged = false;
+            while (!converged && !finished()) {
+                const restart = best !== null;
+                const previous = restart ? best.cost : Infinity;
+                const simplex = [restart ? { point: best.point, cost: best.cost } : evaluate(start)];
+                if (!restart) yield progress();
+                for (let i = 0; i < dimension && !finished(); i++) {
+                    const u = start.slice();
+                    u[i] += u[i] + this.initialStep <= 1 ? this.initialStep : -this.initialStep;
+                    simplex.push(evaluate(u));
+                    yield progress();
+                }
+
+                let collapsed = false;
+                while (simplex.length === dimension + 1 && !finished()) {
+                    simplex.sort((a, b) => a.cost - b.cost);
+                    const size = Math.max(...simplex.slice(1).map(vertex =>
+                        Math.max(...vertex.point.map((x, i) => Math.abs(x - simplex[0].point[i])))));
+                    if (size < this.tolerance) {
+                        collapsed = true;
+                        break;
+                    }
+
+                    const worst = simplex[dimension];
+                    const centroid = new Array(dimension).fill(0);
+                    simplex.slice(0, dimension).forEach(vertex => vertex.point.forEach((x, i) => {
+                        centroid[i] += x / dimension;
+                    }));
+                    const along = factor => centroid.map((x, i) => x + factor * (worst.point[i] - x));
+
+                    const reflected = evaluate(along(-1));
+                    yield progress();
+                    if (reflected.cost < simplex[0].cost && !finished()) {
+                        const expanded = evaluate(along(-2));
+                        yield progress();
+                        simplex[dimension] = expanded.cost < reflected.cost ? expanded : reflected;
+                    } else if (reflected.cost < simplex[dimension - 1].cost) {
+                        simplex[dimension] = reflected;
+                    } else if (!finished()) {
+                        const contracted = reflected.cost < worst.cost ? evaluate(along(-0.5)) : evaluate(along(0.5));
+                        yield progress();
+                        if (contracted.cost < Math.min(reflected.cost, worst.cost)) {
+                            simplex[dimension] = contracted;
+                        } else {
+                            // Shrink towards the best vertex
+                            for (let k = 1; k <= dimension && !finished(); k++) {
+                                simplex[k] = evaluate(simplex[k].point.map((x, i) => simplex[0].point[i] + 0.5 * (x - simplex[0].point[i])));
+                                yield progress();
+                            }
+                        }
+                    }
+                }
+
+                converged = collapsed && !(best.cost < previous * (1 - this.tolerance));
+                start = best.point;
+            }
+
+            return {
+                parameters: this.parameters,
+                cost: best.cost,
+                values: best.values,
+                initialValues: initial,
+                trace: best.trace,
+                evaluations,
+                history,
+                converged,
+                stopped: this.stopped
+            };
+        }
+
+        run() {
+            const steps = this.steps();
+            let next = steps.next();
+            while (!next.done) next = steps.next();
+            return next.value;
+        }
+
+        // Same as run(), handing control back to the event loop between evaluations.
+        // onProgress receives { evaluation, cost, best, values, trace, total } with the best values and trace so far.
+        async runAsync(onProgress = () => {}) {
+            const steps = this.steps();
+            let next = steps.next();
+            while (!next.done) {
+                onProgress(Object.assign({ total: this.maxEvaluations }, next.value));
+                await new Promise(resolve => setTimeout(resolve, 0));
+                next = steps.next();
+            }
+            return next.value;
+        }
+
+        exportJSON(result) {
+            return {
+                schema: 'minineuron.fit/v1',
+                settings: {
+                    parameters: this.parameters,
+                    cost: this.cost,
+                    maxEvaluations: this.maxEvaluations,
+                    tolerance: this.tolerance,
+                    initialStep: this.initialStep,
+                    settleDuration: this.settleDuration,
+                    protocol: this.protocol,
+                    analyzerOptions: this.analyzerOptions,
+                    modelOptions: this.modelOptions
+                },
+                parameters: Object.fromEntries(this.parameters.map(name => [name, {
+                    label: FIT_PARAMETERS[name].label,
+                    unit: FIT_PARAMETERS[name].unit,
+                    initial: result.initialValues[name],
+                    fitted: result.values[name]
+                }])),
+                cost: { name: this.cost, label: FIT_COSTS[this.cost].label, unit: FIT_COSTS[this.cost].unit, value: result.cost },
+                evaluations: result.evaluations,
+                converged: result.converged,
+                history: result.history,
+                target: this.target,
+                fit: result.trace
+            };
+        }
+    }
+
+    return { TraceFit, FIT_PARAMETERS, FIT_COSTS, parseTraceCSV };
+});
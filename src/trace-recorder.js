@@ -0,0 +1,331 @@
+// Records model output into a bounded ring buffer and exports it as CSV, JSON or an
+// HDF5-free NWB-like JSON layout for analysis outside the browser.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.MiniNeuron = Object.assign(root.MiniNeuron || {}, factory());
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Units of the known state columns, unknown columns are exported without a unit
+    const COLUMN_UNITS = {
+        time: 'ms',
+        V: 'mV',
+        m: '1',
+        h: '1',
+        n: '1',
+        s: '1',
+        Ca_i: 'uM',
+        I_stim: 'uA/cm^2',
+        I_Na: 'uA/cm^2',
+        I_K: 'uA/cm^2',
+        I_L: 'uA/cm^2',
+        I_Ca: 'uA/cm^2',
+        I_SK: 'uA/cm^2',
+        I_syn: 'uA/cm^2',
+        I_clamp: 'uA/cm^2'
+    };
+
+    // Fixed-capacity circular storage, one Float64Array per column
+    class RingBuffer {
+        constructor(columns, capacity) {
+            this.columns = columns;
+            this.capacity = capacity;
+            this.data = {};
+            columns.forEach(column => {
+                this.data[column] = new Float64Array(capacity);
+            });
+            this.clear();
+        }
+
+        clear() {
+            this.head = 0; // Next write position
+            this.length = 0;
+            this.overwritten = 0; // Samples lost to wrap-around
+        }
+
+        push(row) {
+            this.columns.forEach(column => {
+                this.data[column][this.head] = row[column];
+            });
+            this.head = (this.head + 1) % this.capacity;
+
+            if (this.length < this.capacity) {
+                this.length++;
+            } else {
+                this.overwritten++;
+            }
+        }
+
+        // Column in chronological order as a plain array
+        toArray(column) {
+            const source = this.data[column];
+            const start = (this.head - this.length + this.capacity) % this.capacity;
+            const result = new Array(this.length);
+            for (let i = 0; i < this.length; i++) {
+                result[i] = source[(start + i) % this.capacity];
+            }
+            return result;
+        }
+    }
+
+    class TraceRecorder {
+        constructor(model, options = {}) {
+            const config = Object.assign({}, TraceRecorder.defaults, options);
+
+            this.model = model;
+            this.samplingInterval = config.samplingInterval; // ms between samples
+            this.capacity = config.capacity; // Samples kept before the oldest are overwritten
+            this.columns = config.columns || Object.keys(model.getState());
+
+            this.buffer = new RingBuffer(this.columns, this.capacity);
+            this.spikeTimes = [];
+            this.parameterChanges = [];
+            this.protocolRuns = []; // { name, protocol, start, end } of protocols active while recording
+            this.recording = false;
+            this.subscriptions = [];
+            this.metadata = null;
+            this.clampMode = null; // Of the model while recording, for the previous mode of a switch
+            this.nextSampleTime = 0;
+        }
+
+        static get defaults() {
+            return {
+                samplingInterval: 0.1,
+                capacity: 200000,
+                columns: null
+            };
+        }
+
+        setSamplingInterval(interval) {
+            if (typeof interval !== 'number' || !(interval > 0)) {
+                throw new Error(`Invalid sampling interval: ${interval}`);
+            }
+            this.samplingInterval = interval;
+        }
+
+        // Begin a new recording, discarding the previous one
+        start() {
+            if (this.recording) return;
+
+            this.buffer.clear();
+            this.spikeTimes = [];
+            this.parameterChanges = [];
+            this.protocolRuns = [];
+            if (this.model.protocol) {
+                this.addProtocolRun(this.model.protocolStartTime);
+            }
+            this.nextSampleTime = this.model.time;
+            this.metadata = this.captureMetadata();
+            this.clampMode = this.model.clampMode;
+            this.recording = true;
+
+            this.subscriptions = [
+                this.model.on('step', (state) => this.addSample(state)),
+                this.model.on('spike', ({ time }) => this.addSpike(time)),
+                this.model.on('parameterchange', (change) => {
+                    this.parameterChanges.push(Object.assign({ time: this.model.time }, change));
+                }),
+                this.model.on('clampmodechange', ({ mode }) => {
+                    this.parameterChanges.push({ time: this.model.time, name: 'clampMode', value: mode, previous: this.clampMode });
+                    this.clampMode = mode;
+                }),
+                this.model.on('drugchange', ({ name, concentration, previous }) => {
+                    this.parameterChanges.push({
+                        time: this.model.time, name: `drug:${name}`, value: concentration, previous
+                    });
+                }),
+                // From its start, which lies before now when setProtocol() continued it
+                this.model.on('protocolstart', () => this.addProtocolRun(this.model.protocolStartTime)),
+                this.model.on('protocolend', ({ time }) => {
+                    const run = this.protocolRuns[this.protocolRuns.length - 1];
+                    if (run && run.end === null) run.end = time;
+                })
+            ];
+        }
+
+        stop() {
+            if (!this.recording) return;
+
+            this.subscriptions.forEach(unsubscribe => unsubscribe());
+            this.subscriptions = [];
+            this.recording = false;
+            this.metadata.endTime = this.model.time;
+        }
+
+        captureMetadata() {
+            return {
+                startTime: this.model.time,
+                endTime: null,
+                recordedAt: new Date().toISOString(),
+                temperature: this.model.temperature,
+                Ca_ext: this.model.Ca_ext,
+                clampMode: this.model.clampMode, // At the start, later switches are parameter changes
+                integrator: this.model.integratorName,
+                dt: this.model.timeStep,
+                samplingInterval: this.samplingInterval
+            };
+        }
+
+        addSample(state) {
+            // Small tolerance so sampling on the integration grid is not skipped by rounding
+            if (state.time + 1e-9 < this.nextSampleTime) return;
+
+            this.buffer.push(state);
+            this.nextSampleTime += this.samplingInterval * Math.max(1,
+                Math.floor((state.time - this.nextSampleTime) / this.samplingInterval) + 1);
+        }
+
+        addSpike(time) {
+            this.spikeTimes.push(time);
+            // Spike times share the bound of the sample buffer
+            if (this.spikeTimes.length > this.capacity) {
+                this.spikeTimes.shift();
+            }
+        }
+
+        addProtocolRun(start) {
+            const protocol = this.model.protocol;
+            this.protocolRuns.push({ name: protocol.name, protocol, start, end: null });
+        }
+
+        // Onsets of protocol components and pulses in model time, from the recording start on
+        eventTimes() {
+            const metadata = this.metadata || this.captureMetadata();
+            const until = metadata.endTime === null ? this.model.time : metadata.endTime;
+            const times = [];
+            this.protocolRuns.forEach(run => {
+                const end = run.end === null ? until : Math.min(run.end, until);
+                // Less rounding of the model clock, an onset at the very end never reached the cell
+                run.protocol.eventTimes(end - run.start - 1e-6).forEach(time => {
+                    if (run.start + time >= metadata.startTime) times.push(run.start + time);
+                });
+            });
+            return times.sort((a, b) => a - b);
+        }
+
+        get sampleCount() {
+            return this.buffer.length;
+        }
+
+        // Recorded columns as chronological arrays
+        getData() {
+            const data = {};
+            this.columns.forEach(column => {
+                data[column] = this.buffer.toArray(column);
+            });
+            return data;
+        }
+
+        getMetadata() {
+            const metadata = Object.assign({}, this.metadata || this.captureMetadata());
+            if (metadata.endTime === null) metadata.endTime = this.model.time;
+            metadata.sampleCount = this.buffer.length;
+            metadata.droppedSamples = this.buffer.overwritten;
+            metadata.parameterChanges = this.parameterChanges.slice();
+            metadata.protocols = this.protocolRuns.map(({ name, start, end }) => ({ name, start, end }));
+            return metadata;
+        }
+
+        toCSV() {
+            const data = this.getData();
+            const header = this.columns.map(column =>
+                COLUMN_UNITS[column] ? `${column} (${COLUMN_UNITS[column]})` : column
+            );
+
+            const lines = [header.join(',')];
+            for (let i = 0; i < this.buffer.length; i++) {
+                lines.push(this.columns.map(column => data[column][i]).join(','));
+            }
+            return lines.join('\n') + '\n';
+        }
+
+        toJSON() {
+            return {
+                schema: 'minineuron.trace/v1',
+                metadata: this.getMetadata(),
+                columns: this.columns.map(name => ({ name, unit: COLUMN_UNITS[name] || null })),
+                data: this.getData(),
+                spikeTimes: this.spikeTimes.slice(),
+                eventTimes: this.eventTimes()
+            };
+        }
+
+        // Layout modelled on NWB 2: acquisition / stimulus / units groups, SI units via conversion.
+        // The clamp mode at the recording start decides the series types: in current clamp V is the
+        // response to I_stim, in voltage clamp I_clamp is the response and V the command.
+        toNWBLite() {
+            const metadata = this.getMetadata();
+            const data = this.getData();
+            // NWB timestamps are in seconds, model time in ms
+            const timestamps = data.time.map(time => time / 1000);
+
+            const series = (column, neurodataType, unit, conversion) => ({
+                neurodata_type: neurodataType,
+                data: data[column],
+                unit,
+                conversion,
+                timestamps,
+                timestamps_unit: 'seconds'
+            });
+
+            const voltageClamp = metadata.clampMode === 'voltage';
+            const acquisition = voltageClamp
+                ? { membrane_current: series('I_clamp', 'VoltageClampSeries', 'amperes/cm^2', 1e-6) }
+                : { membrane_potential: series('V', 'CurrentClampSeries', 'volts', 1e-3) };
+            const presentation = voltageClamp
+                ? { command_voltage: series('V', 'VoltageClampStimulusSeries', 'volts', 1e-3) }
+                : { I_stim: series('I_stim', 'CurrentClampStimulusSeries', 'amperes/cm^2', 1e-6) };
+            ['m', 'h', 'n', 's'].forEach(gate => {
+                if (data[gate]) acquisition[`gate_${gate}`] = series(gate, 'TimeSeries', 'dimensionless', 1);
+            });
+            if (data.Ca_i) {
+                acquisition.calcium_concentration = series('Ca_i', 'TimeSeries', 'molar', 1e-6);
+            }
+            const clampColumn = voltageClamp ? 'I_clamp' : 'I_stim'; // Already a clamp series
+            this.columns.filter(column => column.startsWith('I_') && column !== clampColumn).forEach(column => {
+                acquisition[column] = series(column, 'TimeSeries', 'amperes/cm^2', 1e-6);
+            });
+
+            return {
+                nwb_version: '2.x-lite',
+                identifier: `minineuron-${metadata.recordedAt}`,
+                session_description: 'MiniNeuron simulation run',
+                session_start_time: metadata.recordedAt,
+                general: {
+                    source_script: 'MiniNeuron',
+                    temperature_celsius: metadata.temperature,
+                    clamp_mode: metadata.clampMode,
+                    extracellular_calcium_mM: metadata.Ca_ext,
+                    integrator: metadata.integrator,
+                    dt_ms: metadata.dt,
+                    sampling_interval_ms: metadata.samplingInterval,
+                    parameter_changes: metadata.parameterChanges
+                },
+                acquisition,
+                stimulus: { presentation },
+                units: {
+                    neurodata_type: 'Units',
+                    spike_times: this.spikeTimes.map(time => time / 1000),
+                    spike_times_unit: 'seconds'
+                }
+            };
+        }
+
+        // Serialized export for the given format: 'csv', 'json' or 'nwb'
+        export(format) {
+            switch (format) {
+                case 'csv':
+                    return this.toCSV();
+                case 'json':
+                    return JSON.stringify(this.toJSON());
+                case 'nwb':
+                    return JSON.stringify(this.toNWBLite());
+                default:
+                    throw new Error(`Unknown export format '${format}'`);
+            }
+        }
+    }
+
+    return { RingBuffer, TraceRecorder, COLUMN_UNITS };
+});
@@ -0,0 +1,139 @@
+// Draws the result of a VoltageClampExperiment: current families on the left, I-V curves on the right.
+class VoltageClampPlot {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.padding = 30;
+    }
+
+    static get colors() {
+        return {
+            axis: 'rgba(255, 255, 255, 0.3)',
+            label: '#b0b0b0',
+            peak: '#ff6b6b',
+            steady: '#fdcb6e'
+        };
+    }
+
+    // Sweep colour runs from blue (most negative command) to red
+    sweepColor(index, count) {
+        const hue = 220 - 220 * index / Math.max(count - 1, 1);
+        return `hsl(${hue}, 80%, 60%)`;
+    }
+
+    // traceKey: 'I_total', 'I_corrected', 'I_Na', 'I_K' or 'I_L'
+    draw(result, traceKey = 'I_total') {
+        const ctx = this.context;
+        if (!ctx || !result) return;
+
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+        const half = this.canvas.width / 2;
+        this.drawFamily(result.sweeps, traceKey, { x: 0, width: half });
+        this.drawIV(result.iv, { x: half, width: half });
+    }
+
+    drawFamily(sweeps, traceKey, area) {
+        const ctx = this.context;
+        const key = sweeps.length && sweeps[0][traceKey] ? traceKey : 'I_total';
+
+        const duration = sweeps.reduce((max, sweep) => Math.max(max, sweep.time[sweep.time.length - 1]), 0);
+        const { min, max } = this.range(sweeps.map(sweep => sweep[key]));
+
+        const toX = t => area.x + this.padding + t / duration * (area.width - 2 * this.padding);
+        const toY = I => this.padding + (max - I) / (max - min) * (this.canvas.height - 2 * this.padding);
+
+        this.drawAxes(area, toY(0), `${key} (μA/cm²) vs time`, `${min.toFixed(0)} … ${max.toFixed(0)}`);
+
+        sweeps.forEach((sweep, index) => {
+            ctx.strokeStyle = this.sweepColor(index, sweeps.length);
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            sweep[key].forEach((I, i) => {
+                const x = toX(sweep.time[i]);
+                const y = toY(I);
+                if (i === 0) {
+                    ctx.moveTo(x, y);
+                } else {
+                    ctx.lineTo(x, y);
+                }
+            });
+            ctx.stroke();
+        });
+    }
+
+    drawIV(iv, area) {
+        const ctx = this.context;
+        if (!iv.length) return;
+
+        const commands = iv.map(point => point.command);
+        const minV = Math.min(...commands);
+        const maxV = Math.max(...commands);
+        const { min, max } = this.range([iv.map(p => p.peakInward), iv.map(p => p.steadyState)]);
+
+        const toX = V => area.x + this.padding + (V - minV) / Math.max(maxV - minV, 1) * (area.width - 2 * this.padding);
+        const toY = I => this.padding + (max - I) / (max - min) * (this.canvas.height - 2 * this.padding);
+
+        this.drawAxes(area, toY(0), 'I-V: peak inward / steady state', `${minV} … ${maxV} mV`);
+
+        [['peakInward', VoltageClampPlot.colors.peak], ['steadyState', VoltageClampPlot.colors.steady]]
+            .forEach(([key, color]) => {
+                ctx.strokeStyle = color;
+                ctx.fillStyle = color;
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                iv.forEach((point, i) => {
+                    const x = toX(point.command);
+                    const y = toY(point[key]);
+                    if (i === 0) {
+                        ctx.moveTo(x, y);
+                    } else {
+                        ctx.lineTo(x, y);
+                    }
+                });
+                ctx.stroke();
+
+                iv.forEach(point => {
+                    ctx.beginPath();
+                    ctx.arc(toX(point.command), toY(point[key]), 3, 0, 2 * Math.PI);
+                    ctx.fill();
+                });
+            });
+    }
+
+    drawAxes(area, zeroY, title, rangeLabel) {
+        const ctx = this.context;
+        const colors = VoltageClampPlot.colors;
+
+        ctx.strokeStyle = colors.axis;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(area.x + this.padding, zeroY);
+        ctx.lineTo(area.x + area.width - this.padding, zeroY);
+        ctx.moveTo(area.x + this.padding, this.padding);
+        ctx.lineTo(area.x + this.padding, this.canvas.height - this.padding);
+        ctx.stroke();
+
+        ctx.fillStyle = colors.label;
+        ctx.font = '12px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.fillText(title, area.x + this.padding, 18);
+        ctx.textAlign = 'right';
+        ctx.fillText(rangeLabel, area.x + area.width - this.padding, this.canvas.height - 10);
+    }
+
+    // Range over several series, always including zero, with a 5% margin
+    range(seriesList) {
+        let min = 0;
+        let max = 0;
+        seriesList.forEach(series => {
+            series.forEach(value => {
+                if (value < min) min = value;
+                if (value > max) max = value;
+            });
+        });
+        if (max - min < 1e-9) max = min + 1;
+        const margin = (max - min) * 0.05;
+        return { min: min - margin, max: max + margin };
+    }
+}
@@ -0,0 +1,146 @@
+// Classic Hodgkin-Huxley voltage-clamp step series, run headless on a private model instance.
+// Each sweep holds the cell, steps to a command potential and records the ionic currents,
+// optionally with P/N leak subtraction of the linear (leak) component.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./neuron-model.js'));
+    } else {
+        root.MiniNeuron = Object.assign(root.MiniNeuron || {}, factory(root.MiniNeuron));
+    }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+    const { NeuronModel } = deps;
+
+    class VoltageClampExperiment {
+        constructor(options = {}) {
+            const config = Object.assign({}, VoltageClampExperiment.defaults, options);
+
+            // Command series, all potentials in mV and durations in ms
+            this.holdingPotential = config.holdingPotential;
+            this.stepFrom = config.stepFrom;
+            this.stepTo = config.stepTo;
+            this.stepIncrement = config.stepIncrement;
+            this.settleDuration = config.settleDuration; // Unrecorded time at holding before each sweep
+            this.preDuration = config.preDuration;
+            this.stepDuration = config.stepDuration;
+            this.postDuration = config.postDuration;
+
+            // P/N leak subtraction: N scaled sub-pulses from a potential where the active channels stay shut
+            this.leakSubtraction = config.leakSubtraction;
+            this.leakPulses = config.leakPulses;
+            this.leakHoldingPotential = config.leakHoldingPotential;
+            this.leakPolarity = config.leakPolarity; // -1 for P/-N, 1 for P/+N
+
+            // Passed to every NeuronModel instance (temperature, Ca_ext, integrator, timeStep)
+            this.modelOptions = config.modelOptions;
+
+            if (!(this.stepIncrement > 0)) {
+                throw new Error(`Invalid step increment: ${this.stepIncrement}`);
+            }
+            if (!(this.leakPulses >= 1)) {
+                throw new Error(`Invalid number of P/N pulses: ${this.leakPulses}`);
+            }
+        }
+
+        static get defaults() {
+            return {
+                holdingPotential: -70,
+                stepFrom: -60,
+                stepTo: 40,
+                stepIncrement: 10,
+                settleDuration: 50,
+                preDuration: 2,
+                stepDuration: 15,
+                postDuration: 3,
+                leakSubtraction: false,
+                leakPulses: 4,
+                leakHoldingPotential: -120,
+                leakPolarity: -1,
+                modelOptions: { timeStep: 0.025, integrator: 'exponential-euler' }
+            };
+        }
+
+        commandLevels() {
+            const levels = [];
+            for (let V = this.stepFrom; V <= this.stepTo + 1e-9; V += this.stepIncrement) {
+                levels.push(V);
+            }
+            return levels;
+        }
+
+        // Hold at `holding`, step by `amplitude` mV and record the currents
+        runPulse(holding, amplitude) {
+            const model = new NeuronModel(Object.assign({}, this.modelOptions, { holdingPotential: holding }));
+            model.setClampMode('voltage');
+            model.run(this.settleDuration);
+
+            const start = model.time;
+            const trace = { time: [], V: [], I_Na: [], I_K: [], I_L: [], I_total: [] };
+            const unsubscribe = model.on('step', (state) => {
+                trace.time.push(state.time - start);
+                trace.V.push(state.V);
+                trace.I_Na.push(state.I_Na);
+                trace.I_K.push(state.I_K);
+                trace.I_L.push(state.I_L);
+                trace.I_total.push(state.I_clamp);
+            });
+
+            model.setProtocol({
+                name: `Step to ${holding + amplitude} mV`,
+                components: [{ type: 'step', start: this.preDuration, duration: this.stepDuration, amplitude }]
+            });
+            model.run(this.preDuration + this.stepDuration + this.postDuration);
+            unsubscribe();
+
+            return trace;
+        }
+
+        // Linear current for a step of `amplitude` mV, estimated from N scaled sub-pulses
+        estimateLeak(amplitude) {
+            const subAmplitude = this.leakPolarity * amplitude / this.leakPulses;
+            const sub = this.runPulse(this.leakHoldingPotential, subAmplitude);
+            const baseline = sub.I_total[0];
+
+            // All sub-pulses are identical in a deterministic model, run one and scale by N
+            return sub.I_total.map(I => this.leakPolarity * this.leakPulses * (I - baseline));
+        }
+
+        runSweep(command) {
+            const amplitude = command - this.holdingPotential;
+            const sweep = Object.assign({ command }, this.runPulse(this.holdingPotential, amplitude));
+
+            if (this.leakSubtraction) {
+                const leak = this.estimateLeak(amplitude);
+                const holdingCurrent = sweep.I_total[0];
+                sweep.I_leak = leak;
+                sweep.I_corrected = sweep.I_total.map((I, i) => I - holdingCurrent - leak[i]);
+            }
+
+            return sweep;
+        }
+
+        // Peak inward and steady-state current of each sweep during the step
+        measureIV(sweeps) {
+            return sweeps.map(sweep => {
+                const current = sweep.I_corrected || sweep.I_total;
+                const stepEnd = this.preDuration + this.stepDuration;
+                const during = current.filter((_, i) =>
+                    sweep.time[i] > this.preDuration && sweep.time[i] <= stepEnd
+                );
+                const tail = during.slice(Math.floor(during.length * 0.9));
+
+                return {
+                    command: sweep.command,
+                    peakInward: Math.min(0, ...during),
+                    steadyState: tail.reduce((sum, I) => sum + I, 0) / Math.max(tail.length, 1)
+                };
+            });
+        }
+
+        run() {
+            const sweeps = this.commandLevels().map(command => this.runSweep(command));
+            return { sweeps, iv: this.measureIV(sweeps) };
+        }
+    }
+
+    return { VoltageClampExperiment };
+});
@@ -0,0 +1,88 @@
+// Draws the weight history of a SpikeTimingPlasticity: one line per learning synapse over model time.
+class WeightHistoryPlot {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.padding = 30;
+    }
+
+    static get colors() {
+        return {
+            axis: 'rgba(255, 255, 255, 0.3)',
+            label: '#b0b0b0',
+            baseline: 'rgba(255, 255, 255, 0.15)'
+        };
+    }
+
+    // One hue per synapse around the colour wheel
+    synapseColor(index, count) {
+        return `hsl(${360 * index / Math.max(count, 1)}, 80%, 60%)`;
+    }
+
+    draw(plasticity, names, now) {
+        const ctx = this.context;
+        if (!ctx || !plasticity) return;
+
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+        const history = plasticity.history;
+        const start = history.length ? history[0].time : 0;
+        const end = Math.max(now, start + 1);
+        const { wMin, wMax } = plasticity;
+
+        const toX = t => this.padding + (t - start) / (end - start) * (this.canvas.width - 2 * this.padding);
+        const toY = w => this.padding + (wMax - w) / Math.max(wMax - wMin, 1e-9) * (this.canvas.height - 2 * this.padding);
+
+        this.drawAxes(toY(1), `Synaptic weights (${plasticity.rule.label})`,
+            `${(start / 1000).toFixed(1)} … ${(end / 1000).toFixed(1)} s, w ${wMin} … ${wMax}`);
+
+        names.forEach((name, index) => {
+            ctx.strokeStyle = this.synapseColor(index, names.length);
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            history.forEach((sample, i) => {
+                const x = toX(sample.time);
+                const y = toY(sample.weights[index]);
+                if (i === 0) {
+                    ctx.moveTo(x, y);
+                } else {
+                    ctx.lineTo(x, y);
+                }
+            });
+            // Held at the last sample up to now
+            if (history.length) {
+                ctx.lineTo(toX(end), toY(history[history.length - 1].weights[index]));
+            }
+            ctx.stroke();
+        });
+    }
+
+    drawAxes(baselineY, title, rangeLabel) {
+        const ctx = this.context;
+        const colors = WeightHistoryPlot.colors;
+
+        ctx.strokeStyle = colors.axis;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(this.padding, this.padding);
+        ctx.lineTo(this.padding, this.canvas.height - this.padding);
+        ctx.lineTo(this.canvas.width - this.padding, this.canvas.height - this.padding);
+        ctx.stroke();
+
+        // Initial weight of 1
+        ctx.strokeStyle = colors.baseline;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(this.padding, baselineY);
+        ctx.lineTo(this.canvas.width - this.padding, baselineY);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        ctx.fillStyle = colors.label;
+        ctx.font = '12px sans-serif';
+        ctx.textAlign = 'left';
+        ctx.fillText(title, this.padding, 18);
+        ctx.textAlign = 'right';
+        ctx.fillText(rangeLabel, this.canvas.width - this.padding, this.canvas.height - 10);
+    }
+}